@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * easy-k8s
+ * Command-line interface generating pipeline configurations from a declarative
+ * config file (YAML or JSON) describing the constructor options and stages
+ *
+ * Usage:
+ *   easy-k8s init [--config pipeline.yaml] [--force]
+ *   easy-k8s generate [--config pipeline.yaml] [--out ./pipeline] [--target jenkins,aws]
+ *                     [--dry-run | --diff] [--force]
+ *   easy-k8s validate [--config pipeline.yaml]
+ *   easy-k8s lint [--config pipeline.yaml] [--target jenkins,aws]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('./k8s-pipeline-generator');
+
+const USAGE = `Usage: easy-k8s <command> [options]
+
+Commands:
+  init        Write a starter config file
+  generate    Generate the pipeline files described by the config file
+  validate    Check the config file and report errors and warnings
+  lint        Check the generated files against the lint rules and report findings
+
+Options:
+  --config <file>     Config file, YAML or JSON (default: pipeline.yaml)
+  --out <dir>         Output directory of generate (default: ./pipeline)
+  --target <list>     Comma-separated targets to generate or lint: jenkins, github,
+                      gitlab, tekton, aws (default: all)
+  --dry-run           List the files generate would write, without writing them
+  --diff              Print a diff of the files on disk against the generated files,
+                      exiting with 1 when they differ, without writing them
+  --force             Let init overwrite an existing config file, and generate
+                      overwrite files edited by hand
+  --help              Show this help
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Object with command and options
+ */
+function parseArgs(args) {
+  const options = { config: 'pipeline.yaml', out: './pipeline' };
+  let command;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--diff') {
+      options.diff = true;
+    } else if (['--config', '--out', '--target'].includes(arg)) {
+      if (i + 1 >= args.length) {
+        throw new Error(`Option ${arg} needs a value`);
+      }
+      options[arg.slice(2)] = args[++i];
+    } else if (/^--(config|out|target)=/.test(arg)) {
+      const [name, ...value] = arg.slice(2).split('=');
+      options[name] = value.join('=');
+    } else if (!command && !arg.startsWith('-')) {
+      command = arg;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  return { command, options };
+}
+
+/**
+ * Load a generator from a YAML or JSON config file
+ * @param {string} configPath - Path to the config file
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function loadGenerator(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file ${configPath} not found. Create one with: easy-k8s init`);
+  }
+  // JSON is valid YAML, so one parser reads both formats
+  return K8sPipelineGenerator.fromConfig(yaml.load(fs.readFileSync(configPath, 'utf8')));
+}
+
+/**
+ * Write a starter config file for the project in the current directory
+ * @param {Object} options - Command-line options
+ */
+function init(options) {
+  if (fs.existsSync(options.config) && !options.force) {
+    throw new Error(`Config file ${options.config} already exists. Use --force to overwrite it`);
+  }
+
+  const projectName = path.basename(process.cwd()).toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-').replace(/^-+|-+$/g, '').slice(0, 63) || 'k8s-app';
+
+  const generator = new K8sPipelineGenerator({
+    projectName,
+    repoUrl: `https://github.com/my-org/${projectName}`,
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addTestStage('npm test', 'node:20')
+    .addBuildStage('npm ci && npm run build', 'node:20')
+    .addDockerBuildStage(projectName)
+    .addDeployStage('dev')
+    .addDeployStage('staging')
+    .addDeployStage('prod', { approval: true });
+
+  const config = generator.toConfig();
+  const contents = /\.json$/.test(options.config)
+    ? `${JSON.stringify(config, null, 2)}\n`
+    : yaml.dump(config);
+
+  fs.writeFileSync(options.config, contents);
+  console.log(`Wrote ${options.config}`);
+}
+
+/**
+ * Parse the --target option
+ * @param {Object} options - Command-line options
+ * @returns {Array} - Targets, or undefined for all
+ */
+function targetsOf(options) {
+  return options.target ? options.target.split(',').map(target => target.trim()) : undefined;
+}
+
+/**
+ * Generate the pipeline files described by the config file
+ * @param {Object} options - Command-line options
+ * @returns {number} - Exit code: 1 when --diff finds differences
+ */
+function generate(options) {
+  const generator = loadGenerator(options.config);
+  const targets = targetsOf(options);
+  const { dryRun, diff, force } = options;
+
+  if (diff) {
+    const changes = generator.saveToFiles(options.out, { targets, diff });
+    process.stdout.write(changes);
+    return changes ? 1 : 0;
+  }
+
+  if (dryRun) {
+    const files = generator.saveToFiles(options.out, { targets, dryRun });
+    Object.keys(files).forEach(file => console.log(`Would write ${file}`));
+    return 0;
+  }
+
+  const outputFiles = generator.saveToFiles(options.out, { targets, force });
+  Object.keys(outputFiles).forEach(name => console.log(`Wrote ${outputFiles[name]}`));
+  return 0;
+}
+
+/**
+ * Validate the config file, printing every error and warning
+ * @param {Object} options - Command-line options
+ * @returns {number} - Exit code: 1 when there are errors
+ */
+function validate(options) {
+  const { valid, errors, warnings } = loadGenerator(options.config).validate();
+
+  errors.forEach(problem => console.error(`error    ${problem.path}: ${problem.message}`));
+  warnings.forEach(problem => console.error(`warning  ${problem.path}: ${problem.message}`));
+  if (valid) {
+    console.log(`${options.config} is valid`);
+  }
+
+  return valid ? 0 : 1;
+}
+
+/**
+ * Lint the files generated from the config file, printing every finding
+ * @param {Object} options - Command-line options
+ * @returns {number} - Exit code: 1 when a finding has the lint.failOn severity or a higher one
+ */
+function lint(options) {
+  const { passed, findings } = loadGenerator(options.config).lint({ targets: targetsOf(options) });
+
+  findings.forEach(finding => console.error(`${finding.severity.padEnd(8)} ${finding.rule} ${finding.path}: ${finding.message}`));
+  if (findings.length === 0) {
+    console.log('No lint findings');
+  }
+
+  return passed ? 0 : 1;
+}
+
+/**
+ * Run the command-line interface
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} - Exit code
+ */
+function main(args) {
+  const { command, options } = parseArgs(args);
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  switch (command) {
+    case 'init':
+      init(options);
+      return 0;
+    case 'generate':
+      return generate(options);
+    case 'validate':
+      return validate(options);
+    case 'lint':
+      return lint(options);
+    default:
+      throw new Error(`Unknown command ${command}. Use one of: init, generate, validate, lint`);
+  }
+}
+
+if (require.main === module) {
+  // Print the warnings of the generator (e.g. a skipped target) like those of validate
+  process.removeAllListeners('warning');
+  process.on('warning', warning => console.error(`warning  ${warning.message}`));
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, parseArgs };
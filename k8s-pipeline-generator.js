@@ -6,686 +6,6846 @@
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const { v4: uuidv4 } = require('uuid');
 
 /**
- * Main class for generating pipeline configurations
+ * Environments used when no environments option is given
  */
-class K8sPipelineGenerator {
+const DEFAULT_ENVIRONMENTS = {
+  dev: { replicas: 1 },
+  staging: { replicas: 2 },
+  prod: { replicas: 3 }
+};
+
+/**
+ * Supported layouts for the generated Kubernetes configuration
+ */
+const LAYOUTS = ['manifests', 'helm', 'kustomize'];
+
+/**
+ * Ways deploy stages reach the cluster: kubectl (the pipeline applies the
+ * configuration) or gitops (the pipeline commits the image to a config
+ * repository that Argo CD or Flux syncs)
+ */
+const DEPLOY_MODES = ['kubectl', 'gitops'];
+
+/**
+ * GitOps controllers the gitops deploy mode generates resources for
+ */
+const GITOPS_TOOLS = ['argocd', 'flux'];
+
+/**
+ * Image of the gitops deploy steps, which commit image bumps to the config repository
+ */
+const GIT_IMAGE = 'bitnami/git:2.43.0';
+
+/**
+ * Policies deriving the tag of the application image: the short commit SHA,
+ * the version of the latest v<semver> tag, or the branch and build number
+ */
+const TAG_POLICIES = ['git-sha', 'semver', 'branch-build'];
+
+/**
+ * Container registries the application image can be pushed to
+ */
+const REGISTRY_TYPES = ['ecr', 'dockerhub', 'ghcr', 'gcr', 'acr', 'harbor'];
+
+/**
+ * Images of the builders that build and push the application image. Kaniko,
+ * rootless BuildKit and Buildah run unprivileged; docker runs a privileged
+ * Docker-in-Docker daemon.
+ */
+const BUILDER_IMAGES = {
+  kaniko: 'gcr.io/kaniko-project/executor:v1.21.0-debug',
+  buildkit: 'moby/buildkit:v0.12.5-rootless',
+  buildah: 'quay.io/buildah/stable:v1.34.0',
+  docker: 'docker:20.10.12-dind'
+};
+
+/**
+ * AWS CLI image of the step that logs in to Amazon ECR
+ */
+const AWS_CLI_IMAGE = 'amazon/aws-cli:2.15.0';
+
+/**
+ * Images of the security scanners. Jenkins runs steps in containers with a
+ * shell, so the distroless Anchore and Sigstore images use their debug variants.
+ */
+const SCANNER_IMAGES = {
+  trivy: 'aquasec/trivy:0.50.1',
+  grype: 'anchore/grype:v0.74.7-debug',
+  semgrep: 'semgrep/semgrep:1.67.0',
+  syft: 'anchore/syft:v1.2.0-debug',
+  cosign: 'gcr.io/projectsigstore/cosign:v2.2.3-dev'
+};
+
+/**
+ * Vulnerability scanners of the dependency and image scans
+ */
+const VULNERABILITY_SCANNERS = ['trivy', 'grype'];
+
+/**
+ * Vulnerability severities, from the lowest to the highest
+ */
+const VULNERABILITY_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Semgrep rule severities, from the lowest to the highest
+ */
+const SAST_SEVERITIES = ['INFO', 'WARNING', 'ERROR'];
+
+/**
+ * SBOM formats, with the Syft output, report file and cosign attestation type of each
+ */
+const SBOM_FORMATS = {
+  cyclonedx: { output: 'cyclonedx-json', file: 'sbom.cdx.json', type: 'cyclonedx' },
+  spdx: { output: 'spdx-json', file: 'sbom.spdx.json', type: 'spdxjson' }
+};
+
+/**
+ * Directory of the security scan reports, archived as build artifacts
+ */
+const SECURITY_REPORTS_DIR = 'reports/security';
+
+/**
+ * Coverage report formats, with the adapter of the Jenkins Code Coverage API
+ * plugin, the CodeBuild report file format and the shell command printing
+ * the line coverage percentage of a report
+ */
+const COVERAGE_FORMATS = {
+  cobertura: {
+    adapter: 'coberturaAdapter',
+    fileFormat: 'COBERTURAXML',
+    percentage: file => `sed -n 's/.*<coverage[^>]* line-rate="\\([0-9.]*\\)".*/\\1/p' ${file} | head -n 1 | awk '{ print $1 * 100 }'`
+  },
+  jacoco: {
+    adapter: 'jacocoAdapter',
+    fileFormat: 'JACOCOXML',
+    // The last LINE counter is the total of the report
+    percentage: file => `grep -o '<counter type="LINE"[^>]*>' ${file} | tail -n 1 | ` +
+      `sed 's/.*missed="\\([0-9]*\\)" covered="\\([0-9]*\\)".*/\\1 \\2/' | awk '{ print $2 * 100 / ($1 + $2) }'`
+  }
+};
+
+/**
+ * Dependency caches of test and build stages: the files whose changes
+ * invalidate a cache, and the command pointing the tool at its cache directory
+ */
+const DEPENDENCY_CACHES = {
+  npm: { files: ['package-lock.json'], setup: dir => `export npm_config_cache="${dir}"` },
+  maven: { files: ['pom.xml'], setup: dir => `export MAVEN_OPTS="$MAVEN_OPTS -Dmaven.repo.local=${dir}"` },
+  pip: { files: ['requirements.txt'], setup: dir => `export PIP_CACHE_DIR="${dir}"` },
+  gradle: { files: ['build.gradle', 'gradle/wrapper/gradle-wrapper.properties'], setup: dir => `export GRADLE_USER_HOME="${dir}"` }
+};
+
+/**
+ * Directory of the dependency caches in the workspace, for targets that save
+ * and restore them with the workspace instead of mounting a volume at CACHE_DIR
+ */
+const DEPENDENCY_CACHE_DIR = '.cache';
+
+/**
+ * Mount path of the dependency cache volume of Jenkins agents
+ */
+const JENKINS_CACHE_PATH = '/cache';
+
+/**
+ * Cache types of the CodeBuild project building the image: local Docker
+ * layers on the build host, or a BuildKit cache saved to the artifact bucket
+ */
+const CODEBUILD_CACHE_TYPES = ['local', 's3'];
+
+/**
+ * Notification channels, with the default Jenkins secret text credential
+ * holding the webhook URL of each webhook channel
+ */
+const NOTIFICATION_TYPES = {
+  slack: { credentialsId: 'slack-webhook' },
+  teams: { credentialsId: 'teams-webhook' },
+  email: {},
+  webhook: { credentialsId: 'notification-webhook' }
+};
+
+/**
+ * Pipeline events channels can be notified of, with the CodeStar
+ * Notifications event type of each
+ */
+const NOTIFICATION_EVENTS = {
+  started: 'codepipeline-pipeline-pipeline-execution-started',
+  succeeded: 'codepipeline-pipeline-pipeline-execution-succeeded',
+  failed: 'codepipeline-pipeline-pipeline-execution-failed',
+  'awaiting-approval': 'codepipeline-pipeline-manual-approval-needed'
+};
+
+/**
+ * Pipeline targets that saveToFiles can write
+ */
+const TARGETS = ['jenkins', 'github', 'gitlab', 'tekton', 'aws'];
+
+/**
+ * First line of the header saveToFiles puts on every file it writes. The
+ * second line holds the checksum of the rest of the file.
+ */
+const GENERATED_MARKER = 'Generated by easy-k8s. Change the pipeline configuration and regenerate instead of editing this file.';
+const CHECKSUM_PATTERN = /easy-k8s-checksum: sha256:([0-9a-f]{64})/;
+
+/**
+ * Severities of lint findings, from the lowest to the highest
+ */
+const LINT_SEVERITIES = ['info', 'warning', 'error'];
+
+/**
+ * Kinds of the Kubernetes workloads whose containers lint checks for resource limits
+ */
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'Rollout'];
+
+/**
+ * Lines of context around the changes of a unified diff
+ */
+const DIFF_CONTEXT = 3;
+
+/**
+ * Stage types of a declarative configuration, see fromConfig
+ */
+const STAGE_TYPES = ['test', 'build', 'docker-build', 'security-scan', 'approval', 'deploy', 'custom'];
+
+/**
+ * Deployment strategies of deploy stages
+ */
+const STRATEGIES = ['rolling', 'blue-green', 'canary'];
+
+/**
+ * Canary steps used when a canary strategy gives none: traffic weights in
+ * percent, each held for a pause
+ */
+const DEFAULT_CANARY_STEPS = [
+  { weight: 20, pause: '5m' },
+  { weight: 50, pause: '5m' }
+];
+
+/**
+ * kubectl version installed by the deploy buildspec, and image of the same
+ * version used by the generated deploy commands
+ */
+const KUBECTL_VERSION = 'v1.29.2';
+const KUBECTL_IMAGE = `bitnami/kubectl:${KUBECTL_VERSION.replace(/^v/, '')}`;
+
+/**
+ * Helm image and version used by the generated deploy commands. Releases with
+ * verify checks deploy from an image that also has kubectl.
+ */
+const HELM_IMAGE = 'alpine/helm:3.14.0';
+const HELM_KUBECTL_IMAGE = 'dtzar/helm-kubectl:3.14.0';
+const HELM_VERSION = 'v3.14.0';
+
+/**
+ * Kustomize image and version used by the generated deploy commands
+ */
+const KUSTOMIZE_IMAGE = 'registry.k8s.io/kustomize/kustomize:v5.3.0';
+const KUSTOMIZE_VERSION = 'v5.3.0';
+
+/**
+ * DNS-1123 label (e.g. names of namespaces and containers) and subdomain
+ * (e.g. names of most other resources) formats
+ */
+const DNS_1123_LABEL = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const DNS_1123_SUBDOMAIN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+/**
+ * Checks for the field types used by MANIFEST_SCHEMAS
+ */
+const FIELD_TYPES = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  dns1123Label: value => typeof value === 'string' && value.length <= 63 && DNS_1123_LABEL.test(value),
+  dns1123Subdomain: value => typeof value === 'string' && value.length <= 253 && DNS_1123_SUBDOMAIN.test(value),
+  port: value => Number.isInteger(value) && value > 0 && value < 65536,
+  portOrName: value => FIELD_TYPES.port(value) ||
+    (typeof value === 'string' && value.length <= 15 && DNS_1123_LABEL.test(value) && /[a-z]/.test(value)),
+  quantity: value => /^([0-9]+(\.[0-9]*)?|\.[0-9]+)(m|k|M|G|T|P|E|Ki|Mi|Gi|Ti|Pi|Ei)?$/.test(String(value)),
+  intOrPercent: value => Number.isInteger(value) || /^[0-9]+%$/.test(value)
+};
+
+/**
+ * Fields of the core Kubernetes schemas checked in generated manifests, as
+ * [path, type or list of allowed values, required]. A [] in a path matches
+ * every item of a list.
+ */
+const CONTAINER_FIELDS = [
+  ['name', 'dns1123Label', true],
+  ['image', 'string', true],
+  ['imagePullPolicy', ['Always', 'IfNotPresent', 'Never']],
+  ['ports[].containerPort', 'port', true],
+  ['resources.requests.cpu', 'quantity'],
+  ['resources.requests.memory', 'quantity'],
+  ['resources.limits.cpu', 'quantity'],
+  ['resources.limits.memory', 'quantity'],
+  ['env[].name', 'string', true],
+  ['volumeMounts[].name', 'dns1123Label', true],
+  ['volumeMounts[].mountPath', 'string', true]
+];
+
+const MANIFEST_SCHEMAS = {
+  Deployment: [
+    ['metadata.name', 'dns1123Subdomain', true],
+    ['spec.replicas', 'integer'],
+    ['spec.selector.matchLabels', 'object', true],
+    ['spec.template.metadata.labels', 'object', true],
+    ['spec.template.spec.containers', 'array', true],
+    ...CONTAINER_FIELDS.map(([field, type, required]) => [`spec.template.spec.containers[].${field}`, type, required]),
+    ['spec.template.spec.volumes[].name', 'dns1123Label', true],
+    ['spec.strategy.type', ['RollingUpdate', 'Recreate']]
+  ],
+  Service: [
+    ['metadata.name', 'dns1123Label', true],
+    ['spec.type', ['ClusterIP', 'NodePort', 'LoadBalancer', 'ExternalName']],
+    ['spec.ports', 'array', true],
+    ['spec.ports[].port', 'port', true],
+    ['spec.ports[].targetPort', 'portOrName'],
+    ['spec.ports[].protocol', ['TCP', 'UDP', 'SCTP']]
+  ],
+  Ingress: [
+    ['metadata.name', 'dns1123Subdomain', true],
+    ['spec.rules', 'array', true],
+    ['spec.rules[].host', 'string'],
+    ['spec.rules[].http.paths[].path', 'string', true],
+    ['spec.rules[].http.paths[].pathType', ['Exact', 'Prefix', 'ImplementationSpecific'], true],
+    ['spec.rules[].http.paths[].backend.service.name', 'dns1123Label', true],
+    ['spec.rules[].http.paths[].backend.service.port.number', 'port', true],
+    ['spec.tls[].secretName', 'dns1123Subdomain']
+  ],
+  HorizontalPodAutoscaler: [
+    ['metadata.name', 'dns1123Subdomain', true],
+    ['spec.scaleTargetRef.name', 'string', true],
+    ['spec.minReplicas', 'integer'],
+    ['spec.maxReplicas', 'integer', true],
+    ['spec.metrics[].resource.target.averageUtilization', 'integer']
+  ],
+  ConfigMap: [
+    ['metadata.name', 'dns1123Subdomain', true],
+    ['data', 'object']
+  ],
+  PodDisruptionBudget: [
+    ['metadata.name', 'dns1123Subdomain', true],
+    ['spec.selector.matchLabels', 'object', true],
+    ['spec.minAvailable', 'intOrPercent'],
+    ['spec.maxUnavailable', 'intOrPercent']
+  ]
+};
+
+/**
+ * Find the values at a schema path in a manifest
+ * @param {*} node - Manifest or part of a manifest
+ * @param {Array} segments - Remaining path segments
+ * @param {string} prefix - Path of node
+ * @returns {Array} - { path, value } for every match; list items that do not exist are skipped
+ */
+function valuesAt(node, segments, prefix = '') {
+  if (segments.length === 0) {
+    return [{ path: prefix, value: node }];
+  }
+
+  const [segment, ...rest] = segments;
+  const key = segment.replace(/\[\]$/, '');
+  const fieldPath = prefix ? `${prefix}.${key}` : key;
+  const value = node === undefined || node === null ? undefined : node[key];
+
+  if (segment.endsWith('[]')) {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    return value.reduce((matches, item, index) =>
+      matches.concat(valuesAt(item, rest, `${fieldPath}[${index}]`)), []);
+  }
+  return valuesAt(value, rest, fieldPath);
+}
+
+/**
+ * Convert a Kubernetes quantity to a number for comparisons
+ * @param {string|number} quantity - Quantity (e.g. 500m, 1.5, 128Mi)
+ * @returns {number} - Value of the quantity
+ */
+function quantityValue(quantity) {
+  const suffixes = {
+    m: 1e-3, k: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15, E: 1e18,
+    Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50, Ei: 2 ** 60
+  };
+  const [, number, suffix] = String(quantity).match(/^([0-9.]+)([a-zA-Z]*)$/);
+  return Number(number) * (suffixes[suffix] || 1);
+}
+
+/**
+ * Check a generated manifest against the core Kubernetes schema of its kind
+ * @param {Object} manifest - Kubernetes manifest
+ * @param {string} prefix - Path reported for the manifest
+ * @returns {Array} - { path, message } for every problem found
+ */
+function validateManifest(manifest, prefix) {
+  const errors = [];
+  const schema = MANIFEST_SCHEMAS[manifest.kind] || [];
+
+  schema.forEach(([field, type, required]) => {
+    valuesAt(manifest, field.split('.')).forEach(({ path: fieldPath, value }) => {
+      const at = `${prefix}.${fieldPath}`;
+      if (value === undefined || value === null) {
+        if (required) {
+          errors.push({ path: at, message: 'is required' });
+        }
+      } else if (Array.isArray(type) ? !type.includes(value) : !FIELD_TYPES[type](value)) {
+        errors.push({
+          path: at,
+          message: Array.isArray(type) ? `must be one of: ${type.join(', ')}` : `must be a valid ${type}, got ${JSON.stringify(value)}`
+        });
+      }
+    });
+  });
+
+  if (manifest.kind === 'Deployment') {
+    const selector = (manifest.spec.selector || {}).matchLabels || {};
+    const labels = manifest.spec.template.metadata.labels || {};
+    if (Object.keys(selector).some(label => labels[label] !== selector[label])) {
+      errors.push({ path: `${prefix}.spec.selector.matchLabels`, message: 'must match the pod template labels' });
+    }
+
+    (manifest.spec.template.spec.containers || []).forEach((container, index) => {
+      const { requests = {}, limits = {} } = container.resources || {};
+      Object.keys(limits).forEach(resource => {
+        if (requests[resource] !== undefined && FIELD_TYPES.quantity(requests[resource]) &&
+          FIELD_TYPES.quantity(limits[resource]) && quantityValue(limits[resource]) < quantityValue(requests[resource])) {
+          errors.push({
+            path: `${prefix}.spec.template.spec.containers[${index}].resources.limits.${resource}`,
+            message: `must be at least the request of ${requests[resource]}`
+          });
+        }
+      });
+    });
+  }
+
+  if (manifest.kind === 'HorizontalPodAutoscaler' && manifest.spec.minReplicas > manifest.spec.maxReplicas) {
+    errors.push({ path: `${prefix}.spec.maxReplicas`, message: 'must be at least minReplicas' });
+  }
+
+  if (manifest.kind === 'PodDisruptionBudget' &&
+    manifest.spec.minAvailable !== undefined && manifest.spec.maxUnavailable !== undefined) {
+    errors.push({ path: `${prefix}.spec`, message: 'must not set both minAvailable and maxUnavailable' });
+  }
+
+  if (manifest.kind === 'ConfigMap') {
+    Object.keys(manifest.data || {}).forEach(key => {
+      if (!/^[-._a-zA-Z0-9]+$/.test(key)) {
+        errors.push({ path: `${prefix}.data.${key}`, message: 'key must consist of alphanumerics, -, _ or .' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a duration such as 30s, 5m or 1h (seconds without a unit) to seconds
+ * @param {string|number} duration - Duration
+ * @returns {number} - Duration in seconds
+ */
+function durationSeconds(duration) {
+  const match = String(duration).match(/^([0-9]+)(s|m|h)?$/);
+  if (!match) {
+    throw new Error(`Duration ${duration} is not valid. Use a number of seconds or a value such as 30s, 5m or 1h`);
+  }
+  return Number(match[1]) * ({ s: 1, m: 60, h: 3600 }[match[2] || 's']);
+}
+
+/**
+ * Normalize the strategy option of a deploy stage
+ * @param {string|Object} strategy - Strategy name, or an object with a type and its options
+ * @returns {Object} - Strategy with type, timeout and, for canaries, steps and analysis
+ */
+function normalizeStrategy(strategy = 'rolling') {
+  const options = typeof strategy === 'string' ? { type: strategy } : { type: 'rolling', ...strategy };
+  if (!STRATEGIES.includes(options.type)) {
+    throw new Error(`Strategy ${options.type} is not valid. Use one of: ${STRATEGIES.join(', ')}`);
+  }
+
+  if (options.type === 'blue-green') {
+    const idleReplicas = options.idleReplicas === undefined ? 0 : options.idleReplicas;
+    if (!Number.isInteger(idleReplicas) || idleReplicas < 0) {
+      throw new Error(`Blue-green idleReplicas ${idleReplicas} is not valid. Use a number of replicas from 0`);
+    }
+    return { ...options, idleReplicas, timeout: `${durationSeconds(options.timeout || '5m')}s` };
+  }
+
+  if (options.type !== 'canary') {
+    return { ...options, timeout: `${durationSeconds(options.timeout || '5m')}s` };
+  }
+
+  const steps = options.steps || DEFAULT_CANARY_STEPS;
+  steps.forEach(step => {
+    if (!Number.isInteger(step.weight) || step.weight < 1 || step.weight > 100) {
+      throw new Error(`Canary step weight ${step.weight} is not valid. Use a percentage from 1 to 100`);
+    }
+  });
+
+  // Wait long enough for every pause, plus time for the pods to roll out
+  const pauses = steps.reduce((total, step) => total + (step.pause ? durationSeconds(step.pause) : 0), 0);
+  return {
+    ...options,
+    steps,
+    analysis: options.analysis || {},
+    timeout: `${options.timeout ? durationSeconds(options.timeout) : pauses + 600}s`
+  };
+}
+
+/**
+ * Normalize the verify option of a deploy stage
+ * @param {Object} verify - Verify options (optional)
+ * @returns {Object} - Verification with http checks ({ path, port }), smoke-test
+ *   commands and whether failures roll back
+ */
+function normalizeVerification(verify = {}) {
+  const http = (verify.http || []).map(check => ({
+    port: 80,
+    ...(typeof check === 'string' ? { path: check } : check)
+  }));
+  http.forEach(check => {
+    if (!/^\//.test(check.path || '')) {
+      throw new Error(`HTTP check path ${check.path} is not valid. Use a path starting with /`);
+    }
+  });
+
+  return {
+    http,
+    commands: verify.commands || [],
+    rollback: verify.rollback !== false
+  };
+}
+
+/**
+ * Normalize the environments option to a map of environment name to overrides.
+ * Accepts an array of names, an array of { name, ...overrides } objects, or an
+ * object keyed by environment name.
+ * @param {Array|Object} environments - Environments option
+ * @returns {Object} - Overrides keyed by environment name, in declaration order
+ */
+function normalizeEnvironments(environments) {
+  if (!environments) {
+    return { ...DEFAULT_ENVIRONMENTS };
+  }
+
+  if (!Array.isArray(environments)) {
+    return Object.keys(environments).reduce((configs, name) => {
+      configs[name] = { ...environments[name] };
+      return configs;
+    }, {});
+  }
+
+  return environments.reduce((configs, environment) => {
+    if (typeof environment === 'string') {
+      configs[environment] = {};
+    } else {
+      const { name, ...overrides } = environment;
+      configs[name] = overrides;
+    }
+    return configs;
+  }, {});
+}
+
+/**
+ * Write a map of file contents below a directory, creating directories as needed
+ * @param {string} dir - Base directory
+ * @param {Object} files - File contents keyed by path relative to dir
+ */
+function writeFiles(dir, files) {
+  Object.keys(files).forEach(file => {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(path.dirname(filePath))) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    fs.writeFileSync(filePath, files[file]);
+  });
+}
+
+/**
+ * SHA-256 checksum of file contents
+ * @param {string} contents - File contents
+ * @returns {string} - Hex-encoded checksum
+ */
+function checksumOf(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Clear the values of the given YAML lines, keeping their keys
+ * @param {string} contents - File contents
+ * @param {Array} indexes - Indexes of the lines to clear
+ * @returns {string} - Contents with the values cleared
+ */
+function withoutValues(contents, indexes) {
+  const lines = contents.split('\n');
+  indexes.forEach(index => {
+    lines[index] = lines[index].replace(/:.*$/, ':');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Prefix generated file contents with the easy-k8s header, as comments in the
+ * syntax of the file: Groovy for the Jenkinsfile, Go templates for Helm
+ * templates (so the header is not rendered into the manifests) and YAML otherwise
+ * @param {string} file - Path of the file
+ * @param {string} contents - Generated contents
+ * @param {Function} checksummed - Maps the contents to the text the checksum
+ *   is taken of (default: the contents)
+ * @returns {string} - Contents with the header
+ */
+function withGeneratedHeader(file, contents, checksummed = text => text) {
+  const comment = path.basename(file) === 'Jenkinsfile'
+    ? text => `// ${text}`
+    : file.split(path.sep).includes('templates')
+      ? text => `{{/* ${text} */}}`
+      : text => `# ${text}`;
+
+  return [
+    comment(GENERATED_MARKER),
+    comment(`easy-k8s-checksum: sha256:${checksumOf(checksummed(contents))}`),
+    contents
+  ].join('\n');
+}
+
+/**
+ * Check whether a file on disk was edited since easy-k8s wrote it: it has no
+ * easy-k8s header, or the rest of the file no longer matches the checksum of
+ * the header
+ * @param {string} contents - Contents of the file on disk
+ * @param {Function} checksummed - Maps the rest of the file to the text the
+ *   checksum is taken of, as for withGeneratedHeader (default: the rest of the file)
+ * @returns {boolean} - True when the file was edited by hand or not generated
+ */
+function isEditedByHand(contents, checksummed = text => text) {
+  const lines = contents.split('\n');
+  const match = lines.length > 2 && lines[0].includes(GENERATED_MARKER) && CHECKSUM_PATTERN.exec(lines[1]);
+  return !match || match[1] !== checksumOf(checksummed(lines.slice(2).join('\n')));
+}
+
+/**
+ * Render a unified diff of two texts, like diff -u
+ * @param {string} oldText - Current contents ('' for a new file)
+ * @param {string} newText - New contents
+ * @param {string} oldLabel - Name of the current file
+ * @param {string} newLabel - Name of the new file
+ * @returns {string} - Unified diff, or '' when the texts are equal
+ */
+function unifiedDiff(oldText, newText, oldLabel, newLabel) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  // Lines keep their newline, so a missing newline at the end is a change too
+  const linesOf = text => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  const a = linesOf(oldText);
+  const b = linesOf(newText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  // Longest common subsequence of the lines between the common prefix and suffix
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  const lcs = oldLines.map(() => new Int32Array(newLines.length + 1));
+  lcs.push(new Int32Array(newLines.length + 1));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (j >= newLines.length || (i < oldLines.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  a.slice(a.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+
+  let oldNumber = 1;
+  let newNumber = 1;
+  ops.forEach(op => {
+    op.oldNumber = oldNumber;
+    op.newNumber = newNumber;
+    if (op.type !== '+') oldNumber++;
+    if (op.type !== '-') newNumber++;
+  });
+
+  // Group the changes into hunks, merging hunks whose context would overlap
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    const end = Math.min(ops.length, index + DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldNumber - 1 : hunk[0].oldNumber;
+    const newStart = newCount === 0 ? hunk[0].newNumber - 1 : hunk[0].newNumber;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(({ type, line }) => {
+      lines.push(line.endsWith('\n')
+        ? `${type}${line.slice(0, -1)}`
+        : `${type}${line}\n\\ No newline at end of file`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Normalize the settings of a vulnerability or SAST scan
+ * @param {Object|boolean} scan - Scan settings, or true for the defaults
+ * @param {Object} defaults - Default settings, with the severity and scanner
+ * @param {Array} severities - Severities the scan accepts
+ * @returns {Object} - Scan settings, or undefined when the scan is off
+ */
+function normalizeScan(scan, defaults, severities) {
+  if (!scan) {
+    return undefined;
+  }
+
+  const settings = { ...defaults, ...(scan === true ? {} : scan) };
+  settings.severity = String(settings.severity).toUpperCase();
+  if (settings.scanner && !VULNERABILITY_SCANNERS.includes(settings.scanner)) {
+    throw new Error(`Scanner ${settings.scanner} is not valid. Use one of: ${VULNERABILITY_SCANNERS.join(', ')}`);
+  }
+  if (!severities.includes(settings.severity)) {
+    throw new Error(`Severity ${settings.severity} is not valid. Use one of: ${severities.join(', ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Get the shell commands of a vulnerability scan, which write a JSON report
+ * and fail on vulnerabilities of the threshold severity or a higher one
+ * @param {Object} scan - Scan settings with scanner and severity
+ * @param {string} image - Image reference to scan, or undefined for the dependencies
+ *   of the source tree
+ * @param {string} report - Path of the report
+ * @returns {Array} - Shell commands
+ */
+function vulnerabilityScanCommands({ scanner, severity }, image, report) {
+  if (scanner === 'grype') {
+    return [`grype ${image || 'dir:.'} --output table --output json=${report} --fail-on ${severity.toLowerCase()}`];
+  }
+
+  // The second run reuses the vulnerability database of the first
+  const [mode, subject] = image ? ['image', image] : ['fs --scanners vuln', '.'];
+  const severities = VULNERABILITY_SEVERITIES.slice(VULNERABILITY_SEVERITIES.indexOf(severity));
+  return [
+    `trivy ${mode} --format json --output ${report} ${subject}`,
+    `trivy ${mode} --skip-db-update --exit-code 1 --severity ${severities.join(',')} ${subject}`
+  ];
+}
+
+/**
+ * Get the shell commands of a Semgrep scan, which fails on and reports the
+ * findings of rules of the threshold severity or a higher one
+ * @param {Object} scan - Scan settings with config (rule set) and severity
+ * @param {string} report - Path of the report
+ * @returns {Array} - Shell commands
+ */
+function sastCommands({ config, severity }, report) {
+  const severities = SAST_SEVERITIES.slice(SAST_SEVERITIES.indexOf(severity));
+  return [
+    `semgrep scan --config ${config} --error ${severities.map(level => `--severity ${level}`).join(' ')} --json --output ${report}`
+  ];
+}
+
+/**
+ * Get the shell commands that print the line coverage of a coverage report
+ * and fail when it is below the threshold
+ * @param {Object} coverage - Coverage settings with path, format and threshold
+ * @returns {Array} - Shell commands
+ */
+function coverageCheckCommands({ path: file, format, threshold }) {
+  return [
+    `COVERAGE=$(${COVERAGE_FORMATS[format].percentage(file)})`,
+    `[ -n "$COVERAGE" ] || { echo "No line coverage found in ${file}" >&2; exit 1; }`,
+    'echo "Line coverage: $COVERAGE%"',
+    `awk -v coverage="$COVERAGE" 'BEGIN { exit !(coverage >= ${threshold}) }' || ` +
+      `{ echo "Line coverage is below the threshold of ${threshold}%" >&2; exit 1; }`
+  ];
+}
+
+/**
+ * Get the image reference of the registry cache of a Docker build
+ * @param {boolean|string} cache - cache option of addDockerBuildStage: true for the
+ *   buildcache tag of the image repository, or an image reference
+ * @param {string} repository - Repository of the image
+ * @returns {string} - Cache image reference, or undefined without a cache
+ */
+function buildCacheRefOf(cache, repository) {
+  if (!cache) {
+    return undefined;
+  }
+  return cache === true ? `${repository}:buildcache` : cache;
+}
+
+/**
+ * Strip the tag from an image reference
+ * @param {string} image - Image reference
+ * @returns {string} - Repository of the image
+ */
+function repositoryOf(image) {
+  return image.replace(/:[^:/]*$/, '');
+}
+
+/**
+ * Convert environment variables given as an object or a { name, value } list
+ * to a Kubernetes-style { name, value } list
+ * @param {Array|Object} variables - Environment variables
+ * @returns {Array} - Environment variables as { name, value } objects
+ */
+function toEnvList(variables = []) {
+  if (Array.isArray(variables)) {
+    return variables;
+  }
+  return Object.keys(variables).map(name => ({ name, value: String(variables[name]) }));
+}
+
+/**
+ * Normalize a stage's runAfter field to an array of stage names
+ * @param {Object} stage - Stage configuration
+ * @returns {Array} - Names of the stages this stage runs after
+ */
+function runAfterOf(stage) {
+  if (!stage.runAfter) {
+    return [];
+  }
+  return Array.isArray(stage.runAfter) ? stage.runAfter : [stage.runAfter];
+}
+
+/**
+ * Derive a DNS-1123 container name from a Docker image reference
+ * @param {string} image - Docker image (e.g. bitnami/kubectl:1.29.2)
+ * @returns {string} - Container name (e.g. kubectl)
+ */
+function containerNameFor(image) {
+  const repository = image.split('@')[0].replace(/:[^/:]*$/, '');
+  const name = repository.split('/').pop().toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  return name.replace(/^-+|-+$/g, '').slice(0, 63) || 'step';
+}
+
+/**
+ * Check whether an image runs a Docker-in-Docker daemon
+ * @param {string} image - Docker image
+ * @returns {boolean} - True for Docker-in-Docker images
+ */
+function isDockerInDocker(image) {
+  return /-dind$/.test(image);
+}
+
+/**
+ * Quote an argument for a POSIX shell if it contains special characters
+ * @param {string} arg - Argument
+ * @returns {string} - Argument safe to use in a shell command
+ */
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Turn a step command into a shell script
+ * @param {Object} step - Step configuration
+ * @returns {string} - Shell script for the step
+ */
+function stepScript(step) {
+  const command = step.command || [];
+  if (command.length === 3 && /^(ba)?sh$/.test(command[0]) && command[1] === '-c') {
+    return command[2];
+  }
+  return command.map(shellQuote).join(' ');
+}
+
+/**
+ * Get the host of a Docker registry; registries without one, such as a
+ * Docker Hub namespace, are on docker.io
+ * @param {string} dockerRegistry - Docker registry (e.g. ghcr.io/my-org or my-org)
+ * @returns {string} - Registry host
+ */
+function registryHostOf(dockerRegistry) {
+  const first = dockerRegistry.split('/')[0];
+  return /[.:]|^localhost$/.test(first) ? first : 'docker.io';
+}
+
+/**
+ * Infer the registry type from the host of a Docker registry
+ * @param {string} dockerRegistry - Docker registry
+ * @returns {string} - One of REGISTRY_TYPES; registries that are not
+ *   recognized are treated as Harbor, which logs in with a username and password
+ */
+function registryTypeOf(dockerRegistry) {
+  if (!dockerRegistry) {
+    return 'ecr';
+  }
+
+  const host = registryHostOf(dockerRegistry);
+  if (/\.dkr\.ecr\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/.test(host)) {
+    return 'ecr';
+  }
+  if (['docker.io', 'index.docker.io', 'registry-1.docker.io'].includes(host)) {
+    return 'dockerhub';
+  }
+  if (host === 'ghcr.io') {
+    return 'ghcr';
+  }
+  if (/(^|\.)gcr\.io$|-docker\.pkg\.dev$/.test(host)) {
+    return 'gcr';
+  }
+  if (/\.azurecr\.io$/.test(host)) {
+    return 'acr';
+  }
+  return 'harbor';
+}
+
+/**
+ * Render the Jenkins withCredentials bindings of a stage's secrets. Secrets
+ * with the keys username and password of one credential share a
+ * usernamePassword binding; every other secret is a string credential.
+ * @param {Array} secrets - Secrets as { name, credentialsId, secret, key }
+ * @returns {Array} - Groovy binding expressions
+ */
+function jenkinsCredentialBindings(secrets) {
+  const credentialsIds = [...new Set(secrets.map(secret => secret.credentialsId))];
+  return [].concat(...credentialsIds.map(id => {
+    const bound = secrets.filter(secret => secret.credentialsId === id);
+    const username = bound.find(secret => secret.key === 'username');
+    const password = bound.find(secret => secret.key === 'password');
+    if (username && password) {
+      return [`usernamePassword(credentialsId: '${groovyEscape(id)}', ` +
+        `usernameVariable: '${username.name}', passwordVariable: '${password.name}')`];
+    }
+    return bound.map(secret => `string(credentialsId: '${groovyEscape(id)}', variable: '${secret.name}')`);
+  }));
+}
+
+/**
+ * Derive a GitHub Actions job ID from a stage name
+ * @param {string} name - Stage name
+ * @returns {string} - Job ID
+ */
+function jobIdFor(name) {
+  return name.replace(/[^A-Za-z0-9_-]/g, '-').replace(/^([^A-Za-z_])/, '_$1');
+}
+
+/**
+ * Convert a list of { name, value } variables to a key/value object
+ * @param {Array} variables - Environment variables
+ * @returns {Object} - Environment variables keyed by name
+ */
+function toEnvObject(variables) {
+  return variables.reduce((env, variable) => {
+    env[variable.name] = variable.value;
+    return env;
+  }, {});
+}
+
+/**
+ * Escape a value for use inside a single-quoted Groovy string
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function groovyEscape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Escape text for a JSON string inside a double-quoted shell string
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function jsonShellEscape(text) {
+  return JSON.stringify(String(text)).slice(1, -1).replace(/[\\"$`]/g, '\\$&');
+}
+
+/**
+ * Resolve the TLS Secret name of an ingress
+ * @param {string} projectName - Project name
+ * @param {boolean|string|Object} tls - true, a Secret name or an object with a secretName
+ * @returns {string|undefined} - Secret name, or undefined without TLS
+ */
+function tlsSecretNameFor(projectName, tls) {
+  if (!tls) {
+    return undefined;
+  }
+  if (typeof tls === 'string') {
+    return tls;
+  }
+  return tls.secretName || `${projectName}-tls`;
+}
+
+/**
+ * Build the replica bounds and metrics of a HorizontalPodAutoscaler spec
+ * @param {Object} autoscaling - Autoscaling configuration
+ * @param {number} replicas - Replicas used when no minReplicas is given
+ * @returns {Object} - Object with minReplicas, maxReplicas and metrics
+ */
+function autoscalingSpecFor(autoscaling, replicas) {
+  if (!autoscaling.maxReplicas) {
+    throw new Error('Autoscaling needs maxReplicas');
+  }
+
+  const targets = {
+    cpu: autoscaling.targetCPUUtilization,
+    memory: autoscaling.targetMemoryUtilization
+  };
+  if (!targets.cpu && !targets.memory) {
+    targets.cpu = 80;
+  }
+
+  return {
+    minReplicas: autoscaling.minReplicas || replicas || 1,
+    maxReplicas: autoscaling.maxReplicas,
+    metrics: Object.keys(targets)
+      .filter(name => targets[name])
+      .map(name => ({
+        type: 'Resource',
+        resource: {
+          name,
+          target: {
+            type: 'Utilization',
+            averageUtilization: targets[name]
+          }
+        }
+      }))
+  };
+}
+
+/**
+ * Build the data of a ConfigMap from key/value pairs and files
+ * @param {Object} configMap - ConfigMap configuration with data and files
+ * @returns {Object} - ConfigMap data
+ */
+function configMapDataFor(configMap) {
+  const data = {};
+  Object.keys(configMap.data || {}).forEach(key => {
+    data[key] = String(configMap.data[key]);
+  });
+  Object.keys(configMap.files || {}).forEach(key => {
+    data[key] = fs.readFileSync(configMap.files[key], 'utf8');
+  });
+  return data;
+}
+
+/**
+ * Build the budget of a PodDisruptionBudget spec
+ * @param {boolean|Object} budget - true, or an object with minAvailable or maxUnavailable
+ * @returns {Object} - Object with minAvailable or maxUnavailable
+ */
+function disruptionBudgetSpecFor(budget) {
+  if (budget.maxUnavailable !== undefined) {
+    return { maxUnavailable: budget.maxUnavailable };
+  }
+  return { minAvailable: budget.minAvailable !== undefined ? budget.minAvailable : 1 };
+}
+
+/**
+ * Convert container resources given as requests with optional limits
+ * ({ cpu, memory, limits }) or as { requests, limits } to Kubernetes
+ * resource requirements
+ * @param {Object} resources - Container resources
+ * @returns {Object} - Object with requests and, if given, limits
+ */
+function toResourceRequirements(resources) {
+  const { requests, limits, ...flat } = resources;
+  const requirements = { requests: { ...flat, ...requests } };
+  if (limits) {
+    requirements.limits = limits;
+  }
+  return requirements;
+}
+
+/**
+ * Convert a probe shorthand to a Kubernetes probe. Probes with a handler
+ * (httpGet, tcpSocket, exec or grpc) are kept as they are, a path becomes an
+ * HTTP GET and anything else a TCP check, against the container's http port
+ * unless a port is given.
+ * @param {Object} probe - Probe configuration
+ * @returns {Object} - Kubernetes probe
+ */
+function toProbe(probe) {
+  if (probe.httpGet || probe.tcpSocket || probe.exec || probe.grpc) {
+    return probe;
+  }
+
+  const { path: probePath, port = 'http', ...timing } = probe;
+  if (probePath) {
+    return { httpGet: { path: probePath, port }, ...timing };
+  }
+  return { tcpSocket: { port }, ...timing };
+}
+
+/**
+ * Convert a strategy option to a Deployment strategy. Anything without a type
+ * is a rolling update, by default surging one quarter of the pods and never
+ * going below the desired count.
+ * @param {Object} strategy - Strategy configuration (optional)
+ * @returns {Object} - Kubernetes Deployment strategy
+ */
+function toDeploymentStrategy(strategy = {}) {
+  if (strategy.type) {
+    return strategy;
+  }
+  return {
+    type: 'RollingUpdate',
+    rollingUpdate: {
+      maxSurge: strategy.maxSurge !== undefined ? strategy.maxSurge : '25%',
+      maxUnavailable: strategy.maxUnavailable !== undefined ? strategy.maxUnavailable : 0
+    }
+  };
+}
+
+/**
+ * Call a function for every object in a parsed YAML document, depth first
+ * @param {*} node - Document or value inside it
+ * @param {Function} visit - Called with every object
+ */
+function walkObjects(node, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(item => walkObjects(item, visit));
+  } else if (node && typeof node === 'object') {
+    visit(node);
+    Object.keys(node).forEach(key => walkObjects(node[key], visit));
+  }
+}
+
+/**
+ * Parse the YAML documents of generated files for lint rules: the pod template
+ * of the Jenkinsfile and every YAML file but Helm templates, which are only
+ * YAML once rendered
+ * @param {Object} files - File contents keyed by path
+ * @returns {Array} - Objects with the file and a parsed document
+ */
+function lintDocumentsOf(files) {
+  const documents = [];
+
+  Object.keys(files).forEach(file => {
+    let source;
+    if (path.basename(file) === 'Jenkinsfile') {
+      const pod = /yaml '''\n([\s\S]*?)'''/.exec(files[file]);
+      source = pod ? pod[1].replace(/\\(['\\])/g, '$1') : '';
+    } else if (/\.ya?ml$/.test(file) && !file.split(path.sep).includes('templates')) {
+      source = files[file];
+    }
+
+    try {
+      yaml.loadAll(source || '', document => {
+        if (document && typeof document === 'object') {
+          documents.push({ file, document });
+        }
+      });
+    } catch (parseError) {
+      // Files that are not plain YAML are only checked as text
+    }
+  });
+
+  return documents;
+}
+
+/**
+ * Built-in lint rules. Each check gets the generated files, their parsed
+ * documents and the generator, and returns findings with the path of a file
+ * and a message.
+ */
+const LINT_RULES = [
+  {
+    id: 'privileged-container',
+    severity: 'error',
+    description: 'Containers must not run privileged',
+    check: ({ documents }) => {
+      const findings = [];
+      documents.forEach(({ file, document }) => walkObjects(document, node => {
+        if (node.securityContext && node.securityContext.privileged === true) {
+          findings.push({ path: file, message: `container ${node.name || node.image} runs privileged` });
+        }
+      }));
+      return findings;
+    }
+  },
+  {
+    id: 'docker-socket',
+    severity: 'error',
+    description: 'Pods must not mount the Docker socket of the node',
+    check: ({ documents }) => {
+      const findings = [];
+      documents.forEach(({ file, document }) => walkObjects(document, node => {
+        if (node.hostPath && /docker\.sock$/.test(node.hostPath.path || '')) {
+          findings.push({ path: file, message: `volume ${node.name} mounts the Docker socket ${node.hostPath.path} of the node` });
+        }
+      }));
+      return findings;
+    }
+  },
+  {
+    id: 'latest-image',
+    severity: 'warning',
+    description: 'Images must not use the mutable latest tag',
+    check: ({ files }) => {
+      const findings = [];
+      Object.keys(files).forEach(file => {
+        const images = new Set((files[file].match(/[\w./${}-]+:latest\b/g) || []));
+        images.forEach(image => findings.push({ path: file, message: `${image} uses the mutable latest tag` }));
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'missing-resource-limits',
+    severity: 'warning',
+    description: 'Workload containers must set CPU and memory limits',
+    check: ({ documents }) => {
+      const findings = [];
+      const missing = resources => ['cpu', 'memory']
+        .filter(resource => !((resources || {}).limits || {})[resource]);
+
+      documents.forEach(({ file, document }) => {
+        if (WORKLOAD_KINDS.includes(document.kind)) {
+          const { containers = [] } = ((document.spec || {}).template || {}).spec || {};
+          containers
+            // Kustomize patches without resources keep those of the base
+            .filter(container => !/overlays/.test(file) || container.resources)
+            .forEach(container => {
+              const resources = missing(container.resources);
+              if (resources.length > 0) {
+                findings.push({
+                  path: file,
+                  message: `container ${container.name} of ${document.kind} ${(document.metadata || {}).name} ` +
+                    `has no ${resources.join(' or ')} limit`
+                });
+              }
+            });
+        } else if (/(^|[\\/])values(-[^/\\]+)?\.yaml$/.test(file) && document.resources) {
+          // Helm values of the chart's container
+          const resources = missing(document.resources);
+          if (resources.length > 0) {
+            findings.push({ path: file, message: `resources have no ${resources.join(' or ')} limit` });
+          }
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'broad-iam-policy',
+    severity: 'error',
+    description: 'IAM roles must not attach broad managed policies or allow every action on every resource',
+    check: ({ documents }) => {
+      const findings = [];
+      const asList = value => [].concat(value === undefined ? [] : value);
+
+      documents.forEach(({ file, document }) => {
+        const resources = document.Resources || {};
+        Object.keys(resources)
+          .filter(name => /^AWS::IAM::/.test(resources[name].Type))
+          .forEach(name => {
+            const properties = resources[name].Properties || {};
+            asList(properties.ManagedPolicyArns)
+              .map(arn => (typeof arn === 'string' ? arn : JSON.stringify(arn)))
+              .filter(arn => /AdministratorAccess|PowerUserAccess|FullAccess/.test(arn))
+              .forEach(arn => findings.push({ path: file, message: `${name} attaches the managed policy ${arn}` }));
+
+            const policyDocuments = [properties.PolicyDocument, ...asList(properties.Policies).map(policy => policy.PolicyDocument)];
+            policyDocuments
+              .filter(Boolean)
+              .forEach(policyDocument => asList(policyDocument.Statement)
+                .filter(statement => statement.Effect === 'Allow' &&
+                  asList(statement.Resource).includes('*') &&
+                  asList(statement.Action).some(action => /^(\*|[\w-]+:\*)$/.test(action)))
+                .forEach(statement => findings.push({
+                  path: file,
+                  message: `${name} allows ${asList(statement.Action).join(', ')} on every resource` +
+                    `${statement.Sid ? ` in ${statement.Sid}` : ''}`
+                })));
+          });
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'unpinned-download',
+    severity: 'warning',
+    description: 'Build tools downloaded with curl or wget must be pinned to a version and checksum',
+    check: ({ documents }) => {
+      const findings = [];
+
+      documents.filter(({ document }) => document.phases).forEach(({ file, document }) => {
+        const commands = [].concat(...Object.keys(document.phases)
+          .map(phase => document.phases[phase].commands || []));
+        const verified = commands.some(command => /\bsha(256|512)sum\b|\bshasum\b/.test(command));
+
+        commands
+          .filter(command => /\b(curl|wget)\b/.test(command) &&
+            /\s-[a-zA-Z]*[oO]\b|\|\s*(tar|sh|bash)\b/.test(command))
+          .forEach(command => {
+            // Version lookups such as $(curl .../stable.txt) are shown as <version>
+            const url = (/https?:\/\/[^\s'"|]+/.exec(command.replace(/\$\([^)]*\)/g, '<version>')) || [command])[0];
+            const tool = url.split('/').pop();
+            if (/stable\.txt|\/latest\/|\$\(/.test(command)) {
+              findings.push({ path: file, message: `downloads ${tool} from an unversioned URL: ${url}` });
+            } else if (!verified) {
+              findings.push({ path: file, message: `downloads ${tool} without verifying its checksum: ${url}` });
+            }
+          });
+      });
+      return findings;
+    }
+  }
+];
+
+/**
+ * Main class for generating pipeline configurations
+ */
+class K8sPipelineGenerator {
+  /**
+   * Create a new pipeline generator
+   * @param {Object} options - Configuration options
+   * @param {string} options.projectName - Name of the project
+   * @param {string} options.repoUrl - Git repository URL
+   * @param {string} options.branch - Git branch to use (default: main)
+   * @param {string} options.namespace - Kubernetes namespace (default: default)
+   * @param {string} options.dockerRegistry - Docker registry URL
+   * @param {Object} options.registry - Registry the image is pushed to: type (ecr, dockerhub,
+   *   ghcr, gcr, acr or harbor, default: inferred from the dockerRegistry host),
+   *   credentialsId of the Jenkins username/password credential for registries other than
+   *   ECR (default: registry-credentials) and aws (region, accountId and ecrRepository of
+   *   the ECR repository of the AWS CodePipeline)
+   * @param {Object} options.deploymentConfig - Kubernetes deployment configuration: port,
+   *   imagePullPolicy, replicas, resources, livenessProbe, readinessProbe, startupProbe, env,
+   *   envFrom, volumes, volumeMounts, securityContext, podSecurityContext, serviceAccountName,
+   *   automountServiceAccountToken, nodeSelector, tolerations and strategy
+   * @param {Array|Object} options.environments - Environments to deploy to, as names, objects
+   *   with a name, or an object keyed by name. Each environment can override namespace,
+   *   replicas, resources, serviceType, env, cluster, region, kubeContext, accountId or
+   *   roleArn for deployments to another AWS account, and add an ingress, autoscaling,
+   *   configMap, secretRefs and podDisruptionBudget (default: dev, staging and prod)
+   * @param {string} options.layout - Layout of the Kubernetes configuration: manifests (plain
+   *   manifests per environment, applied with kubectl), helm (a Helm chart installed with
+   *   helm upgrade --install) or kustomize (a base with one overlay per environment, applied
+   *   with kubectl apply -k) (default: manifests)
+   * @param {string} options.deployMode - How deploy stages reach the cluster: kubectl or
+   *   gitops (default: kubectl)
+   * @param {Object} options.gitops - Config repository of the gitops deploy mode: repoUrl
+   *   (HTTPS), branch (default: main), path of the Kubernetes configuration in it (default:
+   *   the root), tool (argocd or flux, default: argocd) and credentialsId of the Jenkins
+   *   credential holding the push token (default: gitops-token)
+   * @param {string|Object} options.tagging - Tagging policy of the image (git-sha, semver or
+   *   branch-build, default: git-sha), or an object with that policy and pinDigest, which
+   *   deploys the digest of the pushed image instead of its tag (default: false)
+   * @param {Object} options.lint - Lint settings: failOn, the lowest severity (info, warning
+   *   or error) of the findings that make saveToFiles throw (default: none), and rules, the
+   *   severity of rules by id, or off to disable them
+   * @param {Object} options.cache - Build caches: dependencies, the npm, maven, pip and gradle
+   *   caches of the test and build stages, claimName, the PersistentVolumeClaim holding them
+   *   for Jenkins agents and Tekton tasks (default: <projectName>-cache), and codeBuild, the
+   *   cache of the CodeBuild project building the image: local or s3 (optional)
+   * @param {Array} options.notifications - Channels to notify of pipeline events. Each has a
+   *   type (slack, teams, email or webhook), events (started, succeeded, failed and
+   *   awaiting-approval, default: failed), to, the addresses of email, credentialsId, the
+   *   Jenkins secret text credential holding the URL of a webhook (default: slack-webhook,
+   *   teams-webhook or notification-webhook), and url, the HTTPS endpoint the AWS
+   *   CodePipeline template notifies for webhook (optional)
+   */
+  constructor(options = {}) {
+    this.projectName = options.projectName || 'k8s-app';
+    this.repoUrl = options.repoUrl || '';
+    this.branch = options.branch || 'main';
+    this.namespace = options.namespace || 'default';
+    this.dockerRegistry = options.dockerRegistry || '';
+    this.deploymentConfig = options.deploymentConfig || {};
+    this.stages = [];
+    this.environmentConfigs = normalizeEnvironments(options.environments);
+    this.environments = Object.keys(this.environmentConfigs);
+    this.dockerfilePath = options.dockerfilePath || './Dockerfile';
+    this.layout = options.layout || 'manifests';
+    if (!LAYOUTS.includes(this.layout)) {
+      throw new Error(`Layout ${this.layout} is not valid. Use one of: ${LAYOUTS.join(', ')}`);
+    }
+    this.deployMode = options.deployMode || 'kubectl';
+    if (!DEPLOY_MODES.includes(this.deployMode)) {
+      throw new Error(`Deploy mode ${this.deployMode} is not valid. Use one of: ${DEPLOY_MODES.join(', ')}`);
+    }
+    const gitops = options.gitops || {};
+    this.gitops = {
+      repoUrl: gitops.repoUrl || '',
+      branch: gitops.branch || 'main',
+      path: gitops.path || '',
+      tool: gitops.tool || 'argocd',
+      credentialsId: gitops.credentialsId || 'gitops-token'
+    };
+    if (!GITOPS_TOOLS.includes(this.gitops.tool)) {
+      throw new Error(`GitOps tool ${this.gitops.tool} is not valid. Use one of: ${GITOPS_TOOLS.join(', ')}`);
+    }
+    const tagging = typeof options.tagging === 'string' ? { policy: options.tagging } : options.tagging || {};
+    this.tagging = {
+      policy: tagging.policy || 'git-sha',
+      pinDigest: tagging.pinDigest === true
+    };
+    if (!TAG_POLICIES.includes(this.tagging.policy)) {
+      throw new Error(`Tagging policy ${this.tagging.policy} is not valid. Use one of: ${TAG_POLICIES.join(', ')}`);
+    }
+    if (this.deployMode === 'gitops' && this.gitops.tool === 'flux' && this.layout === 'helm') {
+      throw new Error('The flux GitOps tool is only supported with the manifests and kustomize layouts');
+    }
+    this.registry = {
+      aws: {
+        region: 'us-east-1',
+        ecrRepository: `${this.projectName}-repo`
+      },
+      ...options.registry
+    };
+    if (this.registry.type && !REGISTRY_TYPES.includes(this.registry.type)) {
+      throw new Error(`Registry type ${this.registry.type} is not valid. Use one of: ${REGISTRY_TYPES.join(', ')}`);
+    }
+    const cache = options.cache || {};
+    this.cache = {
+      dependencies: cache.dependencies || [],
+      claimName: cache.claimName || `${this.projectName}-cache`,
+      codeBuild: cache.codeBuild
+    };
+    this.cache.dependencies.forEach(tool => {
+      if (!DEPENDENCY_CACHES[tool]) {
+        throw new Error(`Dependency cache ${tool} is not valid. Use one of: ${Object.keys(DEPENDENCY_CACHES).join(', ')}`);
+      }
+    });
+    if (this.cache.codeBuild !== undefined && !CODEBUILD_CACHE_TYPES.includes(this.cache.codeBuild)) {
+      throw new Error(`CodeBuild cache ${this.cache.codeBuild} is not valid. Use one of: ${CODEBUILD_CACHE_TYPES.join(', ')}`);
+    }
+    this.notifications = (options.notifications || []).map(channel => {
+      if (!NOTIFICATION_TYPES[channel.type]) {
+        throw new Error(`Notification type ${channel.type} is not valid. Use one of: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`);
+      }
+      const events = channel.events || ['failed'];
+      events.forEach(event => {
+        if (!NOTIFICATION_EVENTS[event]) {
+          throw new Error(`Notification event ${event} is not valid. Use one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`);
+        }
+      });
+      if (channel.type === 'email') {
+        const to = [].concat(channel.to || []);
+        if (to.length === 0) {
+          throw new Error('Email notifications need the addresses to send to');
+        }
+        return { type: 'email', events, to };
+      }
+      return {
+        ...channel,
+        events,
+        credentialsId: channel.credentialsId || NOTIFICATION_TYPES[channel.type].credentialsId
+      };
+    });
+    const lint = options.lint || {};
+    this.lintConfig = { failOn: lint.failOn, rules: { ...lint.rules } };
+    this.lintRules = [];
+    if (this.lintConfig.failOn !== undefined && !LINT_SEVERITIES.includes(this.lintConfig.failOn)) {
+      throw new Error(`Lint severity ${this.lintConfig.failOn} is not valid. Use one of: ${LINT_SEVERITIES.join(', ')}`);
+    }
+    Object.keys(this.lintConfig.rules).forEach(id => {
+      if (![...LINT_SEVERITIES, 'off'].includes(this.lintConfig.rules[id])) {
+        throw new Error(`Lint severity ${this.lintConfig.rules[id]} of rule ${id} is not valid. ` +
+          `Use one of: ${[...LINT_SEVERITIES, 'off'].join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Create a generator from a declarative configuration, as produced by toConfig()
+   * @param {Object} config - Constructor options plus a stages list. Each stage has a type:
+   *   test (command, image plus the options of addTestStage), build (command, image), docker-build (imageName, tag plus the options of
+   *   addDockerBuildStage), security-scan (the options of addSecurityScanStage), approval and deploy
+   *   (environment plus the options of addApprovalStage/addDeployStage) or custom (a stage
+   *   as accepted by addStage)
+   * @returns {K8sPipelineGenerator} - The configured generator
+   */
+  static fromConfig(config = {}) {
+    const { stages = [], ...options } = config;
+    const generator = new this(options);
+
+    stages.forEach(stage => {
+      const { type = 'custom', ...settings } = stage;
+      switch (type) {
+        case 'test': {
+          const { command, image, ...reports } = settings;
+          generator.addTestStage(command, image, reports);
+          break;
+        }
+        case 'build':
+          generator.addBuildStage(settings.command, settings.image);
+          break;
+        case 'docker-build': {
+          const { imageName, tag, ...build } = settings;
+          generator.addDockerBuildStage(imageName, tag, build);
+          break;
+        }
+        case 'security-scan':
+          generator.addSecurityScanStage(settings);
+          break;
+        case 'approval': {
+          const { environment, ...approval } = settings;
+          generator.addApprovalStage(environment, approval);
+          break;
+        }
+        case 'deploy': {
+          const { environment, ...deploy } = settings;
+          generator.addDeployStage(environment, deploy);
+          break;
+        }
+        case 'custom':
+          generator.addStage(settings);
+          break;
+        default:
+          throw new Error(`Stage type ${type} is not valid. Use one of: ${STAGE_TYPES.join(', ')}`);
+      }
+    });
+
+    return generator;
+  }
+
+  /**
+   * Describe the generator as a declarative configuration for fromConfig()
+   * @returns {Object} - Constructor options plus a stages list
+   */
+  toConfig() {
+    // Approval gates added through addDeployStage's approval option come back with it
+    const implicitApprovals = this.stages
+      .filter(stage => stage.source && stage.source.type === 'deploy' && stage.source.approval)
+      .map(stage => `approve-${stage.environment}`);
+
+    // Of the stages of one addSecurityScanStage call, only the last has its source
+    const stages = this.stages
+      .filter(stage => !(stage.approval && implicitApprovals.includes(stage.name)))
+      .filter(stage => !stage.security || stage.source)
+      .map(stage => stage.source || { type: 'custom', ...stage });
+
+    const config = {
+      projectName: this.projectName,
+      repoUrl: this.repoUrl,
+      branch: this.branch,
+      namespace: this.namespace,
+      dockerRegistry: this.dockerRegistry,
+      dockerfilePath: this.dockerfilePath,
+      registry: this.registry,
+      layout: this.layout,
+      deployMode: this.deployMode,
+      tagging: this.tagging,
+      environments: this.environmentConfigs
+    };
+
+    if (this.deployMode === 'gitops') {
+      config.gitops = this.gitops;
+    }
+
+    if (Object.keys(this.deploymentConfig).length > 0) {
+      config.deploymentConfig = this.deploymentConfig;
+    }
+
+    if (this.lintConfig.failOn || Object.keys(this.lintConfig.rules).length > 0) {
+      config.lint = this.lintConfig;
+    }
+
+    if (this.cache.dependencies.length > 0 || this.cache.codeBuild) {
+      config.cache = this.cache;
+    }
+
+    if (this.notifications.length > 0) {
+      config.notifications = this.notifications;
+    }
+
+    // Drop undefined values and share nothing with the generator
+    return JSON.parse(JSON.stringify({ ...config, stages }));
+  }
+
+  /**
+   * Get the resolved configuration of an environment
+   * @param {string} environment - Environment name
+   * @returns {Object} - Environment configuration with defaults applied
+   */
+  getEnvironmentConfig(environment) {
+    if (!this.environments.includes(environment)) {
+      throw new Error(`Environment ${environment} is not valid. Use one of: ${this.environments.join(', ')}`);
+    }
+
+    const overrides = this.environmentConfigs[environment];
+    return {
+      name: environment,
+      namespace: overrides.namespace || this.namespace,
+      replicas: overrides.replicas !== undefined ? overrides.replicas : (this.deploymentConfig.replicas || 1),
+      resources: overrides.resources || this.deploymentConfig.resources || { cpu: '100m', memory: '128Mi' },
+      serviceType: overrides.serviceType || 'ClusterIP',
+      env: toEnvList(overrides.env),
+      cluster: overrides.cluster,
+      region: overrides.region || this.registry.aws.region,
+      kubeContext: overrides.kubeContext,
+      accountId: overrides.accountId,
+      roleArn: overrides.roleArn ||
+        (overrides.accountId ? `arn:aws:iam::${overrides.accountId}:role/${this.projectName}-deploy` : undefined),
+      ingress: overrides.ingress,
+      autoscaling: overrides.autoscaling,
+      configMap: overrides.configMap,
+      secretRefs: overrides.secretRefs || [],
+      podDisruptionBudget: overrides.podDisruptionBudget
+    };
+  }
+
+  /**
+   * Get the container settings that reference the environment's ConfigMap and Secrets
+   * @param {Object} config - Resolved environment configuration
+   * @returns {Object} - Object with env, envFrom, volumeMounts and volumes lists
+   */
+  getConfigReferences(config) {
+    const references = { env: [], envFrom: [], volumeMounts: [], volumes: [] };
+    const configMap = config.configMap;
+
+    if (configMap && configMap.data && Object.keys(configMap.data).length > 0) {
+      references.envFrom.push({ configMapRef: { name: `${this.projectName}-config` } });
+    }
+
+    if (configMap && configMap.files && Object.keys(configMap.files).length > 0) {
+      references.volumeMounts.push({
+        name: 'config',
+        mountPath: configMap.mountPath || `/etc/${this.projectName}`,
+        readOnly: true
+      });
+      references.volumes.push({
+        name: 'config',
+        configMap: {
+          name: `${this.projectName}-config`,
+          items: Object.keys(configMap.files).map(key => ({ key, path: key }))
+        }
+      });
+    }
+
+    (config.secretRefs || []).forEach(secretRef => {
+      if (typeof secretRef === 'string') {
+        references.envFrom.push({ secretRef: { name: secretRef } });
+      } else {
+        references.env.push({
+          name: secretRef.name,
+          valueFrom: { secretKeyRef: { name: secretRef.secret, key: secretRef.key } }
+        });
+      }
+    });
+
+    return references;
+  }
+
+  /**
+   * Get the repository and tag of the application image, as built by the
+   * Docker build stage
+   * @returns {Object} - Object with repository and tag; the tag of the tagging
+   *   policy is ${IMAGE_TAG}, which every pipeline sets
+   */
+  getImageReference() {
+    const dockerStage = this.stages.find(stage => stage.docker);
+    if (!dockerStage) {
+      return { repository: `${this.dockerRegistry}/${this.projectName}`, tag: '${IMAGE_TAG}' };
+    }
+    return {
+      repository: `${this.dockerRegistry}/${dockerStage.docker.imageName}`,
+      tag: dockerStage.docker.tag
+    };
+  }
+
+  /**
+   * Get the image reference deploy steps use: the image tag or, with
+   * pinDigest, the digest the Docker build stage wrote to .image-digest, so
+   * every environment runs the very image that was built
+   * @returns {string} - Image reference, as a shell expression
+   */
+  getDeployImage() {
+    const image = this.getImageReference();
+    return this.tagging.pinDigest ? `${image.repository}@$(cat .image-digest)` : `${image.repository}:${image.tag}`;
+  }
+
+  /**
+   * Get the shell commands that set IMAGE_TAG with the tagging policy. The
+   * semver policy runs git describe, so it needs a clone with tags.
+   * @param {Object} variables - Shell expressions of the target's commit SHA (sha),
+   *   branch and build number (build)
+   * @returns {Array} - Shell commands, failing when no tag can be derived
+   */
+  getImageTagCommands({ sha, branch, build }) {
+    const commands = {
+      'git-sha': `IMAGE_TAG=$(echo "${sha}" | cut -c 1-7)`,
+      semver: 'IMAGE_TAG=$(git describe --tags --match \'v[0-9]*\' 2>/dev/null | sed \'s/^v//\')',
+      'branch-build': `IMAGE_TAG=$(echo "${branch}-${build}" | sed 's/[^A-Za-z0-9_.-]/-/g')`
+    };
+
+    return [
+      commands[this.tagging.policy],
+      `[ -n "$IMAGE_TAG" ] || { echo "Cannot derive the image tag of the ${this.tagging.policy} tagging policy" >&2; exit 1; }`
+    ];
+  }
+
+  /**
+   * Check whether the pipeline uses the image tag, in a Docker build or a deploy
+   * @returns {boolean} - True when a stage builds or deploys the image
+   */
+  usesImageTag() {
+    return this.stages.some(stage => stage.docker || stage.environment);
+  }
+
+  /**
+   * Get the registry the application image is pushed to
+   * @returns {Object} - Object with type, host, authKey (the key of its credentials in a
+   *   Docker config), region (ECR) and credentialsId
+   */
+  getRegistry() {
+    const type = this.registry.type || registryTypeOf(this.dockerRegistry);
+    const host = registryHostOf(this.dockerRegistry);
+    const ecrRegion = host.match(/\.dkr\.ecr\.([a-z0-9-]+)\.amazonaws\.com/);
+
+    return {
+      type,
+      host,
+      // Docker Hub credentials are keyed by its index URL
+      authKey: type === 'dockerhub' ? 'https://index.docker.io/v1/' : host,
+      region: ecrRegion ? ecrRegion[1] : this.registry.aws.region,
+      credentialsId: this.registry.credentialsId || 'registry-credentials'
+    };
+  }
+
+  /**
+   * Validate the configuration and the manifests it generates
+   * @param {string} target - Pipeline target being generated, making target-specific
+   *   warnings errors (optional, e.g. aws-codepipeline), or gitlab-ci, which may push
+   *   to the GitLab container registry without a dockerRegistry
+   * @returns {Object} - Object with valid, errors and warnings; each problem has the
+   *   path of the offending option (e.g. stages[2].steps) and a message, and warnings
+   *   that are errors of another target name it in target
+   */
+  validate(target) {
+    const errors = [];
+    const warnings = [];
+    const error = (at, message) => errors.push({ path: at, message });
+    const warning = (at, message) => warnings.push({ path: at, message });
+    // Problems of the AWS CodePipeline template only fail that target
+    const awsError = (at, message) => (target === 'aws-codepipeline'
+      ? error(at, message)
+      : warnings.push({ path: at, message, target: 'aws-codepipeline' }));
+
+    if (!FIELD_TYPES.dns1123Label(this.projectName)) {
+      error('projectName', 'must be a DNS-1123 label: at most 63 lowercase alphanumerics or -, ' +
+        'starting and ending with an alphanumeric');
+    }
+    if (!FIELD_TYPES.dns1123Label(this.namespace)) {
+      error('namespace', 'must be a DNS-1123 label');
+    }
+    this.environments.forEach(env => {
+      const { namespace, podDisruptionBudget } = this.environmentConfigs[env];
+      if (namespace !== undefined && !FIELD_TYPES.dns1123Label(namespace)) {
+        error(`environments.${env}.namespace`, 'must be a DNS-1123 label');
+      }
+      if (podDisruptionBudget && podDisruptionBudget.minAvailable !== undefined &&
+        podDisruptionBudget.maxUnavailable !== undefined) {
+        error(`environments.${env}.podDisruptionBudget`, 'must not set both minAvailable and maxUnavailable');
+      }
+      // The HPA scales the Deployment named after the project, not the blue and green slots
+      if (this.environmentConfigs[env].autoscaling && this.getDeployStrategy(env).type === 'blue-green') {
+        warning(`environments.${env}.autoscaling`, 'does not scale the blue and green Deployments of the blue-green strategy');
+      }
+    });
+
+    const names = new Set();
+    this.stages.forEach((stage, index) => {
+      const at = `stages[${index}]`;
+      if (!stage.name) {
+        error(`${at}.name`, 'is required');
+      } else if (names.has(stage.name)) {
+        error(`${at}.name`, `duplicates the name of another stage: ${stage.name}`);
+      }
+      names.add(stage.name);
+
+      // Approval stages are the only stages that run no steps
+      if (!stage.approval && (!Array.isArray(stage.steps) || stage.steps.length === 0)) {
+        error(`${at}.steps`, 'must contain at least one step');
+      }
+      (stage.steps || []).forEach((step, stepIndex) => {
+        if (!step.image) {
+          error(`${at}.steps[${stepIndex}].image`, 'is required');
+        }
+        if (!Array.isArray(step.command) || step.command.length === 0) {
+          error(`${at}.steps[${stepIndex}].command`, 'must be a non-empty list');
+        }
+      });
+    });
+
+    this.stages.forEach((stage, index) => {
+      runAfterOf(stage)
+        .filter(name => !names.has(name))
+        .forEach(name => error(`stages[${index}].runAfter`, `refers to unknown stage ${name}`));
+    });
+    if (errors.every(problem => !/\.runAfter$/.test(problem.path))) {
+      try {
+        this.orderStages();
+      } catch (orderError) {
+        error('stages', orderError.message);
+      }
+    }
+
+    // GitLab CI pushes to the project's GitLab container registry when no registry is configured
+    if (this.stages.some(stage => stage.docker) && !this.dockerRegistry &&
+      !(target === 'gitlab-ci' && this.usesGitlabRegistry())) {
+      error('dockerRegistry', 'must be set for the Docker build stage of targets other than GitLab CI, ' +
+        `or images are named /${this.getImageReference().repository.split('/').pop()}`);
+    }
+
+    if (this.tagging.pinDigest && !this.stages.some(stage => stage.docker)) {
+      error('tagging.pinDigest', 'needs a Docker build stage, which records the digest of the image it pushes');
+    }
+
+    // Pipelines that run in the cluster log in to ECR with the region and account of its host
+    if (this.stages.some(stage => stage.docker) && this.dockerRegistry &&
+      this.getRegistry().type === 'ecr' && registryTypeOf(this.dockerRegistry) !== 'ecr') {
+      error('dockerRegistry', 'must be an Amazon ECR registry (<account>.dkr.ecr.<region>.amazonaws.com) ' +
+        'for the ecr registry type');
+    }
+
+    // Deploy steps push to the config repository with a token, over HTTPS
+    if (this.deployMode === 'gitops' && !/^https:\/\/[^/]+\/.+/.test(this.gitops.repoUrl)) {
+      error('gitops.repoUrl', 'must be the HTTPS URL of the config repository for the gitops deploy mode');
+    }
+
+    if (!/^(https:\/\/|git@)github\.com[/:][^/]+\/[^/]+$/.test(this.repoUrl)) {
+      awsError('repoUrl', 'must be a GitHub repository URL for the CodeStar source of the AWS CodePipeline template');
+    }
+
+    // The notification topic of the AWS CodePipeline template posts to webhooks over HTTPS
+    this.notifications.forEach((channel, index) => {
+      if (channel.type === 'webhook' && !/^https:\/\/[^/]+/.test(channel.url || '')) {
+        awsError(`notifications[${index}].url`, 'must be an HTTPS URL for the webhook to be notified by the AWS CodePipeline template');
+      }
+    });
+
+    // Check the manifests of every environment against the Kubernetes schemas
+    this.withoutValidation(() => {
+      this.environments.forEach(env => {
+        const at = `environments.${env}`;
+        try {
+          const manifests = [
+            this.buildK8sDeployment(undefined, env),
+            yaml.load(this.generateK8sService(80, undefined, undefined, env))
+          ];
+          const resources = this.generateK8sEnvironmentResources(env);
+          Object.keys(resources).forEach(file => manifests.push(yaml.load(resources[file])));
+
+          manifests.forEach(manifest => {
+            validateManifest(manifest, `${at}.manifests.${manifest.kind}`)
+              .forEach(problem => error(problem.path, problem.message));
+          });
+        } catch (generateError) {
+          error(at, generateError.message);
+        }
+      });
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Throw if the configuration is invalid. Called once by every generate method,
+   * saveToFiles and lint, which generate from other generate methods with
+   * validation suspended.
+   * @param {string} target - Pipeline target being generated (optional)
+   * @returns {Object} - The result of validate, with no warnings while validation is suspended
+   */
+  assertValid(target) {
+    if (this.skipValidation) {
+      return { valid: true, errors: [], warnings: [] };
+    }
+
+    const result = this.validate(target);
+    const { errors } = result;
+    if (errors.length > 0) {
+      const error = new Error(`Invalid pipeline configuration:\n${errors
+        .map(problem => `  ${problem.path}: ${problem.message}`)
+        .join('\n')}`);
+      error.errors = errors;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Run a function without validating the configuration in the generate
+   * methods it calls
+   * @param {Function} fn - Function to run
+   * @returns {*} - Return value of fn
+   */
+  withoutValidation(fn) {
+    const previous = this.skipValidation;
+    this.skipValidation = true;
+    try {
+      return fn();
+    } finally {
+      this.skipValidation = previous;
+    }
+  }
+
+  /**
+   * Add a lint rule, checked by lint() and saveToFiles after the built-in rules
+   * @param {Object} rule - Rule configuration
+   * @param {string} rule.id - Rule id, used in findings and lint.rules
+   * @param {string} rule.severity - Severity of its findings: info, warning or error
+   * @param {string} rule.description - What the rule requires
+   * @param {Function} rule.check - Called with { files, documents, generator }: the generated
+   *   file contents keyed by path, their parsed YAML documents as { file, document } and the
+   *   generator. Returns a list of findings, each with the path of a file and a message.
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addLintRule(rule) {
+    if (!rule || !rule.id || typeof rule.check !== 'function') {
+      throw new Error('A lint rule needs an id and a check function');
+    }
+    if (!LINT_SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Lint severity ${rule.severity} of rule ${rule.id} is not valid. Use one of: ${LINT_SEVERITIES.join(', ')}`);
+    }
+    if (LINT_RULES.concat(this.lintRules).some(existing => existing.id === rule.id)) {
+      throw new Error(`Lint rule ${rule.id} already exists`);
+    }
+
+    this.lintRules.push(rule);
+    return this;
+  }
+
+  /**
+   * Get the lint rules in effect: the built-in and added rules, with the
+   * severities of lint.rules applied and the rules turned off left out
+   * @returns {Array} - Rules with id, severity, description and check
+   */
+  getLintRules() {
+    return LINT_RULES.concat(this.lintRules)
+      .map(rule => ({ ...rule, severity: this.lintConfig.rules[rule.id] || rule.severity }))
+      .filter(rule => rule.severity !== 'off');
+  }
+
+  /**
+   * Lint the files saveToFiles would write, after validating the configuration
+   * @param {Object} options - Lint options
+   * @param {Array} options.targets - Pipeline targets to lint (default: all, see getTargets)
+   * @param {string} options.failOn - Lowest severity failing the lint (default: lint.failOn)
+   * @returns {Object} - Object with passed, false when a finding has the failOn severity or a
+   *   higher one, and findings, each with rule, severity, path of the file and message
+   */
+  lint(options = {}) {
+    const targets = this.validateTargets(options.targets);
+
+    const { files } = this.withoutValidation(() => this.renderOutputFiles(targets));
+    return this.lintFiles(files, options.failOn);
+  }
+
+  /**
+   * Run the lint rules over generated files
+   * @param {Object} files - File contents keyed by path
+   * @param {string} failOn - Lowest severity failing the lint (default: lint.failOn)
+   * @returns {Object} - Object with passed and findings, as returned by lint()
+   */
+  lintFiles(files, failOn = this.lintConfig.failOn) {
+    if (failOn !== undefined && !LINT_SEVERITIES.includes(failOn)) {
+      throw new Error(`Lint severity ${failOn} is not valid. Use one of: ${LINT_SEVERITIES.join(', ')}`);
+    }
+
+    const context = { files, documents: lintDocumentsOf(files), generator: this };
+    const findings = [].concat(...this.getLintRules().map(rule => (rule.check(context) || [])
+      .map(finding => ({ rule: rule.id, severity: rule.severity, path: finding.path, message: finding.message }))));
+    const passed = failOn === undefined || findings
+      .every(finding => LINT_SEVERITIES.indexOf(finding.severity) < LINT_SEVERITIES.indexOf(failOn));
+
+    return { passed, findings };
+  }
+
+  /**
+   * Add a custom stage to the pipeline
+   * @param {Object} stage - Stage configuration
+   * @param {string} stage.name - Stage name
+   * @param {Array} stage.steps - Array of steps for this stage, each with name, image,
+   *   command, env and outputs, the workspace paths it writes for the next steps (optional)
+   * @param {string} stage.runAfter - Stage to run after (optional)
+   * @param {boolean} stage.parallel - Whether to run in parallel (optional)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addStage(stage) {
+    this.stages.push(stage);
+    return this;
+  }
+
+  /**
+   * Add a test stage to the pipeline
+   * @param {string} command - Test command to run
+   * @param {string} image - Docker image to use for testing
+   * @param {Object} options - Report options
+   * @param {string} options.junit - Path or glob of the JUnit XML reports the command writes (optional)
+   * @param {Object} options.coverage - Coverage report the command writes: path, format
+   *   (cobertura or jacoco, default: cobertura) and threshold, the lowest line coverage
+   *   percentage that passes the stage (optional)
+   * @param {Array} options.artifacts - Paths or globs of other files to archive (optional)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addTestStage(command = 'npm test', image = 'node:14', options = {}) {
+    const coverage = options.coverage && { format: 'cobertura', ...options.coverage };
+    if (coverage) {
+      if (!COVERAGE_FORMATS[coverage.format]) {
+        throw new Error(`Coverage format ${coverage.format} is not valid. Use one of: ${Object.keys(COVERAGE_FORMATS).join(', ')}`);
+      }
+      if (!coverage.path) {
+        throw new Error('Coverage needs the path of its report');
+      }
+      if (coverage.threshold !== undefined && !(coverage.threshold >= 0 && coverage.threshold <= 100)) {
+        throw new Error(`Coverage threshold ${coverage.threshold} is not valid. Use a percentage from 0 to 100`);
+      }
+    }
+
+    const script = [command];
+    if (coverage && coverage.threshold !== undefined) {
+      script.push(...coverageCheckCommands(coverage));
+    }
+
+    const stage = {
+      name: 'test',
+      source: { type: 'test', command, image, ...options },
+      steps: [
+        {
+          name: 'run-tests',
+          image: image,
+          command: ['sh', '-c', script.join('\n')]
+        }
+      ]
+    };
+    if (options.junit || coverage) {
+      stage.reports = { junit: options.junit, coverage };
+    }
+    if (options.artifacts && options.artifacts.length > 0) {
+      stage.artifacts = options.artifacts;
+    }
+
+    this.addStage(this.withDependencyCaches(stage));
+    return this;
+  }
+
+  /**
+   * Add a build stage to the pipeline
+   * @param {string} buildCommand - Build command to run
+   * @param {string} image - Docker image to use for building
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addBuildStage(buildCommand = 'npm run build', image = 'node:14') {
+    this.addStage(this.withDependencyCaches({
+      name: 'build',
+      source: { type: 'build', command: buildCommand, image },
+      steps: [
+        {
+          name: 'build-app',
+          image: image,
+          command: ['sh', '-c', buildCommand]
+        }
+      ]
+    }));
+    return this;
+  }
+
+  /**
+   * Point the steps of a stage at the dependency caches of the cache option.
+   * The caches live in CACHE_DIR where a target mounts a cache volume, and
+   * in the .cache directory of the workspace otherwise.
+   * @param {Object} stage - Test or build stage
+   * @returns {Object} - The stage, with the caches in its cache list
+   */
+  withDependencyCaches(stage) {
+    const tools = this.cache.dependencies;
+    if (tools.length === 0) {
+      return stage;
+    }
+
+    const setup = tools.map(tool => DEPENDENCY_CACHES[tool].setup(`\${CACHE_DIR:-$(pwd)/${DEPENDENCY_CACHE_DIR}}/${tool}`));
+    stage.steps.forEach(step => {
+      step.command = ['sh', '-c', [...setup, stepScript(step)].join('\n')];
+    });
+    stage.cache = tools;
+    return stage;
+  }
+
+  /**
+   * Add a Docker build stage to the pipeline
+   * @param {string} imageName - Name of the Docker image
+   * @param {string} tag - Docker image tag (default: the tag of the tagging policy)
+   * @param {Object} options - Build options
+   * @param {string} options.builder - Builder of the image in Jenkins, GitLab and Tekton:
+   *   kaniko, buildkit (rootless), buildah or docker (Docker-in-Docker, which needs a
+   *   privileged container) (default: kaniko)
+   * @param {Array} options.platforms - Platforms to build for, e.g. linux/amd64 and
+   *   linux/arm64; several platforms need the buildkit or buildah builder (optional)
+   * @param {Object} options.buildArgs - Build arguments keyed by name (optional)
+   * @param {boolean|string} options.cache - Registry cache of the image layers: true for the
+   *   buildcache tag of the image repository, or the image reference to keep it at (optional)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addDockerBuildStage(imageName, tag, options = {}) {
+    const builder = options.builder || 'kaniko';
+    if (!BUILDER_IMAGES[builder]) {
+      throw new Error(`Builder ${builder} is not valid. Use one of: ${Object.keys(BUILDER_IMAGES).join(', ')}`);
+    }
+    const platforms = options.platforms || [];
+    if (platforms.length > 1 && ['kaniko', 'docker'].includes(builder)) {
+      throw new Error(`Builder ${builder} builds a single platform. Use buildkit or buildah for multi-platform images`);
+    }
+
+    const docker = {
+      imageName,
+      tag: tag || '${IMAGE_TAG}',
+      imageTag: `${this.dockerRegistry}/${imageName}:${tag || '${IMAGE_TAG}'}`,
+      builder,
+      platforms,
+      buildArgs: options.buildArgs || {},
+      cache: options.cache || false
+    };
+    const registry = this.getRegistry();
+    const { secrets } = this.getRegistryCredentials();
+    const steps = registry.type === 'ecr' ? [this.getRegistryLoginStep('registry-login')] : [];
+
+    const build = {
+      name: 'build-and-push',
+      image: BUILDER_IMAGES[builder],
+      command: ['sh', '-c', this.getImageBuildCommands(docker, {
+        image: docker.imageTag,
+        cache: buildCacheRefOf(docker.cache, `${this.dockerRegistry}/${imageName}`),
+        authKey: registry.type === 'ecr' ? undefined : registry.authKey
+      }).join('\n')]
+    };
+    if (builder === 'docker') {
+      build.env = [{ name: 'DOCKER_HOST', value: 'tcp://localhost:2375' }];
+    }
+    if (builder === 'buildkit') {
+      // Rootless BuildKit runs without privileges when seccomp and AppArmor let it create namespaces
+      build.env = [{ name: 'BUILDKITD_FLAGS', value: '--oci-worker-no-process-sandbox' }];
+      build.securityContext = {
+        runAsUser: 1000,
+        runAsGroup: 1000,
+        seccompProfile: { type: 'Unconfined' },
+        appArmorProfile: { type: 'Unconfined' }
+      };
+    }
+    steps.push(build);
+
+    const stage = {
+      name: 'docker-build',
+      source: { type: 'docker-build', imageName, tag, ...options },
+      docker,
+      steps
+    };
+    if (secrets.length > 0) {
+      stage.secrets = secrets;
+    }
+
+    this.addStage(stage);
+    return this;
+  }
+
+  /**
+   * Get the credentials of the registry for stages that push or pull the
+   * application image. ECR needs none: a login step writes its credentials.
+   * @returns {Object} - Object with secrets, the username and password of registries
+   *   other than ECR, and authKey, the registry to write them for (undefined for ECR)
+   */
+  getRegistryCredentials() {
+    const registry = this.getRegistry();
+    if (registry.type === 'ecr') {
+      return { secrets: [], authKey: undefined };
+    }
+
+    return {
+      secrets: ['username', 'password'].map(key => ({
+        name: `REGISTRY_${key.toUpperCase()}`,
+        credentialsId: registry.credentialsId,
+        secret: `${this.projectName}-registry`,
+        key
+      })),
+      authKey: registry.authKey
+    };
+  }
+
+  /**
+   * Get the step writing the ECR credentials to a Docker config in the workspace,
+   * for the next step of the stage. The builders and scanners have no AWS CLI.
+   * @param {string} name - Step name
+   * @returns {Object} - Step running in the AWS CLI image
+   */
+  getRegistryLoginStep(name) {
+    const registry = this.getRegistry();
+    return {
+      name,
+      image: AWS_CLI_IMAGE,
+      outputs: ['.docker/'],
+      command: ['sh', '-c', [
+        'mkdir -p .docker',
+        `PASSWORD=$(aws ecr get-login-password --region ${registry.region}) || exit 1`,
+        `printf '{"auths":{"%s":{"auth":"%s"}}}' '${registry.authKey}' "$(printf 'AWS:%s' "$PASSWORD" | base64 | tr -d '\\n')" > .docker/config.json`
+      ].join('\n')]
+    };
+  }
+
+  /**
+   * Get the shell commands that point Docker clients at a Docker config in the
+   * workspace, which is removed when the commands end
+   * @param {string} authKey - Registry to write the credentials of for the username
+   *   and password (optional; without it an earlier step wrote the Docker config)
+   * @param {string} username - Shell expression of the username (default: "$REGISTRY_USERNAME")
+   * @param {string} password - Shell expression of the password (default: "$REGISTRY_PASSWORD")
+   * @returns {Array} - Shell commands
+   */
+  getRegistryAuthCommands(authKey, username = '"$REGISTRY_USERNAME"', password = '"$REGISTRY_PASSWORD"') {
+    const commands = [
+      'export DOCKER_CONFIG="$(pwd)/.docker"',
+      'trap \'rm -rf "$DOCKER_CONFIG"\' EXIT'
+    ];
+    if (authKey) {
+      commands.push(
+        'mkdir -p "$DOCKER_CONFIG"',
+        `AUTH=$(printf '%s:%s' ${username} ${password} | base64 | tr -d '\\n')`,
+        `printf '{"auths":{"%s":{"auth":"%s"}}}' "${authKey}" "$AUTH" > "$DOCKER_CONFIG/config.json"`
+      );
+    }
+    return commands;
+  }
+
+  /**
+   * Get the shell commands that build and push the image of a Docker build
+   * stage with its builder. Every builder reads the registry credentials from
+   * a Docker config in the workspace, which is removed when the commands end.
+   * With pinDigest the commands write the digest of the pushed image to
+   * .image-digest.
+   * @param {Object} docker - Docker settings of the stage
+   * @param {Object} options - Command options
+   * @param {string} options.image - Image reference to push
+   * @param {string} options.cache - Image reference of the registry cache (optional). Kaniko
+   *   and Buildah keep their layers in its repository, and Docker-in-Docker, which has no
+   *   BuildKit exporters, pushes an inline cache with its tag.
+   * @param {string} options.authKey - Registry to write the credentials of for the username
+   *   and password (optional; without it an earlier step wrote the Docker config)
+   * @param {string} options.username - Shell expression of the username (default: "$REGISTRY_USERNAME")
+   * @param {string} options.password - Shell expression of the password (default: "$REGISTRY_PASSWORD")
+   * @returns {Array} - Shell commands
+   */
+  getImageBuildCommands(docker, { image, cache, authKey, username, password }) {
+    const dockerfile = this.dockerfilePath;
+    const pinDigest = this.tagging.pinDigest;
+    const platforms = docker.platforms.join(',');
+    const buildArgs = Object.keys(docker.buildArgs).map(name => shellQuote(`${name}=${docker.buildArgs[name]}`));
+
+    const commands = this.getRegistryAuthCommands(authKey, username, password);
+
+    switch (docker.builder) {
+      case 'kaniko':
+        commands.push([
+          `/kaniko/executor --context "dir://$(pwd)" --dockerfile ${dockerfile} --destination ${image}`,
+          ...(platforms ? [`--custom-platform ${platforms}`] : []),
+          ...buildArgs.map(arg => `--build-arg ${arg}`),
+          ...(cache ? [`--cache=true --cache-repo ${repositoryOf(cache)}`] : []),
+          ...(pinDigest ? ['--digest-file "$(pwd)/.image-digest"'] : [])
+        ].join(' '));
+        break;
+      case 'buildkit':
+        commands.push([
+          'buildctl-daemonless.sh build --frontend dockerfile.v0',
+          `--local context=. --local dockerfile=${path.posix.dirname(dockerfile)}`,
+          `--opt filename=${path.posix.basename(dockerfile)}`,
+          ...(platforms ? [`--opt platform=${platforms}`] : []),
+          ...buildArgs.map(arg => `--opt build-arg:${arg}`),
+          ...(cache ? [
+            // ECR only accepts cache manifests as OCI images
+            `--import-cache type=registry,ref=${cache}`,
+            `--export-cache type=registry,ref=${cache},mode=max,image-manifest=true,oci-mediatypes=true`
+          ] : []),
+          `--output type=image,name=${image},push=true`,
+          ...(pinDigest ? ['--metadata-file .image-metadata.json'] : [])
+        ].join(' '));
+        if (pinDigest) {
+          commands.push('sed -n \'s/.*"containerimage.digest": *"\\([^"]*\\)".*/\\1/p\' .image-metadata.json > .image-digest');
+        }
+        break;
+      case 'buildah':
+        // The vfs storage driver and chroot isolation need no privileges
+        commands.push(
+          [
+            `buildah --storage-driver vfs build --isolation chroot --manifest ${image} -f ${dockerfile}`,
+            ...(platforms ? [`--platform ${platforms}`] : []),
+            ...buildArgs.map(arg => `--build-arg ${arg}`),
+            ...(cache ? [`--layers --cache-from ${repositoryOf(cache)} --cache-to ${repositoryOf(cache)}`] : []),
+            '.'
+          ].join(' '),
+          `buildah --storage-driver vfs manifest push --all --authfile "$DOCKER_CONFIG/config.json"${
+            pinDigest ? ' --digestfile .image-digest' : ''} ${image} docker://${image}`
+        );
+        break;
+      default:
+        commands.push(`${[
+          `${cache ? 'DOCKER_BUILDKIT=1 ' : ''}docker build -t ${image} -f ${dockerfile}`,
+          ...(platforms ? [`--platform ${platforms}`] : []),
+          ...buildArgs.map(arg => `--build-arg ${arg}`),
+          ...(cache ? [`--cache-from ${cache} --build-arg BUILDKIT_INLINE_CACHE=1 -t ${cache}`] : []),
+          '.'
+        ].join(' ')} && docker push ${image}${cache ? ` && docker push ${cache}` : ''}`);
+        if (pinDigest) {
+          commands.push(`docker inspect --format '{{index .RepoDigests 0}}' ${image} | cut -d@ -f2 > .image-digest`);
+        }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Add security scanning to the pipeline: a source-scan stage scanning the
+   * dependencies and running SAST right after the test stage, and an image-scan
+   * stage scanning the pushed image for vulnerabilities and generating its SBOM
+   * right after the Docker build stage. Every scan fails the build on findings
+   * of its threshold severity or a higher one, and writes its report to
+   * reports/security, which is archived as a build artifact.
+   * @param {Object} options - Scans to run; each is off unless given
+   * @param {Object|boolean} options.dependencies - Dependency scan of the source tree: scanner
+   *   (trivy or grype, default: trivy) and severity (LOW, MEDIUM, HIGH or CRITICAL, default: HIGH)
+   * @param {Object|boolean} options.sast - Semgrep scan of the source tree: config, the rule set
+   *   (default: p/default), and severity (INFO, WARNING or ERROR, default: ERROR)
+   * @param {Object|boolean} options.image - Vulnerability scan of the image: scanner (trivy or
+   *   grype, default: trivy) and severity (LOW, MEDIUM, HIGH or CRITICAL, default: HIGH)
+   * @param {Object|boolean} options.sbom - SBOM of the image, generated with Syft: format
+   *   (cyclonedx or spdx, default: cyclonedx) and sign, which signs the image and attests the
+   *   SBOM with cosign: true or { keyCredentialsId, passwordCredentialsId } of the Jenkins
+   *   credentials holding the private key and its password (default: cosign-private-key and
+   *   cosign-password)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addSecurityScanStage(options = {}) {
+    const security = {
+      dependencies: normalizeScan(options.dependencies, { scanner: 'trivy', severity: 'HIGH' }, VULNERABILITY_SEVERITIES),
+      sast: normalizeScan(options.sast, { config: 'p/default', severity: 'ERROR' }, SAST_SEVERITIES),
+      image: normalizeScan(options.image, { scanner: 'trivy', severity: 'HIGH' }, VULNERABILITY_SEVERITIES)
+    };
+    if (options.sbom) {
+      const { format = 'cyclonedx', sign = false } = options.sbom === true ? {} : options.sbom;
+      if (!SBOM_FORMATS[format]) {
+        throw new Error(`SBOM format ${format} is not valid. Use one of: ${Object.keys(SBOM_FORMATS).join(', ')}`);
+      }
+      security.sbom = { format, sign: sign && { ...(sign === true ? {} : sign) } };
+    }
+    if (!Object.keys(security).some(scan => security[scan])) {
+      throw new Error('addSecurityScanStage needs at least one of: dependencies, sast, image, sbom');
+    }
+
+    const source = { type: 'security-scan', ...options };
+    const report = file => `${SECURITY_REPORTS_DIR}/${file}`;
+    const script = commands => ['sh', '-c', [`mkdir -p ${SECURITY_REPORTS_DIR}`, ...commands].join('\n')];
+    const stages = [];
+
+    if (security.dependencies || security.sast) {
+      const steps = [];
+      if (security.dependencies) {
+        steps.push({
+          name: 'dependency-scan',
+          image: SCANNER_IMAGES[security.dependencies.scanner],
+          command: script(vulnerabilityScanCommands(security.dependencies, undefined, report('dependencies.json')))
+        });
+      }
+      if (security.sast) {
+        steps.push({
+          name: 'sast',
+          image: SCANNER_IMAGES.semgrep,
+          command: script(sastCommands(security.sast, report('sast.json')))
+        });
+      }
+
+      // Scan the source right after the tests, or where the stage was added without them
+      const test = this.stages.find(stage => stage.source && stage.source.type === 'test');
+      stages.push({ after: test, stage: { name: 'source-scan', security, artifacts: [`${SECURITY_REPORTS_DIR}/**`], steps } });
+    }
+
+    if (security.image || security.sbom) {
+      const dockerStage = this.stages.find(stage => stage.docker);
+      if (!dockerStage) {
+        throw new Error('Image scans and SBOMs need a Docker build stage. Call addDockerBuildStage first');
+      }
+
+      // Every step reading the image gets the registry credentials, from a login step for ECR
+      const { secrets, authKey } = this.getRegistryCredentials();
+      const image = dockerStage.docker.imageTag;
+      const steps = [];
+      const addImageStep = (name, scannerImage, commands) => {
+        if (!authKey) {
+          steps.push(this.getRegistryLoginStep(`registry-login-${name}`));
+        }
+        steps.push({
+          name,
+          image: scannerImage,
+          command: script([...this.getRegistryAuthCommands(authKey), ...commands])
+        });
+      };
+
+      if (security.image) {
+        addImageStep('vulnerability-scan', SCANNER_IMAGES[security.image.scanner],
+          vulnerabilityScanCommands(security.image, image, report('image.json')));
+      }
+      if (security.sbom) {
+        const format = SBOM_FORMATS[security.sbom.format];
+        addImageStep('sbom', SCANNER_IMAGES.syft, [`syft ${image} --output ${format.output}=${report(format.file)}`]);
+
+        if (security.sbom.sign) {
+          addImageStep('sign', SCANNER_IMAGES.cosign, [
+            `cosign sign --yes --key env://COSIGN_PRIVATE_KEY ${image}`,
+            `cosign attest --yes --key env://COSIGN_PRIVATE_KEY --type ${format.type} --predicate ${report(format.file)} ${image}`
+          ]);
+          secrets.push(
+            {
+              name: 'COSIGN_PRIVATE_KEY',
+              credentialsId: security.sbom.sign.keyCredentialsId || 'cosign-private-key',
+              secret: `${this.projectName}-cosign`,
+              key: 'cosign.key'
+            },
+            {
+              name: 'COSIGN_PASSWORD',
+              credentialsId: security.sbom.sign.passwordCredentialsId || 'cosign-password',
+              secret: `${this.projectName}-cosign`,
+              key: 'cosign.password'
+            }
+          );
+        }
+      }
+
+      const stage = { name: 'image-scan', security, artifacts: [`${SECURITY_REPORTS_DIR}/**`], steps };
+      if (secrets.length > 0) {
+        stage.secrets = secrets;
+      }
+      stages.push({ after: dockerStage, stage });
+    }
+
+    // toConfig() describes the stages with the source of the last one, which
+    // fromConfig() adds once the Docker build stage exists
+    stages[stages.length - 1].stage.source = source;
+    stages.forEach(({ after, stage }) => {
+      if (after) {
+        this.stages.splice(this.stages.indexOf(after) + 1, 0, stage);
+      } else {
+        this.addStage(stage);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Add a manual approval gate to the pipeline, typically right before the
+   * deployment to an environment
+   * @param {string} environment - Environment the approval is for
+   * @param {Object} options - Approval options
+   * @param {Array} options.approvers - Users or groups allowed to approve (optional)
+   * @param {number} options.timeout - Minutes to wait for approval before failing (default: 60)
+   * @param {string} options.message - Message shown to approvers
+   * @param {string} options.snsTopicArn - SNS topic notified by the CodePipeline approval (optional)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addApprovalStage(environment, options = {}) {
+    this.getEnvironmentConfig(environment);
+
+    this.addStage({
+      name: `approve-${environment}`,
+      source: { type: 'approval', environment, ...options },
+      approval: {
+        environment,
+        approvers: options.approvers || [],
+        timeout: options.timeout || 60,
+        message: options.message || `Deploy ${this.projectName} to ${environment}?`,
+        snsTopicArn: options.snsTopicArn
+      },
+      steps: []
+    });
+    return this;
+  }
+
+  /**
+   * Add a Kubernetes deployment stage to the pipeline
+   * @param {string} environment - Environment to deploy to, one of the configured environments
+   * @param {Object} options - Deploy options
+   * @param {boolean|Object} options.approval - Insert an approval gate before the deployment,
+   *   with the options of addApprovalStage (optional)
+   * @param {string|Object} options.strategy - rolling, blue-green or canary, or an object with
+   *   a type and timeout, plus idleReplicas, the replicas the previous slot keeps, for
+   *   blue-green (default: 0) and steps ({ weight, pause }) and analysis for canaries
+   *   (default: rolling)
+   * @param {Object} options.verify - Checks run once the rollout is complete (optional)
+   * @param {Array} options.verify.http - Service paths, or { path, port } objects, that must
+   *   answer with a 2xx status
+   * @param {Array} options.verify.commands - Smoke-test shell commands that must succeed
+   * @param {boolean} options.verify.rollback - Roll back a deployment that fails its rollout
+   *   or checks (default: true)
+   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   */
+  addDeployStage(environment = 'dev', options = {}) {
+    const config = this.getEnvironmentConfig(environment);
+    const strategy = normalizeStrategy(options.strategy);
+    if (strategy.type !== 'rolling' && this.layout !== 'manifests') {
+      throw new Error(`Strategy ${strategy.type} is only supported with the manifests layout`);
+    }
+    const verification = normalizeVerification(options.verify);
+    const checked = verification.http.length > 0 || verification.commands.length > 0;
+    if (checked && strategy.type === 'canary') {
+      // A promoted Rollout cannot be aborted
+      throw new Error('Verify checks are not supported with the canary strategy');
+    }
+    if (this.deployMode === 'gitops') {
+      // The pipeline only commits to the config repository; the GitOps controller does the rest
+      if (strategy.type === 'blue-green') {
+        throw new Error('Strategy blue-green is not supported with the gitops deploy mode');
+      }
+      if (checked) {
+        throw new Error('Verify checks are not supported with the gitops deploy mode');
+      }
+    }
+
+    if (options.approval) {
+      this.addApprovalStage(environment, options.approval === true ? {} : options.approval);
+    }
+    const env = [
+      { name: 'ENVIRONMENT', value: environment },
+      { name: 'NAMESPACE', value: config.namespace }
+    ];
+
+    if (config.kubeContext && this.deployMode === 'kubectl') {
+      env.push({ name: 'KUBE_CONTEXT', value: config.kubeContext });
+    }
+
+    const stage = {
+      name: `deploy-to-${environment}`,
+      source: { type: 'deploy', environment, ...options },
+      environment: environment,
+      strategy,
+      verification,
+      gitops: this.deployMode === 'gitops',
+      steps: this.getDeploySteps(config, strategy, verification),
+      rollback: this.getRollbackStep(config, strategy, verification),
+      env
+    };
+    if (stage.gitops) {
+      // GitOps deploys push to the config repository with a token
+      stage.secrets = [{
+        name: 'GITOPS_TOKEN',
+        credentialsId: this.gitops.credentialsId,
+        secret: `${this.projectName}-gitops`,
+        key: 'token'
+      }];
+    }
+
+    this.addStage(stage);
+    return this;
+  }
+
+  /**
+   * Get the deployment strategy of an environment, from its deploy stage
+   * @param {string} environment - Environment name
+   * @returns {Object} - Normalized strategy (rolling when the environment has no deploy stage)
+   */
+  getDeployStrategy(environment) {
+    const stage = this.stages.filter(candidate => candidate.environment === environment).pop();
+    return (stage && stage.strategy) || normalizeStrategy();
+  }
+
+  /**
+   * Get the post-deploy verification of an environment, from its deploy stage
+   * @param {string} environment - Environment name
+   * @returns {Object} - Normalized verification (no checks, with rollback, when the
+   *   environment has no deploy stage)
+   */
+  getDeployVerification(environment) {
+    const stage = this.stages.filter(candidate => candidate.environment === environment).pop();
+    return (stage && stage.verification) || normalizeVerification();
+  }
+
+  /**
+   * Build the shell commands that undo a failed deployment. They read the
+   * Deployment revision, or the blue/green slot, serving before the
+   * deployment from PREVIOUS; a canary Rollout is aborted instead.
+   * @param {Object} strategy - Normalized strategy
+   * @param {string} flags - Flags added to every kubectl command
+   * @returns {Array} - Shell commands
+   */
+  getRollbackCommands(strategy, flags) {
+    const name = this.projectName;
+
+    if (strategy.type === 'blue-green') {
+      return [
+        'if [ -n "$PREVIOUS" ]; then',
+        `  kubectl patch service ${name}${flags} -p '{"spec":{"selector":{"app":"${name}","slot":"'"$PREVIOUS"'"}}}'`,
+        '  echo "Switched traffic back to the $PREVIOUS slot"',
+        'fi'
+      ];
+    }
+
+    if (strategy.type === 'canary') {
+      return [
+        `kubectl patch rollout ${name} --type merge --subresource status -p '{"status":{"abort":true}}'${flags}`
+      ];
+    }
+
+    return [
+      'if [ -n "$PREVIOUS" ]; then',
+      `  kubectl rollout undo deployment/${name} --to-revision=$PREVIOUS${flags}`,
+      'else',
+      `  echo "${name} has no earlier revision to roll back to"`,
+      'fi'
+    ];
+  }
+
+  /**
+   * Build the shell commands running the verify checks of a deployment, each
+   * calling the rollback function of the deploy commands when it fails. HTTP
+   * checks go through the API server's Service proxy, so they need no network
+   * access to the cluster.
+   * @param {Object} verification - Normalized verification
+   * @param {string} flags - Flags added to every kubectl command
+   * @returns {Array} - Shell commands
+   */
+  getVerificationCommands(verification, flags) {
+    const http = verification.http.map(check =>
+      `kubectl get --raw "/api/v1/namespaces/\${NAMESPACE}/services/${this.projectName}:${check.port}/proxy${check.path}"` +
+      `${flags} >/dev/null || rollback`);
+    const commands = verification.commands.map(command => `(${command}) || rollback`);
+
+    return [...http, ...commands];
+  }
+
+  /**
+   * Build the rollback function the verify checks of a Helm release call when
+   * they fail. It rolls the release back to its previous revision and fails
+   * the commands; Helm itself undoes releases that fail to roll out.
+   * @param {boolean|string} rollback - Whether failures roll back, or a shell condition deciding it
+   * @param {string} flags - Namespace and context flags of the helm commands
+   * @returns {Array} - Shell commands
+   */
+  getHelmRollbackFunction(rollback, flags) {
+    const name = this.projectName;
+    const undo = `helm rollback ${name}${flags} --wait || echo "${name} has no earlier revision to roll back to"`;
+
+    let commands = [];
+    if (typeof rollback === 'string') {
+      commands = [`if ${rollback}; then`, `  ${undo}`, 'fi'];
+    } else if (rollback) {
+      commands = [undo];
+    }
+    return [
+      'rollback() {',
+      `  echo "The deployment of ${name} to \${ENVIRONMENT} failed"`,
+      ...commands.map(command => `  ${command}`),
+      '  exit 1',
+      '}'
+    ];
+  }
+
+  /**
+   * Build the shell commands that deploy an environment's plain manifests
+   * with a strategy. Rolling updates wait for the Deployment to roll out;
+   * blue/green deploys to the idle slot, waits for it and switches the
+   * Service selector to it, scaling the previous slot down to idleReplicas
+   * once the checks pass; canaries apply the Argo Rollout and wait for it
+   * to finish its steps. A failed rollout or check then calls rollback,
+   * which undoes the deployment and fails the commands. Until the
+   * deployment is verified, .rollback-<env> keeps what to roll back to.
+   * @param {Object} strategy - Normalized strategy
+   * @param {Object} options - Command options
+   * @param {string} options.dir - Directory holding the environment's manifests
+   * @param {string} options.image - Image reference to deploy
+   * @param {string} options.flags - Flags added to every kubectl command
+   * @param {string} options.timeout - Timeout of the rollout, for kubectl
+   * @param {string} options.apply - Command applying a rolling update (default: kubectl apply
+   *   of the directory, after setting the image of deployment.yaml)
+   * @param {Array} options.checks - Verification commands run after the rollout (optional)
+   * @param {boolean|string} options.rollback - Whether failures roll back, or a shell
+   *   condition deciding it (default: true)
+   * @returns {Array} - Shell commands
+   */
+  getManifestDeployCommands(strategy, { dir, image, flags, timeout, apply, checks = [], rollback = true }) {
+    const name = this.projectName;
+    const marker = '.rollback-${ENVIRONMENT}';
+    const indent = commands => commands.map(command => `  ${command}`);
+
+    let undo = [];
+    if (typeof rollback === 'string') {
+      undo = [`if ${rollback}; then`, ...indent(this.getRollbackCommands(strategy, flags)), 'fi'];
+    } else if (rollback) {
+      undo = this.getRollbackCommands(strategy, flags);
+    }
+    const rollbackFunction = [
+      'rollback() {',
+      `  echo "The deployment of ${name} to \${ENVIRONMENT} failed"`,
+      ...indent(undo),
+      `  rm -f ${marker}`,
+      '  exit 1',
+      '}'
+    ];
+
+    if (strategy.type === 'blue-green') {
+      return [
+        `ACTIVE=$(kubectl get service ${name} -o jsonpath='{.spec.selector.slot}'${flags} 2>/dev/null || true)`,
+        'if [ "$ACTIVE" = "blue" ]; then TARGET=green; else TARGET=blue; fi',
+        'echo "Deploying to the $TARGET slot (active: ${ACTIVE:-none})"',
+        'PREVIOUS=$ACTIVE',
+        ...rollbackFunction,
+        `if ls ${dir}/*.yaml >/dev/null 2>&1; then kubectl apply -f ${dir}/${flags}; fi`,
+        `sed "s|IMAGE_PLACEHOLDER|${image}|g" ${dir}/blue-green/deployment-$TARGET.yaml | kubectl apply -f -${flags}`,
+        `if ! kubectl rollout status deployment/${name}-$TARGET --timeout=${timeout}${flags}; then`,
+        '  echo "The $TARGET slot did not become ready, keeping traffic on ${ACTIVE:-none}"',
+        `  kubectl scale deployment/${name}-$TARGET --replicas=0${flags}`,
+        '  exit 1',
+        'fi',
+        `echo "$PREVIOUS" > ${marker}`,
+        `if [ -z "$ACTIVE" ]; then kubectl apply -f ${dir}/blue-green/service.yaml${flags}; fi`,
+        `kubectl patch service ${name}${flags} -p '{"spec":{"selector":{"app":"${name}","slot":"'"$TARGET"'"}}}'`,
+        'echo "Switched traffic to the $TARGET slot"',
+        ...checks,
+        `rm -f ${marker}`,
+        // The verified release no longer needs the capacity of the previous slot
+        'if [ -n "$ACTIVE" ]; then',
+        `  kubectl scale deployment/${name}-$ACTIVE --replicas=${strategy.idleReplicas}${flags}`,
+        `  echo "Scaled the $ACTIVE slot to ${strategy.idleReplicas} replicas"`,
+        'fi'
+      ];
+    }
+
+    if (strategy.type === 'canary') {
+      return [
+        ...rollbackFunction,
+        `touch ${marker}`,
+        `sed -i "s|IMAGE_PLACEHOLDER|${image}|g" ${dir}/rollout.yaml`,
+        `kubectl apply -f ${dir}/${flags}`,
+        `GENERATION=$(kubectl get rollout ${name} -o jsonpath='{.metadata.generation}'${flags})`,
+        `kubectl wait rollout/${name} --for=jsonpath='{.status.observedGeneration}'=$GENERATION --timeout=60s${flags} || rollback`,
+        `kubectl wait rollout/${name} --for=jsonpath='{.status.phase}'=Healthy --timeout=${timeout}${flags} || rollback`,
+        ...checks,
+        `rm -f ${marker}`
+      ];
+    }
+
+    return [
+      `PREVIOUS=$(kubectl get deployment ${name} -o jsonpath='{.metadata.annotations.deployment\\.kubernetes\\.io/revision}'${flags} 2>/dev/null || true)`,
+      ...rollbackFunction,
+      `echo "$PREVIOUS" > ${marker}`,
+      ...(apply ? [apply] : [
+        `sed -i "s|IMAGE_PLACEHOLDER|${image}|g" ${dir}/deployment.yaml`,
+        `kubectl apply -f ${dir}/${flags}`
+      ]),
+      `kubectl rollout status deployment/${name} --timeout=${timeout}${flags} || rollback`,
+      ...checks,
+      `rm -f ${marker}`
+    ];
+  }
+
+  /**
+   * Build the steps of a deploy stage for the configured layout. The steps
+   * read ENVIRONMENT, NAMESPACE and KUBE_CONTEXT from the stage environment,
+   * and the Kubernetes configuration from paths relative to the workspace.
+   * @param {Object} config - Resolved environment configuration
+   * @param {Object} strategy - Normalized deployment strategy (default: rolling)
+   * @param {Object} verification - Normalized post-deploy verification (default: rollback only)
+   * @returns {Array} - Deploy steps
+   */
+  getDeploySteps(config, strategy = normalizeStrategy(), verification = normalizeVerification()) {
+    const image = this.getImageReference();
+    const deployImage = this.getDeployImage();
+    const flags = ` -n \${NAMESPACE}${config.kubeContext ? ' --context ${KUBE_CONTEXT}' : ''}`;
+
+    if (this.deployMode === 'gitops') {
+      return [
+        {
+          name: 'update-image',
+          image: GIT_IMAGE,
+          command: ['sh', '-c', this.getGitOpsCommands(deployImage).join('\n')]
+        }
+      ];
+    }
+
+    if (this.layout === 'helm') {
+      // Helm waits for the rollout itself and, when atomic, rolls back a failed release
+      const chart = `helm/${this.projectName}`;
+      const values = this.tagging.pinDigest ? 'image.digest=$(cat .image-digest)' : `image.tag=${image.tag}`;
+      const helmFlags = ` --namespace \${NAMESPACE}${config.kubeContext ? ' --kube-context ${KUBE_CONTEXT}' : ''}`;
+      const command = `helm upgrade --install ${this.projectName} ${chart}${helmFlags} ` +
+        `-f ${chart}/values-\${ENVIRONMENT}.yaml --set image.repository=${image.repository} --set ${values} ` +
+        `--wait --timeout ${strategy.timeout}${verification.rollback ? ' --atomic' : ''}`;
+
+      // The verify checks run once Helm has waited for the release, rolling it back when they fail
+      const checks = this.getVerificationCommands(verification, flags);
+      return [
+        {
+          name: 'helm-upgrade',
+          image: checks.length > 0 ? HELM_KUBECTL_IMAGE : HELM_IMAGE,
+          command: ['sh', '-c', checks.length > 0
+            ? [...this.getHelmRollbackFunction(verification.rollback, helmFlags), `${command} || exit 1`, ...checks].join('\n')
+            : command]
+        }
+      ];
+    }
+
+    const commandOptions = {
+      dir: 'k8s/${ENVIRONMENT}',
+      image: deployImage,
+      flags,
+      timeout: strategy.timeout,
+      checks: this.getVerificationCommands(verification, flags),
+      rollback: verification.rollback
+    };
+
+    if (this.layout === 'kustomize') {
+      const overlay = 'k8s/overlays/${ENVIRONMENT}';
+      let apply = `kubectl apply -k ${overlay}`;
+
+      if (config.kubeContext) {
+        apply += ' --context ${KUBE_CONTEXT}';
+      }
+      const commands = this.getManifestDeployCommands(strategy, { ...commandOptions, apply });
+
+      return [
+        {
+          name: 'set-image',
+          image: KUSTOMIZE_IMAGE,
+          outputs: [`${overlay}/kustomization.yaml`],
+          command: ['sh', '-c', `IMAGE=${deployImage} && (cd ${overlay} && kustomize edit set image IMAGE_PLACEHOLDER=$IMAGE)`]
+        },
+        {
+          name: 'kubectl-apply',
+          image: KUBECTL_IMAGE,
+          command: ['sh', '-c', commands.join('\n')]
+        }
+      ];
+    }
+
+    const commands = this.getManifestDeployCommands(strategy, commandOptions);
+
+    return [
+      {
+        name: strategy.type === 'rolling' ? 'kubectl-apply' : `${strategy.type}-deploy`,
+        image: KUBECTL_IMAGE,
+        command: ['sh', '-c', commands.join('\n')]
+      }
+    ];
+  }
+
+  /**
+   * Get the directory of an environment's Kubernetes configuration in the
+   * config repository of the gitops deploy mode
+   * @param {string} environment - Environment name, or a shell variable holding it
+   * @returns {string} - Path relative to the root of the config repository
+   */
+  getGitOpsPath(environment) {
+    const prefix = this.gitops.path ? `${this.gitops.path.replace(/^\.?\/+|\/+$/g, '')}/` : '';
+
+    if (this.layout === 'helm') {
+      return `${prefix}helm/${this.projectName}`;
+    }
+    if (this.layout === 'kustomize') {
+      return `${prefix}k8s/overlays/${environment}`;
+    }
+    return `${prefix}k8s/${environment}`;
+  }
+
+  /**
+   * Build the shell commands of a gitops deploy: clone the config repository,
+   * set the environment's image and push the change for the GitOps controller
+   * to sync. The commands read ENVIRONMENT and the GITOPS_TOKEN push token
+   * from the environment, and need no access to the cluster.
+   * @param {string} image - Image reference to deploy
+   * @returns {Array} - Shell commands
+   */
+  getGitOpsCommands(image) {
+    const { repoUrl, branch } = this.gitops;
+    const dir = this.getGitOpsPath('${ENVIRONMENT}');
+    let update;
+
+    // Images pinned by digest set the digest in place of the tag
+    const pinned = this.tagging.pinDigest;
+    const repository = pinned ? '${IMAGE%@*}' : '${IMAGE%:*}';
+    const [key, value] = pinned ? ['digest', '${IMAGE#*@}'] : ['tag', '${IMAGE##*:}'];
+
+    if (this.layout === 'helm') {
+      update = [
+        `sed -i -E '/^image:/,/^[^ ]/ s#^(  repository:).*#\\1 '"${repository}"'#; ` +
+          `/^image:/,/^[^ ]/ s#^  (tag|digest):.*#  ${key}: '"${value}"'#' ${dir}/values-\${ENVIRONMENT}.yaml`
+      ];
+    } else if (this.layout === 'kustomize') {
+      update = [
+        `sed -i -E 's#^( *newName:).*#\\1 '"${repository}"'#; ` +
+          `s#^( *)(newTag|digest):.*#\\1${pinned ? 'digest' : 'newTag'}: '"${value}"'#' ${dir}/kustomization.yaml`
+      ];
+    } else {
+      // Canaries keep the workload in rollout.yaml instead of deployment.yaml
+      update = [
+        'for file in deployment.yaml rollout.yaml; do',
+        `  if [ -f ${dir}/$file ]; then sed -i -E "s#^( *image:).*#\\1 $IMAGE#" ${dir}/$file; fi`,
+        'done'
+      ];
+    }
+
+    return [
+      `IMAGE=${image}`,
+      'rm -rf gitops-config',
+      `git clone --depth 1 --branch ${branch} "https://x-access-token:\${GITOPS_TOKEN}@${repoUrl.replace(/^https:\/\//, '')}" gitops-config || exit 1`,
+      'cd gitops-config',
+      ...update,
+      'git add -A',
+      'if git diff --cached --quiet; then',
+      '  echo "${ENVIRONMENT} already runs $IMAGE"',
+      'else',
+      `  git -c user.name="${this.projectName} pipeline" -c user.email="pipeline@${this.projectName}" ` +
+        `commit -m "Deploy ${this.projectName} $IMAGE to \${ENVIRONMENT}"`,
+      `  git push origin HEAD:${branch} || (git pull --rebase origin ${branch} && git push origin HEAD:${branch}) || exit 1`,
+      'fi',
+      'cd ..'
+    ];
+  }
+
+  /**
+   * Find the lines of a file saveToFiles writes that gitops deploy stages
+   * commit the image to (see getGitOpsCommands)
+   * @param {string} file - Path of the file, relative to the output directory
+   * @param {string} contents - Contents of the file, without the header
+   * @returns {Array} - Indexes of the image lines; none for files deploy stages leave alone
+   */
+  getGitOpsImageLines(file, contents) {
+    if (this.deployMode !== 'gitops') {
+      return [];
+    }
+
+    const lines = contents.split('\n');
+    const matching = (pattern, from = 0, to = lines.length) => lines
+      .map((line, index) => index)
+      .filter(index => index >= from && index < to && pattern.test(lines[index]));
+    const is = (...parts) => this.environments.some(env => file === path.join(...parts.map(part => part.replace('<env>', env))));
+
+    if (this.layout === 'helm') {
+      if (!is('helm', this.projectName, 'values-<env>.yaml')) {
+        return [];
+      }
+      // The keys of the top-level image block
+      const start = lines.findIndex(line => /^image:/.test(line));
+      const end = start < 0 ? -1 : lines.findIndex((line, index) => index > start && /^[^ ]/.test(line));
+      return start < 0 ? [] : matching(/^ {2}(repository|tag|digest):/, start + 1, end < 0 ? lines.length : end);
+    }
+    if (this.layout === 'kustomize') {
+      return is('k8s', 'overlays', '<env>', 'kustomization.yaml') ? matching(/^ *(newName|newTag|digest):/) : [];
+    }
+    return is('k8s', '<env>', 'deployment.yaml') || is('k8s', '<env>', 'rollout.yaml') ? matching(/^ *image:/) : [];
+  }
+
+  /**
+   * Build the step the Jenkins post failure block of a deploy stage runs. It
+   * rolls back a deployment whose commands stopped before they could, such
+   * as when the stage is aborted or times out, using the .rollback-<env>
+   * file the deploy commands remove once they are done.
+   * @param {Object} config - Resolved environment configuration
+   * @param {Object} strategy - Normalized deployment strategy
+   * @param {Object} verification - Normalized post-deploy verification
+   * @returns {Object|undefined} - Rollback step, or undefined when there is nothing to roll back
+   */
+  getRollbackStep(config, strategy, verification) {
+    if (!verification.rollback || this.layout === 'helm' || this.deployMode === 'gitops') {
+      return undefined;
+    }
+
+    const flags = ` -n \${NAMESPACE}${config.kubeContext ? ' --context ${KUBE_CONTEXT}' : ''}`;
+    const marker = '.rollback-${ENVIRONMENT}';
+    const commands = [
+      `if [ -f ${marker} ]; then`,
+      `  PREVIOUS=$(cat ${marker})`,
+      ...this.getRollbackCommands(strategy, flags).map(command => `  ${command}`),
+      `  rm -f ${marker}`,
+      'fi'
+    ];
+
+    return {
+      name: 'rollback',
+      image: KUBECTL_IMAGE,
+      command: ['sh', '-c', commands.join('\n')]
+    };
+  }
+
+  /**
+   * Order stages so that every stage comes after the stage(s) named in its
+   * runAfter field. Stages otherwise keep the order they were added in.
+   * @returns {Array} - Stages in execution order
+   */
+  orderStages() {
+    const names = this.stages.map(stage => stage.name);
+    const ordered = [];
+    const placed = new Set();
+    let pending = [...this.stages];
+
+    while (pending.length > 0) {
+      const next = pending.find(stage =>
+        runAfterOf(stage).every(dependency => placed.has(dependency))
+      );
+
+      if (!next) {
+        const stage = pending[0];
+        const missing = runAfterOf(stage).filter(dependency => !names.includes(dependency));
+        if (missing.length > 0) {
+          throw new Error(`Stage ${stage.name} runs after unknown stage(s): ${missing.join(', ')}`);
+        }
+        throw new Error(`Circular runAfter dependency between stages: ${pending.map(s => s.name).join(', ')}`);
+      }
+
+      ordered.push(next);
+      placed.add(next.name);
+      pending = pending.filter(stage => stage !== next);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Group ordered stages so that consecutive parallel stages share a group,
+   * unless a stage runs after another stage of the group
+   * @returns {Array} - Array of stage groups, each an array of stages
+   */
+  groupStages() {
+    const groups = [];
+    this.orderStages().forEach(stage => {
+      const last = groups[groups.length - 1];
+      // A stage waiting for a member of the group starts a group of its own
+      const waits = last && last.some(member => runAfterOf(stage).includes(member.name));
+      if (stage.parallel && last && last[0].parallel && !waits) {
+        last.push(stage);
+      } else {
+        groups.push([stage]);
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * Resolve the stages each stage depends on, for targets that run stages as
+   * a graph rather than in sequence. A stage depends on its runAfter stages,
+   * or otherwise on every stage that nothing else depended on so far, so the
+   * graph runs in the same order as the sequential Jenkins pipeline.
+   * @returns {Map} - Stage name to names of the stages it depends on
+   */
+  getStageDependencies() {
+    const dependencies = new Map();
+    let leaves = [];
+
+    this.groupStages().forEach(group => {
+      const groupLeaves = [...leaves];
+      group.forEach(stage => {
+        const needs = runAfterOf(stage).length > 0 ? runAfterOf(stage) : groupLeaves;
+        dependencies.set(stage.name, needs);
+        leaves = leaves.filter(name => !needs.includes(name));
+      });
+      leaves.push(...group.map(stage => stage.name));
+    });
+
+    return dependencies;
+  }
+
+  /**
+   * Map each distinct step image to a Jenkins agent container name
+   * @returns {Map} - Image to container name
+   */
+  getJenkinsContainers() {
+    const containers = new Map();
+    const used = new Set(['jnlp']);
+
+    this.stages.forEach(stage => {
+      [...(stage.steps || []), ...(stage.rollback ? [stage.rollback] : [])].forEach(step => {
+        if (containers.has(step.image)) {
+          return;
+        }
+
+        const base = containerNameFor(step.image);
+        let name = base;
+        for (let i = 2; used.has(name); i++) {
+          name = `${base}-${i}`;
+        }
+
+        used.add(name);
+        containers.set(step.image, name);
+      });
+    });
+
+    return containers;
+  }
+
+  /**
+   * Generate the Kubernetes pod template used as the Jenkins agent. Containers
+   * of test and build steps mount the dependency cache PersistentVolumeClaim,
+   * which outlives the agent pods.
+   * @param {Map} containers - Image to container name (default: from getJenkinsContainers())
+   * @returns {string} - Pod template YAML
+   */
+  generateJenkinsPodTemplate(containers) {
+    this.assertValid();
+    containers = containers || this.getJenkinsContainers();
+    const podContainers = [
+      { name: 'jnlp', image: 'jenkins/inbound-agent:4.11.2-4' }
+    ];
+    const cachedImages = new Set([].concat(...this.stages
+      .filter(stage => stage.cache)
+      .map(stage => stage.steps.map(step => step.image))));
+
+    containers.forEach((name, image) => {
+      if (isDockerInDocker(image)) {
+        // Docker-in-Docker runs its own daemon, which build steps reach through DOCKER_HOST
+        podContainers.push({
+          name,
+          image,
+          securityContext: { privileged: true },
+          env: [{ name: 'DOCKER_TLS_CERTDIR', value: '' }]
+        });
+        return;
+      }
+
+      const container = { name, image, command: ['cat'], tty: true };
+      const step = [].concat(...this.stages.map(stage => stage.steps || []))
+        .find(candidate => candidate.image === image && candidate.securityContext);
+      if (step) {
+        container.securityContext = step.securityContext;
+      }
+      if (cachedImages.has(image)) {
+        container.env = [{ name: 'CACHE_DIR', value: JENKINS_CACHE_PATH }];
+        container.volumeMounts = [{ name: 'dependency-cache', mountPath: JENKINS_CACHE_PATH }];
+      }
+      podContainers.push(container);
+    });
+
+    const spec = { containers: podContainers };
+    if (cachedImages.size > 0) {
+      spec.volumes = [{ name: 'dependency-cache', persistentVolumeClaim: { claimName: this.cache.claimName } }];
+    }
+
+    return yaml.dump({
+      apiVersion: 'v1',
+      kind: 'Pod',
+      metadata: {
+        labels: {
+          app: `${this.projectName}-pipeline`
+        }
+      },
+      spec
+    });
+  }
+
+  /**
+   * Render a single Jenkins stage with all of its steps
+   * @param {Object} stage - Stage configuration
+   * @param {Map} containers - Image to container name
+   * @param {string} indent - Indentation of the stage block
+   * @returns {string} - Jenkins declarative stage block
+   */
+  renderJenkinsStage(stage, containers, indent) {
+    const lines = [`${indent}stage('${groovyEscape(stage.name)}') {`];
+
+    if (stage.approval) {
+      const { approvers, timeout, message } = stage.approval;
+      const submitter = approvers.length > 0 ? `, submitter: '${groovyEscape(approvers.join(','))}'` : '';
+      lines.push(`${indent}  agent none`);
+      lines.push(`${indent}  steps {`);
+      lines.push(...this.renderJenkinsPodNotifications('awaiting-approval', `${indent}    `, `awaiting approval: ${message}`));
+      lines.push(`${indent}    timeout(time: ${timeout}, unit: 'MINUTES') {`);
+      lines.push(`${indent}      input message: '${groovyEscape(message)}', ok: 'Approve'${submitter}`);
+      lines.push(`${indent}    }`);
+      lines.push(`${indent}  }`);
+      lines.push(`${indent}}`);
+      return `${lines.join('\n')}\n`;
+    }
+
+    if (stage.env && stage.env.length > 0) {
+      lines.push(`${indent}  environment {`);
+      stage.env.forEach(variable => {
+        lines.push(`${indent}    ${variable.name} = '${groovyEscape(variable.value)}'`);
+      });
+      lines.push(`${indent}  }`);
+    }
+
+    const renderStep = (step, stepIndent) => {
+      const hasEnv = step.env && step.env.length > 0;
+      const shIndent = hasEnv ? `${stepIndent}    ` : `${stepIndent}  `;
+
+      lines.push(`${stepIndent}container('${containers.get(step.image)}') {`);
+      if (hasEnv) {
+        const variables = step.env.map(variable => `'${groovyEscape(`${variable.name}=${variable.value}`)}'`);
+        lines.push(`${stepIndent}  withEnv([${variables.join(', ')}]) {`);
+      }
+
+      lines.push(`${shIndent}sh '''`);
+      stepScript(step).split('\n').forEach(line => {
+        lines.push(`${shIndent}  ${groovyEscape(line)}`);
+      });
+      lines.push(`${shIndent}'''`);
+
+      if (hasEnv) {
+        lines.push(`${stepIndent}  }`);
+      }
+      lines.push(`${stepIndent}}`);
+    };
+
+    lines.push(`${indent}  steps {`);
+    if (stage.secrets && stage.secrets.length > 0) {
+      lines.push(`${indent}    withCredentials([${jenkinsCredentialBindings(stage.secrets).join(', ')}]) {`);
+      stage.steps.forEach(step => renderStep(step, `${indent}      `));
+      lines.push(`${indent}    }`);
+    } else {
+      stage.steps.forEach(step => renderStep(step, `${indent}    `));
+    }
+    lines.push(`${indent}  }`);
+
+    if (stage.rollback || stage.artifacts || stage.reports) {
+      lines.push(`${indent}  post {`);
+
+      // Publish and archive reports whether or not the stage passed
+      if (stage.artifacts || stage.reports) {
+        const { junit, coverage } = stage.reports || {};
+        lines.push(`${indent}    always {`);
+        if (junit) {
+          lines.push(`${indent}      junit testResults: '${groovyEscape(junit)}', allowEmptyResults: true`);
+        }
+        if (coverage) {
+          lines.push(`${indent}      publishCoverage adapters: [${COVERAGE_FORMATS[coverage.format].adapter}('${groovyEscape(coverage.path)}')]`);
+        }
+        if (stage.artifacts) {
+          lines.push(`${indent}      archiveArtifacts artifacts: '${groovyEscape(stage.artifacts.join(','))}', allowEmptyArchive: true`);
+        }
+        lines.push(`${indent}    }`);
+      }
+
+      // Roll back deployments the stage stopped before they were verified
+      if (stage.rollback) {
+        ['failure', 'aborted'].forEach(condition => {
+          lines.push(`${indent}    ${condition} {`);
+          renderStep(stage.rollback, `${indent}      `);
+          lines.push(`${indent}    }`);
+        });
+      }
+      lines.push(`${indent}  }`);
+    }
+    lines.push(`${indent}}`);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render the Jenkins steps notifying the channels of an event. Webhook URLs
+   * come from secret text credentials, and a failed notification does not
+   * fail the pipeline.
+   * @param {string} event - Pipeline event
+   * @param {string} indent - Indentation of the steps
+   * @param {string} text - Description of the event
+   * @returns {Array} - Lines of Jenkins declarative steps
+   */
+  renderJenkinsNotifications(event, indent, text) {
+    const lines = [];
+    const summary = `${this.projectName} ${text}`;
+
+    this.notifications.filter(channel => channel.events.includes(event)).forEach(channel => {
+      if (channel.type === 'email') {
+        // catchError with no result only logs a mail the SMTP server rejects
+        lines.push(`${indent}catchError(buildResult: null, stageResult: null, message: 'Could not send the ${event} notification to email') {`);
+        lines.push(`${indent}  mail to: '${groovyEscape(channel.to.join(','))}', ` +
+          `subject: '${groovyEscape(summary)}: ' + env.JOB_NAME + ' #' + env.BUILD_NUMBER, body: env.BUILD_URL`);
+        lines.push(`${indent}}`);
+        return;
+      }
+
+      const payload = channel.type === 'webhook'
+        ? `{\\"project\\": \\"${jsonShellEscape(this.projectName)}\\", \\"event\\": \\"${event}\\", ` +
+          `\\"message\\": \\"${jsonShellEscape(summary)}\\", \\"job\\": \\"$JOB_NAME\\", ` +
+          `\\"build\\": \\"$BUILD_NUMBER\\", \\"url\\": \\"$BUILD_URL\\"}`
+        : `{\\"text\\": \\"${jsonShellEscape(summary)}: $JOB_NAME #$BUILD_NUMBER $BUILD_URL\\"}`;
+      const command = `curl -fsS -X POST -H 'Content-Type: application/json' --data "${payload}" "$WEBHOOK_URL" || ` +
+        `echo "Could not send the ${event} notification to ${channel.type}" >&2`;
+
+      lines.push(`${indent}withCredentials([string(credentialsId: '${groovyEscape(channel.credentialsId)}', variable: 'WEBHOOK_URL')]) {`);
+      lines.push(`${indent}  sh '''`);
+      lines.push(`${indent}    ${groovyEscape(command)}`);
+      lines.push(`${indent}  '''`);
+      lines.push(`${indent}}`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render the Jenkins steps notifying the channels of an event in a pod of
+   * their own, for stages and post conditions that run without an agent
+   * @param {string} event - Pipeline event
+   * @param {string} indent - Indentation of the steps
+   * @param {string} text - Description of the event
+   * @returns {Array} - Lines of Jenkins declarative steps
+   */
+  renderJenkinsPodNotifications(event, indent, text) {
+    const lines = this.renderJenkinsNotifications(event, `${indent}      `, text);
+
+    if (lines.length === 0) {
+      return lines;
+    }
+    return [
+      `${indent}script {`,
+      `${indent}  podTemplate {`,
+      `${indent}    node(POD_LABEL) {`,
+      ...lines,
+      `${indent}    }`,
+      `${indent}  }`,
+      `${indent}}`
+    ];
+  }
+
+  /**
+   * Generate a Jenkinsfile for the pipeline
+   * @returns {string} - Generated Jenkinsfile content
+   */
+  generateJenkinsfile() {
+    this.assertValid();
+    const containers = this.getJenkinsContainers();
+    const podYaml = groovyEscape(this.withoutValidation(() => this.generateJenkinsPodTemplate(containers)));
+
+    // Approval stages wait for input without an agent, so the pipeline runs
+    // the stages between them in pods of their own instead of one pod
+    const gated = this.stages.some(stage => stage.approval);
+
+    // The jnlp container derives the image tag once, after the checkout
+    const tagScript = [
+      ...this.getImageTagCommands({ sha: '$GIT_COMMIT', branch: `\${BRANCH_NAME:-${this.branch}}`, build: '$BUILD_NUMBER' }),
+      'echo "$IMAGE_TAG"'
+    ].join('; ');
+    const imageTag = this.usesImageTag() && !gated
+      ? `\n    IMAGE_TAG = sh(script: '${groovyEscape(tagScript)}', returnStdout: true).trim()`
+      : '';
+
+    let jenkinsfileContent = `
+pipeline {
+  agent ${gated ? 'none' : `{
+    kubernetes {
+      yaml '''
+${podYaml}'''
+    }
+  }`}
+  
+  environment {
+    PROJECT_NAME = "${this.projectName}"
+    DOCKER_REGISTRY = "${this.dockerRegistry}"
+    NAMESPACE = "${this.namespace}"
+    GIT_BRANCH = "${this.branch}"${imageTag}
+  }
+  
+  stages {
+`;
+
+    // Notification steps, as lines ending in a newline
+    const notify = (event, indent, text) => (gated
+      ? this.renderJenkinsPodNotifications(event, indent, text)
+      : this.renderJenkinsNotifications(event, indent, text)
+    ).map(line => `${line}\n`).join('');
+
+    // Git checkout stage; without a pipeline agent the tag is set in it
+    const renderCheckout = indent => {
+      let checkout = `${indent}stage('Checkout') {\n${indent}  steps {\n` +
+        `${notify('started', `${indent}    `, 'pipeline started')}${indent}    checkout scm\n`;
+      if (gated && this.usesImageTag()) {
+        checkout += `${indent}    script {\n` +
+          `${indent}      env.IMAGE_TAG = sh(script: '${groovyEscape(tagScript)}', returnStdout: true).trim()\n` +
+          `${indent}    }\n`;
+      }
+      return `${checkout}${indent}  }\n${indent}}\n`;
+    };
+
+    // Stage groups, with consecutive parallel stages in one parallel block
+    const renderGroup = (group, indent) => {
+      if (group.length === 1) {
+        return this.renderJenkinsStage(group[0], containers, indent);
+      }
+
+      const groupName = group.map(stage => stage.name).join(' + ');
+      return `${indent}stage('${groovyEscape(groupName)}') {\n${indent}  parallel {\n` +
+        group.map(stage => this.renderJenkinsStage(stage, containers, `${indent}    `)).join('') +
+        `${indent}  }\n${indent}}\n`;
+    };
+
+    if (gated) {
+      // Split the stages at the approvals into pods that hand the workspace
+      // to the next one through stash
+      const parts = [{ groups: [] }];
+      this.groupStages().forEach(group => {
+        const last = parts[parts.length - 1];
+        if (group.length === 1 && group[0].approval) {
+          parts.push({ approval: group[0] }, { groups: [], after: group[0].name });
+        } else {
+          last.groups.push(group);
+        }
+      });
+      const firstApproval = parts[1].approval.name;
+
+      parts.forEach((part, index) => {
+        jenkinsfileContent += '\n';
+
+        if (part.approval) {
+          jenkinsfileContent += this.renderJenkinsStage(part.approval, containers, '    ');
+          return;
+        }
+
+        const handsOver = index < parts.length - 1;
+        jenkinsfileContent += `    stage('${groovyEscape(part.after ? `After ${part.after}` : `Before ${firstApproval}`)}') {
+      agent {
+        kubernetes {
+          yaml '''
+${podYaml}'''
+        }
+      }
+      stages {
+`;
+        if (part.after) {
+          jenkinsfileContent += `        stage('Restore workspace') {
+          steps {
+            unstash 'workspace'
+          }
+        }
+`;
+        } else {
+          jenkinsfileContent += renderCheckout('        ');
+        }
+        jenkinsfileContent += part.groups.map(group => renderGroup(group, '        ')).join('');
+        jenkinsfileContent += `      }
+      post {
+${handsOver ? `        success {
+          stash name: 'workspace', allowEmpty: true
+        }
+` : ''}        cleanup {
+          cleanWs()
+        }
+      }
+    }
+`;
+      });
+    } else {
+      jenkinsfileContent += `\n${renderCheckout('    ')}`;
+      this.groupStages().forEach(group => {
+        jenkinsfileContent += `\n${renderGroup(group, '    ')}`;
+      });
+    }
+
+    // Close the Jenkinsfile
+    jenkinsfileContent += `
+  }
+  
+  post {
+${gated ? '' : `    always {
+      cleanWs()
+    }
+`}    success {
+      echo 'Pipeline completed successfully!'
+${notify('succeeded', '      ', 'pipeline succeeded')}    }
+    failure {
+      echo 'Pipeline failed!'
+${notify('failed', '      ', 'pipeline failed')}    }
+  }
+}
+`;
+
+    return jenkinsfileContent;
+  }
+
+  /**
+   * Generate a GitHub Actions workflow for the pipeline
+   * @returns {Object} - GitHub Actions workflow object
+   */
+  generateGithubActionsWorkflow() {
+    this.assertValid();
+    const jobs = {};
+    const dependencies = this.getStageDependencies();
+    const env = {
+      PROJECT_NAME: this.projectName,
+      DOCKER_REGISTRY: this.dockerRegistry,
+      NAMESPACE: this.namespace
+    };
+
+    // Approvals are enforced by protection rules on the deploy job's GitHub
+    // environment, so approval stages get no job and are skipped in needs
+    const approvals = new Set(this.stages.filter(stage => stage.approval).map(stage => stage.name));
+    const resolveNeeds = names => [...new Set([].concat(...names.map(name =>
+      approvals.has(name) ? resolveNeeds(dependencies.get(name)) : [name]
+    )))];
+
+    if (this.usesImageTag()) {
+      jobs['image-tag'] = this.renderGithubActionsImageTagJob();
+    }
+
+    // Deploys of an image pinned by digest read it from the Docker build job
+    const dockerStage = this.stages.find(stage => stage.docker);
+    const digestJob = this.tagging.pinDigest && dockerStage ? [jobIdFor(dockerStage.name)] : [];
+
+    this.orderStages()
+      .filter(stage => !stage.approval)
+      .forEach(stage => {
+        const needs = [...new Set([
+          ...(this.usesImageTag() ? ['image-tag'] : []),
+          ...resolveNeeds(dependencies.get(stage.name)).map(jobIdFor),
+          ...(stage.environment ? digestJob : [])
+        ])];
+        jobs[jobIdFor(stage.name)] = this.renderGithubActionsJob(stage, needs, env);
+      });
+
+    return {
+      name: this.projectName,
+      on: {
+        push: {
+          branches: [this.branch]
+        },
+        workflow_dispatch: {}
+      },
+      env,
+      jobs
+    };
+  }
+
+  /**
+   * Render a single GitHub Actions job for a stage
+   * @param {Object} stage - Stage configuration
+   * @param {Array} needs - Job IDs this job depends on
+   * @param {Object} workflowEnv - Environment variables of the workflow (optional)
+   * @returns {Object} - GitHub Actions job
+   */
+  renderGithubActionsJob(stage, needs, workflowEnv = {}) {
+    const job = {
+      name: stage.name,
+      'runs-on': 'ubuntu-latest'
+    };
+
+    if (needs.length > 0) {
+      job.needs = needs;
+    }
+
+    if (stage.environment) {
+      job.environment = { name: stage.environment };
+    }
+
+    if (this.usesImageTag()) {
+      job.env = { IMAGE_TAG: '${{ needs.image-tag.outputs.tag }}' };
+    }
+
+    if (stage.env && stage.env.length > 0) {
+      job.env = { ...job.env, ...toEnvObject(stage.env) };
+    }
+
+    if (stage.docker) {
+      return this.renderGithubActionsImageBuild(stage, job);
+    }
+
+    // Docker-in-Docker steps run directly on the runner, which has its own Docker daemon
+    const images = [...new Set(stage.steps.map(step => step.image))];
+    const onRunner = step => isDockerInDocker(step.image);
+    if (images.length === 1 && !onRunner(stage.steps[0])) {
+      job.container = images[0];
+    }
+
+    job.steps = [
+      { name: 'Checkout', uses: 'actions/checkout@v4' }
+    ];
+
+    // Restore the dependency caches to the workspace, and save them when the job succeeds
+    (stage.cache || []).forEach(tool => {
+      const files = DEPENDENCY_CACHES[tool].files.map(file => `'${file}'`).join(', ');
+      job.steps.push({
+        name: `Cache ${tool}`,
+        uses: 'actions/cache@v4',
+        with: {
+          path: `${DEPENDENCY_CACHE_DIR}/${tool}`,
+          key: `${tool}-\${{ runner.os }}-\${{ hashFiles(${files}) }}`,
+          'restore-keys': `${tool}-\${{ runner.os }}-`
+        }
+      });
+    });
+
+    if (stage.steps.some(onRunner)) {
+      job.steps.push({
+        name: 'Log in to registry',
+        uses: 'docker/login-action@v3',
+        with: {
+          registry: this.dockerRegistry,
+          username: '${{ secrets.REGISTRY_USERNAME }}',
+          password: '${{ secrets.REGISTRY_PASSWORD }}'
+        }
+      });
+    }
+
+    (stage.secrets || []).forEach(secret => {
+      job.env = { ...job.env, [secret.name]: `\${{ secrets.${secret.name} }}` };
+    });
+    if (stage.steps.some(step => step.image === AWS_CLI_IMAGE)) {
+      // The ECR login step reads the secrets the image build logs in with
+      job.env = {
+        ...job.env,
+        AWS_ACCESS_KEY_ID: '${{ secrets.AWS_ACCESS_KEY_ID }}',
+        AWS_SECRET_ACCESS_KEY: '${{ secrets.AWS_SECRET_ACCESS_KEY }}'
+      };
+    }
+
+    const dockerStage = this.stages.find(candidate => candidate.docker);
+    if (stage.environment && this.tagging.pinDigest && dockerStage) {
+      job.env = { ...job.env, IMAGE_DIGEST: `\${{ needs.${jobIdFor(dockerStage.name)}.outputs.digest }}` };
+      job.steps.push({ name: 'Pin image digest', run: 'echo "$IMAGE_DIGEST" > .image-digest' });
+    }
+
+    const kubeconfig = stage.environment && !stage.gitops;
+    if (kubeconfig) {
+      job.steps.push({
+        name: 'Configure kubectl',
+        run: 'mkdir -p "$HOME/.kube" && echo "$KUBECONFIG_DATA" | base64 -d > "$HOME/.kube/config"',
+        env: {
+          KUBECONFIG_DATA: '${{ secrets.KUBECONFIG }}'
+        }
+      });
+    }
+
+    stage.steps.forEach(step => {
+      const script = stepScript(step);
+      const rendered = { name: step.name };
+
+      if (job.container || onRunner(step)) {
+        rendered.run = script;
+      } else {
+        // The container gets the variables of the workflow, job and step, and the
+        // kubeconfig of the runner. Tool images such as kubectl and the scanners
+        // set a CLI entrypoint.
+        const names = [...new Set([
+          ...Object.keys(workflowEnv),
+          ...Object.keys(job.env || {}),
+          ...(step.env || []).map(variable => variable.name)
+        ])];
+        rendered.run = [
+          'docker run --rm -v "$GITHUB_WORKSPACE:/workspace" -w /workspace',
+          ...names.map(name => `-e ${name}`),
+          ...(kubeconfig ? ['-v "$HOME/.kube:/kube:ro" -e KUBECONFIG=/kube/config'] : []),
+          `--entrypoint sh ${step.image} -c '${script.replace(/'/g, `'\\''`)}'`
+        ].join(' ');
+      }
+
+      const env = (step.env || []).filter(variable => !(onRunner(step) && variable.name === 'DOCKER_HOST'));
+      if (env.length > 0) {
+        rendered.env = toEnvObject(env);
+      }
+
+      job.steps.push(rendered);
+    });
+
+    const reports = stage.reports
+      ? [stage.reports.junit, stage.reports.coverage && stage.reports.coverage.path].filter(Boolean)
+      : [];
+    if (stage.artifacts || reports.length > 0) {
+      job.steps.push({
+        name: 'Upload reports',
+        if: 'always()',
+        uses: 'actions/upload-artifact@v4',
+        with: {
+          name: `${jobIdFor(stage.name)}-reports`,
+          path: [...reports, ...(stage.artifacts || [])].join('\n'),
+          'if-no-files-found': 'ignore'
+        }
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Render the GitHub Actions job deriving the image tag, which every other
+   * job reads from its tag output
+   * @returns {Object} - GitHub Actions job
+   */
+  renderGithubActionsImageTagJob() {
+    const checkout = { name: 'Checkout', uses: 'actions/checkout@v4' };
+    if (this.tagging.policy === 'semver') {
+      // git describe needs the history and tags
+      checkout.with = { 'fetch-depth': 0 };
+    }
+
+    return {
+      name: 'image-tag',
+      'runs-on': 'ubuntu-latest',
+      outputs: { tag: '${{ steps.tag.outputs.tag }}' },
+      steps: [
+        checkout,
+        {
+          name: 'Derive image tag',
+          id: 'tag',
+          run: [
+            ...this.getImageTagCommands({ sha: '$GITHUB_SHA', branch: '$GITHUB_REF_NAME', build: '$GITHUB_RUN_NUMBER' }),
+            'echo "tag=$IMAGE_TAG" >> "$GITHUB_OUTPUT"'
+          ].join('\n')
+        }
+      ]
+    };
+  }
+
+  /**
+   * Render the steps of a GitHub Actions job that builds the image of a Docker
+   * build stage. The runner builds with BuildKit through docker/build-push-action
+   * whatever the stage's builder, logging in to the registry with secrets:
+   * AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY for ECR, the workflow's
+   * GITHUB_TOKEN for GHCR and REGISTRY_USERNAME and REGISTRY_PASSWORD otherwise.
+   * @param {Object} stage - Docker build stage
+   * @param {Object} job - Job to add the steps to
+   * @returns {Object} - GitHub Actions job
+   */
+  renderGithubActionsImageBuild(stage, job) {
+    const { imageName, imageTag, platforms, buildArgs } = stage.docker;
+    const registry = this.getRegistry();
+
+    const login = {
+      registry: registry.host,
+      username: '${{ secrets.REGISTRY_USERNAME }}',
+      password: '${{ secrets.REGISTRY_PASSWORD }}'
+    };
+    if (registry.type === 'ecr') {
+      login.username = '${{ secrets.AWS_ACCESS_KEY_ID }}';
+      login.password = '${{ secrets.AWS_SECRET_ACCESS_KEY }}';
+    } else if (registry.type === 'ghcr') {
+      login.username = '${{ github.actor }}';
+      login.password = '${{ secrets.GITHUB_TOKEN }}';
+      job.permissions = { contents: 'read', packages: 'write' };
+    } else if (registry.type === 'dockerhub') {
+      delete login.registry;
+    }
+
+    const build = {
+      context: '.',
+      file: this.dockerfilePath,
+      push: true,
+      // Action inputs are not shell-expanded, so the tag comes from an expression
+      tags: imageTag.split('${IMAGE_TAG}').join('${{ env.IMAGE_TAG }}')
+    };
+    if (platforms.length > 0) {
+      build.platforms = platforms.join(',');
+    }
+    if (Object.keys(buildArgs).length > 0) {
+      build['build-args'] = Object.keys(buildArgs).map(name => `${name}=${buildArgs[name]}`).join('\n');
+    }
+    const cache = buildCacheRefOf(stage.docker.cache, `${this.dockerRegistry}/${imageName}`);
+    if (cache) {
+      // ECR only accepts cache manifests as OCI images
+      build['cache-from'] = `type=registry,ref=${cache}`;
+      build['cache-to'] = `type=registry,ref=${cache},mode=max,image-manifest=true,oci-mediatypes=true`;
+    }
+
+    job.steps = [
+      { name: 'Checkout', uses: 'actions/checkout@v4' },
+      // Images for other platforms build under QEMU emulation
+      ...(platforms.length > 1 ? [{ name: 'Set up QEMU', uses: 'docker/setup-qemu-action@v3' }] : []),
+      { name: 'Set up Docker Buildx', uses: 'docker/setup-buildx-action@v3' },
+      { name: 'Log in to registry', uses: 'docker/login-action@v3', with: login },
+      { name: 'Build and push', id: 'build', uses: 'docker/build-push-action@v5', with: build }
+    ];
+
+    if (this.tagging.pinDigest) {
+      job.outputs = { digest: '${{ steps.build.outputs.digest }}' };
+    }
+
+    return job;
+  }
+
+  /**
+   * Generate a GitLab CI configuration for the pipeline
+   * @returns {Object} - .gitlab-ci.yml content as an object
+   */
+  generateGitlabCi() {
+    this.assertValid('gitlab-ci');
+    const config = {
+      stages: [],
+      variables: {
+        PROJECT_NAME: this.projectName,
+        NAMESPACE: this.namespace
+      }
+    };
+
+    // Derive the image tag before every other job, which reads it from the dotenv report
+    if (this.usesImageTag()) {
+      config['image-tag'] = {
+        stage: '.pre',
+        image: { name: GIT_IMAGE, entrypoint: [''] },
+        ...(this.tagging.policy === 'semver' ? { variables: { GIT_DEPTH: '0' } } : {}),
+        script: [
+          ...this.getImageTagCommands({ sha: '$CI_COMMIT_SHA', branch: '$CI_COMMIT_REF_NAME', build: '$CI_PIPELINE_IID' }),
+          'echo "IMAGE_TAG=$IMAGE_TAG" > image-tag.env'
+        ],
+        artifacts: { reports: { dotenv: 'image-tag.env' } }
+      };
+    }
+
+    // Approval stages turn the deploy job of their environment into a manual job
+    const gated = this.stages.filter(stage => stage.approval).map(stage => stage.approval.environment);
+
+    this.groupStages().forEach(group => {
+      const jobStages = group.filter(stage => !stage.approval);
+      if (jobStages.length === 0) {
+        return;
+      }
+
+      // Jobs in the same GitLab stage run in parallel
+      const gitlabStage = jobStages.map(stage => stage.name).join(' + ');
+      config.stages.push(gitlabStage);
+
+      jobStages.forEach(stage => {
+        Object.assign(config, this.renderGitlabJobs(stage, gitlabStage, gated.includes(stage.environment)));
+      });
+    });
+
+    return config;
+  }
+
+  /**
+   * Render the GitLab jobs for a stage. Consecutive steps that share an image
+   * run in one job; a stage whose steps use several images becomes a chain
+   * of jobs, because a GitLab job runs in a single image. Each job of the
+   * chain hands the outputs of its steps to the next as artifacts.
+   * @param {Object} stage - Stage configuration
+   * @param {string} gitlabStage - GitLab stage the jobs belong to
+   * @param {boolean} manual - Whether the stage waits for a manual approval
+   * @returns {Object} - GitLab jobs keyed by job name
+   */
+  renderGitlabJobs(stage, gitlabStage, manual = false) {
+    if (stage.docker) {
+      const build = this.renderGitlabImageBuild(stage, gitlabStage);
+      if (stage.steps.length === 1 || this.usesGitlabRegistry()) {
+        return { [stage.name]: build };
+      }
+
+      // The ECR login job writes the Docker config the build reads
+      const login = stage.steps[0];
+      const loginJob = `${stage.name}:${login.name}`;
+      return {
+        [loginJob]: {
+          stage: gitlabStage,
+          image: { name: login.image, entrypoint: [''] },
+          script: [stepScript(login)],
+          artifacts: { paths: login.outputs, expire_in: '1 hour' }
+        },
+        [stage.name]: { ...build, needs: [loginJob, ...(this.usesImageTag() ? ['image-tag'] : [])] }
+      };
+    }
+
+    const stageSteps = this.usesGitlabRegistry()
+      ? stage.steps.map(step => this.toGitlabRegistryStep(step)).filter(Boolean)
+      : stage.steps;
+    const runs = [];
+    stageSteps.forEach(step => {
+      const last = runs[runs.length - 1];
+      if (last && last[0].image === step.image) {
+        last.push(step);
+      } else {
+        runs.push([step]);
+      }
+    });
+
+    const jobs = {};
+    let previousJob = null;
+
+    runs.forEach((steps, index) => {
+      const jobName = runs.length === 1 ? stage.name : `${stage.name}:${steps[0].name}`;
+      const variables = toEnvObject([
+        ...(stage.env || []),
+        ...[].concat(...steps.map(step => step.env || []))
+      ]);
+      const job = {
+        stage: gitlabStage,
+        image: steps[0].image
+      };
+      const script = steps.map(stepScript);
+
+      if (stage.environment || stage.security) {
+        // Tool images such as kubectl and the scanners set a CLI entrypoint, which GitLab has to override
+        job.image = { name: steps[0].image, entrypoint: [''] };
+      }
+
+      if (stage.environment) {
+        job.environment = { name: stage.environment };
+        if ((manual || stage.environment === 'prod') && index === 0) {
+          // Block the rest of the pipeline until the job has been run; the
+          // other jobs of the chain follow it through needs
+          job.when = 'manual';
+          job.allow_failure = false;
+        }
+      }
+
+      if (Object.keys(variables).length > 0) {
+        job.variables = variables;
+      }
+
+      if (previousJob) {
+        // Jobs with needs only get the artifacts of the jobs they need
+        const dockerStage = this.stages.find(candidate => candidate.docker);
+        job.needs = [
+          previousJob,
+          ...(this.usesImageTag() ? ['image-tag'] : []),
+          ...(stage.environment && this.tagging.pinDigest && dockerStage ? [dockerStage.name] : [])
+        ];
+      }
+
+      job.script = script;
+      if (stage.cache) {
+        job.cache = stage.cache.map(tool => ({
+          key: { prefix: tool, files: DEPENDENCY_CACHES[tool].files },
+          paths: [`${DEPENDENCY_CACHE_DIR}/${tool}`]
+        }));
+      }
+      // Only the next job of the chain reads the outputs, which may hold credentials
+      const outputs = index < runs.length - 1 ? [].concat(...steps.map(step => step.outputs || [])) : [];
+      if (outputs.length > 0) {
+        job.artifacts = { paths: outputs, expire_in: '1 hour' };
+      }
+      if (stage.artifacts || stage.reports) {
+        job.artifacts = { ...job.artifacts, when: 'always' };
+        if (stage.artifacts) {
+          job.artifacts.paths = [...stage.artifacts, ...outputs];
+        }
+        if (stage.reports) {
+          // GitLab shows the test results and coverage in merge requests
+          const { junit, coverage } = stage.reports;
+          job.artifacts.reports = {
+            ...(junit ? { junit } : {}),
+            ...(coverage ? { coverage_report: { coverage_format: coverage.format, path: coverage.path } } : {})
+          };
+          if (coverage && coverage.threshold !== undefined) {
+            job.coverage = '/Line coverage: \\d+(?:\\.\\d+)?%/';
+          }
+        }
+      }
+      jobs[jobName] = job;
+      previousJob = jobName;
+    });
+
+    return jobs;
+  }
+
+  /**
+   * Check whether GitLab CI pushes the image to the GitLab container registry
+   * of the project, which it does when no registry is configured
+   * @returns {boolean} - True when neither dockerRegistry nor registry.type is set
+   */
+  usesGitlabRegistry() {
+    return !this.dockerRegistry && !this.registry.type;
+  }
+
+  /**
+   * Point a step at the GitLab container registry: drop the ECR login steps of
+   * the default registry, and log in to $CI_REGISTRY with the CI_REGISTRY_USER
+   * and CI_REGISTRY_PASSWORD job variables to read the image from
+   * $CI_REGISTRY_IMAGE
+   * @param {Object} step - Step configuration
+   * @returns {Object} - Step for the GitLab registry, or undefined for a login step
+   */
+  toGitlabRegistryStep(step) {
+    if (step.image === AWS_CLI_IMAGE && (step.outputs || []).includes('.docker/')) {
+      return undefined;
+    }
+
+    // Without a registry, image references start with a slash: /<image>:<tag>
+    const { repository } = this.getImageReference();
+    const escaped = repository.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const reference = new RegExp(`(^|[\\s|=])${escaped}(?=[:@\\s]|$)`, 'gm');
+    const login = this.getRegistryAuthCommands(undefined).join('\n');
+    const script = stepScript(step)
+      .replace(reference, `$1$CI_REGISTRY_IMAGE${repository}`)
+      .split(login).join(this.getRegistryAuthCommands('$CI_REGISTRY', '"$CI_REGISTRY_USER"', '"$CI_REGISTRY_PASSWORD"').join('\n'));
+
+    return { ...step, command: ['sh', '-c', script] };
+  }
+
+  /**
+   * Render the GitLab job that builds the image of a Docker build stage with
+   * its builder and pushes it to the registry, with the REGISTRY_USERNAME and
+   * REGISTRY_PASSWORD variables or, for ECR, the Docker config of the login job.
+   * Without a registry, it pushes to $CI_REGISTRY_IMAGE with the CI_REGISTRY_USER
+   * and CI_REGISTRY_PASSWORD job variables.
+   * @param {Object} stage - Docker build stage
+   * @param {string} gitlabStage - GitLab stage the job belongs to
+   * @returns {Object} - GitLab job
+   */
+  renderGitlabImageBuild(stage, gitlabStage) {
+    const build = stage.steps[stage.steps.length - 1];
+    const variables = toEnvObject([...(stage.env || []), ...(build.env || [])]);
+    const job = {
+      stage: gitlabStage,
+      // Builder images set an entrypoint, which GitLab has to override
+      image: { name: build.image, entrypoint: [''] }
+    };
+
+    if (isDockerInDocker(build.image)) {
+      // Build with a Docker-in-Docker service
+      job.image = build.image.replace(/-dind$/, '');
+      job.services = [build.image];
+      variables.DOCKER_HOST = 'tcp://docker:2375';
+      variables.DOCKER_TLS_CERTDIR = '';
+    }
+
+    if (Object.keys(variables).length > 0) {
+      job.variables = variables;
+    }
+
+    const { imageName, tag } = stage.docker;
+    job.script = this.getImageBuildCommands(stage.docker, this.usesGitlabRegistry()
+      ? {
+        image: `$CI_REGISTRY_IMAGE/${imageName}:${tag}`,
+        cache: buildCacheRefOf(stage.docker.cache, `$CI_REGISTRY_IMAGE/${imageName}`),
+        authKey: '$CI_REGISTRY',
+        username: '"$CI_REGISTRY_USER"',
+        password: '"$CI_REGISTRY_PASSWORD"'
+      }
+      : {
+        image: stage.docker.imageTag,
+        cache: buildCacheRefOf(stage.docker.cache, `${this.dockerRegistry}/${imageName}`),
+        authKey: this.getRegistryCredentials().authKey
+      });
+
+    // Later jobs deploy the digest the build wrote
+    if (this.tagging.pinDigest) {
+      job.artifacts = { paths: ['.image-digest'] };
+    }
+    return job;
+  }
+
+  /**
+   * Generate Tekton Task, Pipeline and PipelineRun manifests for the pipeline
+   * @returns {Object} - Object with tasks, pipeline and pipelineRun manifests
+   */
+  generateTektonPipeline() {
+    this.assertValid();
+    const pipelineName = `${this.projectName}-pipeline`;
+    const labels = { app: this.projectName };
+    const dependencies = this.getStageDependencies();
+
+    const tasks = this.orderStages()
+      .filter(stage => !stage.approval)
+      .map(stage => this.renderTektonTask(stage));
+
+    const pipelineTasks = [
+      {
+        name: 'fetch-source',
+        taskRef: {
+          resolver: 'hub',
+          params: [
+            { name: 'kind', value: 'task' },
+            { name: 'name', value: 'git-clone' },
+            { name: 'version', value: '0.9' }
+          ]
+        },
+        params: [
+          { name: 'url', value: '$(params.repo-url)' },
+          { name: 'revision', value: '$(params.revision)' },
+          // git describe needs the history and tags
+          ...(this.tagging.policy === 'semver' ? [{ name: 'depth', value: '0' }] : [])
+        ],
+        workspaces: [
+          { name: 'output', workspace: 'shared-workspace' }
+        ]
+      }
+    ];
+
+    // Tekton has no build number, so branch-build tags use the generated suffix of the PipelineRun name
+    const tagParams = [];
+    if (this.usesImageTag()) {
+      pipelineTasks.push({
+        name: 'image-tag',
+        runAfter: ['fetch-source'],
+        params: [
+          { name: 'commit', value: '$(tasks.fetch-source.results.commit)' },
+          { name: 'revision', value: '$(params.revision)' },
+          { name: 'run', value: '$(context.pipelineRun.name)' }
+        ],
+        taskSpec: {
+          params: [{ name: 'commit' }, { name: 'revision' }, { name: 'run' }],
+          results: [{ name: 'tag' }],
+          workspaces: [{ name: 'source' }],
+          steps: [{
+            name: 'derive-tag',
+            image: GIT_IMAGE,
+            workingDir: '$(workspaces.source.path)',
+            env: [{ name: 'RUN', value: '$(params.run)' }],
+            script: `#!/bin/sh\nset -e\ngit config --global --add safe.directory "$(pwd)"\n${[
+              ...this.getImageTagCommands({ sha: '$(params.commit)', branch: '$(params.revision)', build: '${RUN##*-}' }),
+              'printf \'%s\' "$IMAGE_TAG" > $(results.tag.path)'
+            ].join('\n')}\n`
+          }]
+        },
+        workspaces: [
+          { name: 'source', workspace: 'shared-workspace' }
+        ]
+      });
+      tagParams.push({ name: 'image-tag', value: '$(tasks.image-tag.results.tag)' });
+    }
+
+    this.orderStages().forEach(stage => {
+      const runAfter = dependencies.get(stage.name);
+
+      if (stage.approval) {
+        // Gate on the Tekton manual approval gate custom task
+        pipelineTasks.push({
+          name: stage.name,
+          taskRef: {
+            apiVersion: 'openshift-pipelines.org/v1alpha1',
+            kind: 'ApprovalTask'
+          },
+          runAfter: runAfter.length > 0 ? runAfter : ['fetch-source'],
+          params: [
+            { name: 'approvers', value: stage.approval.approvers },
+            { name: 'numberOfApprovalsRequired', value: '1' },
+            { name: 'description', value: stage.approval.message }
+          ],
+          timeout: `${stage.approval.timeout}m`
+        });
+        return;
+      }
+
+      pipelineTasks.push({
+        name: stage.name,
+        taskRef: { name: `${this.projectName}-${stage.name}` },
+        runAfter: runAfter.length > 0 ? runAfter : ['fetch-source'],
+        ...(tagParams.length > 0 ? { params: tagParams } : {}),
+        workspaces: [
+          { name: 'source', workspace: 'shared-workspace' },
+          ...(stage.cache ? [{ name: 'cache', workspace: 'dependency-cache' }] : [])
+        ]
+      });
+    });
+
+    // The dependency caches outlive the PipelineRuns in their own PersistentVolumeClaim
+    const cached = this.stages.some(stage => stage.cache);
+
+    const pipeline = {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Pipeline',
+      metadata: {
+        name: pipelineName,
+        labels
+      },
+      spec: {
+        params: [
+          { name: 'repo-url', type: 'string', default: this.repoUrl },
+          { name: 'revision', type: 'string', default: this.branch }
+        ],
+        workspaces: [
+          { name: 'shared-workspace' },
+          ...(cached ? [{ name: 'dependency-cache' }] : [])
+        ],
+        tasks: pipelineTasks
+      }
+    };
+
+    const pipelineRun = {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'PipelineRun',
+      metadata: {
+        generateName: `${this.projectName}-run-`,
+        labels
+      },
+      spec: {
+        pipelineRef: { name: pipelineName },
+        taskRunTemplate: {
+          serviceAccountName: pipelineName
+        },
+        params: [
+          { name: 'repo-url', value: this.repoUrl },
+          { name: 'revision', value: this.branch }
+        ],
+        workspaces: [
+          {
+            name: 'shared-workspace',
+            volumeClaimTemplate: {
+              spec: {
+                accessModes: ['ReadWriteOnce'],
+                resources: {
+                  requests: { storage: '1Gi' }
+                }
+              }
+            }
+          },
+          ...(cached ? [{
+            name: 'dependency-cache',
+            persistentVolumeClaim: { claimName: this.cache.claimName }
+          }] : [])
+        ]
+      }
+    };
+
+    return { tasks, pipeline, pipelineRun };
+  }
+
+  /**
+   * Render a Tekton Task for a stage. Every step runs in the shared source
+   * workspace; Docker-in-Docker images run as a sidecar next to a Docker CLI step.
+   * @param {Object} stage - Stage configuration
+   * @returns {Object} - Tekton Task manifest
+   */
+  renderTektonTask(stage) {
+    const sidecars = [];
+
+    const steps = stage.steps.map(step => {
+      const rendered = {
+        name: step.name,
+        image: step.image,
+        workingDir: '$(workspaces.source.path)'
+      };
+
+      if (isDockerInDocker(step.image)) {
+        rendered.image = step.image.replace(/-dind$/, '');
+        if (!sidecars.some(sidecar => sidecar.image === step.image)) {
+          sidecars.push({
+            name: containerNameFor(step.image),
+            image: step.image,
+            securityContext: { privileged: true },
+            env: [{ name: 'DOCKER_TLS_CERTDIR', value: '' }]
+          });
+        }
+      }
+
+      const command = step.command || [];
+      if (command.length === 3 && /^(ba)?sh$/.test(command[0]) && command[1] === '-c') {
+        rendered.script = `#!/bin/sh\nset -e\n${command[2]}\n`;
+      } else {
+        rendered.command = command;
+      }
+
+      if (step.env && step.env.length > 0) {
+        rendered.env = step.env;
+      }
+
+      if (step.securityContext) {
+        rendered.securityContext = step.securityContext;
+      }
+
+      return rendered;
+    });
+
+    const spec = {
+      workspaces: [
+        { name: 'source' }
+      ]
+    };
+
+    const env = [];
+    if (this.usesImageTag()) {
+      spec.params = [{ name: 'image-tag', type: 'string' }];
+      env.push({ name: 'IMAGE_TAG', value: '$(params.image-tag)' });
+    }
+    if (stage.cache) {
+      spec.workspaces.push({ name: 'cache' });
+      env.push({ name: 'CACHE_DIR', value: '$(workspaces.cache.path)' });
+    }
+    env.push(
+      ...(stage.env || []),
+      ...(stage.secrets || []).map(secret => ({
+        name: secret.name,
+        valueFrom: { secretKeyRef: { name: secret.secret, key: secret.key } }
+      }))
+    );
+    if (env.length > 0) {
+      spec.stepTemplate = { env };
+    }
+
+    spec.steps = steps;
+
+    if (sidecars.length > 0) {
+      spec.sidecars = sidecars;
+    }
+
+    return {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Task',
+      metadata: {
+        name: `${this.projectName}-${stage.name}`,
+        labels: { app: this.projectName }
+      },
+      spec
+    };
+  }
+
+  /**
+   * Generate AWS CodePipeline configuration
+   * @returns {Object} - AWS CodePipeline configuration object
+   */
+  generateAwsCodePipeline() {
+    this.assertValid('aws-codepipeline');
+    const pipelineName = `${this.projectName}-pipeline`;
+    const ecrRepo = this.registry.aws.ecrRepository;
+    const ecr = this.getRegistry().type === 'ecr';
+    const registryAccount = { 'Fn::If': ['HasAccountId', { Ref: 'AccountId' }, { Ref: 'AWS::AccountId' }] };
+
+    // One pipeline stage per environment with its approval and deploy
+    // actions, in the order the stages were added
+    const deployStages = [];
+    this.stages
+      .filter(stage => stage.environment || stage.approval)
+      .forEach(stage => {
+        const name = `Deploy-${stage.environment || stage.approval.environment}`;
+        let deployStage = deployStages.find(candidate => candidate.Name === name);
+        if (!deployStage) {
+          deployStage = { Name: name, Actions: [] };
+          deployStages.push(deployStage);
+        }
+
+        deployStage.Actions.push({
+          ...this.renderCodePipelineAction(stage),
+          RunOrder: deployStage.Actions.length + 1
+        });
+      });
+
+    const environments = this.environments.map(env => this.getEnvironmentConfig(env));
+
+    // Deployments to other AWS accounts assume a role in the target account
+    const deployRoleArns = [...new Set(environments
+      .map(config => config.roleArn)
+      .filter(Boolean))];
+
+    // Clusters in the pipeline's own account are described with the CodeBuild role
+    const clusterArns = [...new Set(environments
+      .filter(config => !config.roleArn)
+      .map(config => {
+        const clusterRegion = this.environmentConfigs[config.name].region ? config.region : '${Region}';
+        return `arn:aws:eks:${clusterRegion}:\${AWS::AccountId}:cluster/${config.cluster || '${ClusterName}'}`;
+      }))]
+      .map(arn => ({ 'Fn::Sub': arn }));
+
+    // A test stage with reports runs in a CodeBuild project of its own before the build
+    const testStage = this.stages.find(stage => stage.reports);
+
+    const approvalTopicArns = [...new Set(this.stages
+      .filter(stage => stage.approval && stage.approval.snsTopicArn)
+      .map(stage => stage.approval.snsTopicArn))];
+
+    const codeBuildStatements = [
+      {
+        Sid: 'WriteBuildLogs',
+        Effect: 'Allow',
+        Action: ['logs:CreateLogStream', 'logs:PutLogEvents'],
+        Resource: [
+          { 'Fn::GetAtt': ['DockerBuildLogGroup', 'Arn'] },
+          { 'Fn::GetAtt': ['KubernetesDeployLogGroup', 'Arn'] },
+          ...(testStage ? [{ 'Fn::GetAtt': ['TestLogGroup', 'Arn'] }] : [])
+        ]
+      },
+      {
+        Sid: 'ReadWriteArtifacts',
+        Effect: 'Allow',
+        Action: ['s3:GetObject', 's3:GetObjectVersion', 's3:PutObject'],
+        Resource: { 'Fn::Sub': '${ArtifactBucket.Arn}/*' }
+      },
+      ...(ecr ? [{
+        Sid: 'EcrLogin',
+        Effect: 'Allow',
+        Action: 'ecr:GetAuthorizationToken',
+        Resource: '*'
+      },
+      {
+        Sid: 'PushToRepository',
+        Effect: 'Allow',
+        Action: [
+          'ecr:BatchCheckLayerAvailability',
+          'ecr:BatchGetImage',
+          'ecr:CompleteLayerUpload',
+          'ecr:CreateRepository',
+          'ecr:DescribeRepositories',
+          'ecr:GetDownloadUrlForLayer',
+          'ecr:InitiateLayerUpload',
+          'ecr:PutImage',
+          'ecr:UploadLayerPart'
+        ],
+        Resource: {
+          'Fn::Sub': [`arn:aws:ecr:\${Region}:\${RegistryAccount}:repository/${ecrRepo}`, { RegistryAccount: registryAccount }]
+        }
+      }] : [{
+        Sid: 'ReadRegistryCredentials',
+        Effect: 'Allow',
+        Action: 'secretsmanager:GetSecretValue',
+        Resource: { Ref: 'RegistryCredentialsSecretArn' }
+      }])
+    ];
+
+    if (testStage) {
+      // CodeBuild creates the report groups of the test buildspec on its first run
+      codeBuildStatements.push({
+        Sid: 'WriteTestReports',
+        Effect: 'Allow',
+        Action: [
+          'codebuild:BatchPutCodeCoverages',
+          'codebuild:BatchPutTestCases',
+          'codebuild:CreateReport',
+          'codebuild:CreateReportGroup',
+          'codebuild:UpdateReport'
+        ],
+        Resource: { 'Fn::Sub': `arn:aws:codebuild:\${AWS::Region}:\${AWS::AccountId}:report-group/${this.projectName}-test-*` }
+      });
+    }
+
+    const scanStage = this.stages.find(stage => stage.security);
+    const signing = Boolean(scanStage && scanStage.security.sbom && scanStage.security.sbom.sign);
+    if (signing) {
+      codeBuildStatements.push({
+        Sid: 'ReadCosignKey',
+        Effect: 'Allow',
+        Action: 'secretsmanager:GetSecretValue',
+        Resource: { Ref: 'CosignKeySecretArn' }
+      });
+    }
+
+    if (this.tagging.policy === 'semver') {
+      // Builds clone the source through the connection
+      codeBuildStatements.push({
+        Sid: 'UseSourceConnection',
+        Effect: 'Allow',
+        Action: 'codestar-connections:UseConnection',
+        Resource: { Ref: 'ConnectionArn' }
+      });
+    }
+
+    if (this.deployMode === 'gitops') {
+      // GitOps deploys never reach the clusters; they only read the config repository token
+      codeBuildStatements.push({
+        Sid: 'ReadGitOpsToken',
+        Effect: 'Allow',
+        Action: 'secretsmanager:GetSecretValue',
+        Resource: { Ref: 'GitOpsTokenSecretArn' }
+      });
+    } else if (clusterArns.length > 0) {
+      codeBuildStatements.push({
+        Sid: 'DescribeClusters',
+        Effect: 'Allow',
+        Action: 'eks:DescribeCluster',
+        Resource: clusterArns
+      });
+    }
+
+    if (deployRoleArns.length > 0 && this.deployMode === 'kubectl') {
+      codeBuildStatements.push({
+        Sid: 'AssumeCrossAccountDeployRoles',
+        Effect: 'Allow',
+        Action: 'sts:AssumeRole',
+        Resource: deployRoleArns
+      });
+    }
+
+    const codePipelineStatements = [
+      {
+        Sid: 'ReadWriteArtifacts',
+        Effect: 'Allow',
+        Action: ['s3:GetObject', 's3:GetObjectVersion', 's3:PutObject'],
+        Resource: { 'Fn::Sub': '${ArtifactBucket.Arn}/*' }
+      },
+      {
+        Sid: 'ReadArtifactBucket',
+        Effect: 'Allow',
+        Action: ['s3:GetBucketLocation', 's3:GetBucketVersioning'],
+        Resource: { 'Fn::GetAtt': ['ArtifactBucket', 'Arn'] }
+      },
+      {
+        Sid: 'RunBuilds',
+        Effect: 'Allow',
+        Action: ['codebuild:StartBuild', 'codebuild:BatchGetBuilds'],
+        Resource: [
+          { 'Fn::GetAtt': ['DockerBuildProject', 'Arn'] },
+          { 'Fn::GetAtt': ['KubernetesDeployProject', 'Arn'] },
+          ...(testStage ? [{ 'Fn::GetAtt': ['TestProject', 'Arn'] }] : [])
+        ]
+      },
+      {
+        Sid: 'UseSourceConnection',
+        Effect: 'Allow',
+        Action: 'codestar-connections:UseConnection',
+        Resource: { Ref: 'ConnectionArn' }
+      }
+    ];
+
+    if (approvalTopicArns.length > 0) {
+      codePipelineStatements.push({
+        Sid: 'NotifyApprovers',
+        Effect: 'Allow',
+        Action: 'sns:Publish',
+        Resource: approvalTopicArns
+      });
+    }
+
+    // Channels notified of the same events share a notification rule and its SNS topic,
+    // which emails and webhooks subscribe to and AWS Chatbot relays to Slack and Teams
+    const notificationGroups = [];
+    this.notifications.forEach(channel => {
+      const events = Object.keys(NOTIFICATION_EVENTS).filter(event => channel.events.includes(event));
+      const id = events.map(event => event.replace(/(^|-)([a-z])/g, (match, dash, letter) => letter.toUpperCase())).join('');
+      let group = notificationGroups.find(candidate => candidate.id === id);
+      if (!group) {
+        group = { id, events, channels: [] };
+        notificationGroups.push(group);
+      }
+      group.channels.push(channel);
+    });
+
+    const notificationResources = {};
+    const notificationOutputs = {};
+    notificationGroups.forEach(({ id, events, channels }) => {
+      const topic = `${id}NotificationTopic`;
+      notificationResources[topic] = {
+        Type: 'AWS::SNS::Topic',
+        Properties: {
+          DisplayName: `${this.projectName} pipeline`
+        }
+      };
+      notificationResources[`${topic}Policy`] = {
+        Type: 'AWS::SNS::TopicPolicy',
+        Properties: {
+          Topics: [{ Ref: topic }],
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: [{
+              Sid: 'PublishPipelineNotifications',
+              Effect: 'Allow',
+              Principal: { Service: 'codestar-notifications.amazonaws.com' },
+              Action: 'sns:Publish',
+              Resource: { Ref: topic }
+            }]
+          }
+        }
+      };
+      notificationResources[`${id}NotificationRule`] = {
+        Type: 'AWS::CodeStarNotifications::NotificationRule',
+        // The rule can only target a topic it may publish to
+        DependsOn: `${topic}Policy`,
+        Properties: {
+          Name: `${this.projectName}-${events.join('-')}`.slice(0, 64),
+          DetailType: 'FULL',
+          Resource: { 'Fn::Sub': 'arn:aws:codepipeline:${AWS::Region}:${AWS::AccountId}:${Pipeline}' },
+          EventTypeIds: events.map(event => NOTIFICATION_EVENTS[event]),
+          Targets: [{ TargetType: 'SNS', TargetAddress: { Ref: topic } }]
+        }
+      };
+
+      const endpoints = [].concat(...channels.map(channel => {
+        if (channel.type === 'email') {
+          return channel.to.map(address => ({ Protocol: 'email', Endpoint: address }));
+        }
+        return channel.type === 'webhook' ? [{ Protocol: 'https', Endpoint: channel.url }] : [];
+      }));
+      endpoints.forEach((endpoint, index) => {
+        notificationResources[`${id}NotificationSubscription${index + 1}`] = {
+          Type: 'AWS::SNS::Subscription',
+          Properties: {
+            TopicArn: { Ref: topic },
+            ...endpoint
+          }
+        };
+      });
+
+      notificationOutputs[`${topic}Arn`] = {
+        Description: `SNS topic of the ${events.join(', ')} notifications, for AWS Chatbot Slack and Microsoft Teams channels`,
+        Value: { Ref: topic }
+      };
+    });
+
+    const clusterParameters = this.deployMode === 'gitops' ? {
+      GitOpsTokenSecretArn: {
+        Type: 'String',
+        Description: 'ARN of the Secrets Manager secret holding the token that pushes to the config repository'
+      }
+    } : {
+      ClusterName: {
+        Type: 'String',
+        Default: this.projectName,
+        Description: 'EKS cluster for environments that do not set their own cluster'
+      }
+    };
+
+    // Create CodePipeline structure
+    const pipeline = {
+      AWSTemplateFormatVersion: '2010-09-09',
+      Description: `AWS CodePipeline for ${this.projectName} Kubernetes deployment`,
+      Parameters: {
+        ConnectionArn: {
+          Type: 'String',
+          Description: 'ARN of the CodeStar connection to the source repository'
+        },
+        ...clusterParameters,
+        ...(ecr ? {} : {
+          RegistryCredentialsSecretArn: {
+            Type: 'String',
+            Description: 'ARN of the Secrets Manager secret holding the username and password of the image registry'
+          }
+        }),
+        ...(signing ? {
+          CosignKeySecretArn: {
+            Type: 'String',
+            Description: 'ARN of the Secrets Manager secret holding the cosign private key and its password'
+          }
+        } : {}),
+        AccountId: {
+          Type: 'String',
+          Default: this.registry.aws.accountId || '',
+          Description: 'AWS account of the ECR repository (empty for the account of this stack)'
+        },
+        Region: {
+          Type: 'String',
+          Default: this.registry.aws.region,
+          Description: 'AWS region of the ECR repository and of clusters in environments that do not set their own region'
+        }
+      },
+      Conditions: {
+        HasAccountId: { 'Fn::Not': [{ 'Fn::Equals': [{ Ref: 'AccountId' }, ''] }] }
+      },
+      Resources: {
+        ArtifactBucket: {
+          Type: 'AWS::S3::Bucket',
+          Properties: {
+            VersioningConfiguration: {
+              Status: 'Enabled'
+            },
+            BucketEncryption: {
+              ServerSideEncryptionConfiguration: [{
+                ServerSideEncryptionByDefault: {
+                  SSEAlgorithm: 'AES256'
+                }
+              }]
+            },
+            PublicAccessBlockConfiguration: {
+              BlockPublicAcls: true,
+              BlockPublicPolicy: true,
+              IgnorePublicAcls: true,
+              RestrictPublicBuckets: true
+            },
+            LifecycleConfiguration: {
+              Rules: [{
+                Id: 'ExpirePipelineArtifacts',
+                Status: 'Enabled',
+                ExpirationInDays: 30,
+                NoncurrentVersionExpiration: {
+                  NoncurrentDays: 7
+                },
+                AbortIncompleteMultipartUpload: {
+                  DaysAfterInitiation: 1
+                }
+              }]
+            }
+          }
+        },
+        ArtifactBucketPolicy: {
+          Type: 'AWS::S3::BucketPolicy',
+          Properties: {
+            Bucket: { Ref: 'ArtifactBucket' },
+            PolicyDocument: {
+              Version: '2012-10-17',
+              Statement: [{
+                Sid: 'DenyInsecureTransport',
+                Effect: 'Deny',
+                Principal: '*',
+                Action: 's3:*',
+                Resource: [
+                  { 'Fn::GetAtt': ['ArtifactBucket', 'Arn'] },
+                  { 'Fn::Sub': '${ArtifactBucket.Arn}/*' }
+                ],
+                Condition: {
+                  Bool: { 'aws:SecureTransport': 'false' }
+                }
+              }]
+            }
+          }
+        },
+        DockerBuildLogGroup: {
+          Type: 'AWS::Logs::LogGroup',
+          Properties: {
+            LogGroupName: `/aws/codebuild/${this.projectName}-docker-build`,
+            RetentionInDays: 30
+          }
+        },
+        KubernetesDeployLogGroup: {
+          Type: 'AWS::Logs::LogGroup',
+          Properties: {
+            LogGroupName: `/aws/codebuild/${this.projectName}-k8s-deploy`,
+            RetentionInDays: 30
+          }
+        },
+        ...(testStage ? {
+          TestLogGroup: {
+            Type: 'AWS::Logs::LogGroup',
+            Properties: {
+              LogGroupName: `/aws/codebuild/${this.projectName}-test`,
+              RetentionInDays: 30
+            }
+          }
+        } : {}),
+        CodeBuildServiceRole: {
+          Type: 'AWS::IAM::Role',
+          Properties: {
+            AssumeRolePolicyDocument: {
+              Version: '2012-10-17',
+              Statement: [{
+                Effect: 'Allow',
+                Principal: {
+                  Service: 'codebuild.amazonaws.com'
+                },
+                Action: 'sts:AssumeRole'
+              }]
+            },
+            Policies: [{
+              PolicyName: `${this.projectName}-codebuild`,
+              PolicyDocument: {
+                Version: '2012-10-17',
+                Statement: codeBuildStatements
+              }
+            }]
+          }
+        },
+        CodePipelineServiceRole: {
+          Type: 'AWS::IAM::Role',
+          Properties: {
+            AssumeRolePolicyDocument: {
+              Version: '2012-10-17',
+              Statement: [{
+                Effect: 'Allow',
+                Principal: {
+                  Service: 'codepipeline.amazonaws.com'
+                },
+                Action: 'sts:AssumeRole'
+              }]
+            },
+            Policies: [{
+              PolicyName: `${this.projectName}-codepipeline`,
+              PolicyDocument: {
+                Version: '2012-10-17',
+                Statement: codePipelineStatements
+              }
+            }]
+          }
+        },
+        DockerBuildProject: {
+          Type: 'AWS::CodeBuild::Project',
+          Properties: {
+            Name: `${this.projectName}-docker-build`,
+            ServiceRole: { 'Fn::GetAtt': ['CodeBuildServiceRole', 'Arn'] },
+            Artifacts: {
+              Type: 'CODEPIPELINE'
+            },
+            Environment: {
+              Type: 'LINUX_CONTAINER',
+              ComputeType: 'BUILD_GENERAL1_SMALL',
+              // Docker with buildx for multi-platform images
+              Image: 'aws/codebuild/amazonlinux2-x86_64-standard:5.0',
+              PrivilegedMode: true,
+              EnvironmentVariables: [
+                ...(ecr ? [
+                  { Name: 'AWS_ACCOUNT_ID', Value: registryAccount },
+                  { Name: 'ECR_REGION', Value: { Ref: 'Region' } }
+                ] : ['username', 'password'].map(key => ({
+                  Name: `REGISTRY_${key.toUpperCase()}`,
+                  Type: 'SECRETS_MANAGER',
+                  Value: { 'Fn::Sub': `\${RegistryCredentialsSecretArn}:${key}` }
+                }))),
+                ...(signing ? [['COSIGN_PRIVATE_KEY', 'key'], ['COSIGN_PASSWORD', 'password']].map(([name, key]) => ({
+                  Name: name,
+                  Type: 'SECRETS_MANAGER',
+                  Value: { 'Fn::Sub': `\${CosignKeySecretArn}:${key}` }
+                })) : [])
+              ]
+            },
+            ...(this.cache.codeBuild ? {
+              Cache: this.cache.codeBuild === 's3'
+                ? { Type: 'S3', Location: { 'Fn::Sub': '${ArtifactBucket}/build-cache' } }
+                : { Type: 'LOCAL', Modes: ['LOCAL_DOCKER_LAYER_CACHE'] }
+            } : {}),
+            LogsConfig: {
+              CloudWatchLogs: {
+                Status: 'ENABLED',
+                GroupName: { Ref: 'DockerBuildLogGroup' }
+              }
+            },
+            Source: {
+              Type: 'CODEPIPELINE',
+              BuildSpec: this.withoutValidation(() => this.generateBuildSpec())
+            }
+          }
+        },
+        ...(testStage ? {
+          TestProject: {
+            Type: 'AWS::CodeBuild::Project',
+            Properties: {
+              Name: `${this.projectName}-test`,
+              ServiceRole: { 'Fn::GetAtt': ['CodeBuildServiceRole', 'Arn'] },
+              Artifacts: {
+                Type: 'CODEPIPELINE'
+              },
+              Environment: {
+                Type: 'LINUX_CONTAINER',
+                ComputeType: 'BUILD_GENERAL1_SMALL',
+                // The tests run in the image of the test stage
+                Image: testStage.steps[0].image
+              },
+              LogsConfig: {
+                CloudWatchLogs: {
+                  Status: 'ENABLED',
+                  GroupName: { Ref: 'TestLogGroup' }
+                }
+              },
+              Source: {
+                Type: 'CODEPIPELINE',
+                BuildSpec: this.withoutValidation(() => this.generateTestBuildSpec())
+              }
+            }
+          }
+        } : {}),
+        KubernetesDeployProject: {
+          Type: 'AWS::CodeBuild::Project',
+          Properties: {
+            Name: `${this.projectName}-k8s-deploy`,
+            ServiceRole: { 'Fn::GetAtt': ['CodeBuildServiceRole', 'Arn'] },
+            Artifacts: {
+              Type: 'CODEPIPELINE'
+            },
+            Environment: {
+              Type: 'LINUX_CONTAINER',
+              ComputeType: 'BUILD_GENERAL1_SMALL',
+              Image: 'aws/codebuild/amazonlinux2-x86_64-standard:3.0'
+            },
+            LogsConfig: {
+              CloudWatchLogs: {
+                Status: 'ENABLED',
+                GroupName: { Ref: 'KubernetesDeployLogGroup' }
+              }
+            },
+            Source: {
+              Type: 'CODEPIPELINE',
+              BuildSpec: this.withoutValidation(() => this.generateDeployBuildSpec())
+            }
+          }
+        },
+        Pipeline: {
+          Type: 'AWS::CodePipeline::Pipeline',
+          Properties: {
+            Name: pipelineName,
+            RoleArn: { 'Fn::GetAtt': ['CodePipelineServiceRole', 'Arn'] },
+            ArtifactStore: {
+              Type: 'S3',
+              Location: { Ref: 'ArtifactBucket' }
+            },
+            Stages: [
+              {
+                Name: 'Source',
+                Actions: [{
+                  Name: 'Source',
+                  ActionTypeId: {
+                    Category: 'Source',
+                    Owner: 'AWS',
+                    Provider: 'CodeStarSourceConnection',
+                    Version: '1'
+                  },
+                  Configuration: {
+                    ConnectionArn: { Ref: 'ConnectionArn' },
+                    FullRepositoryId: this.repoUrl.replace(/^.*github\.com[/:]/, '').replace(/\.git$/, ''),
+                    BranchName: this.branch,
+                    // The semver tagging policy runs git describe, which needs a clone instead of a zip
+                    ...(this.tagging.policy === 'semver' ? { OutputArtifactFormat: 'CODEBUILD_CLONE_REF' } : {})
+                  },
+                  OutputArtifacts: [{
+                    Name: 'SourceCode'
+                  }]
+                }]
+              },
+              ...(testStage ? [{
+                Name: 'Test',
+                Actions: [{
+                  Name: 'RunTests',
+                  ActionTypeId: {
+                    Category: 'Test',
+                    Owner: 'AWS',
+                    Provider: 'CodeBuild',
+                    Version: '1'
+                  },
+                  Configuration: {
+                    ProjectName: { Ref: 'TestProject' }
+                  },
+                  InputArtifacts: [{
+                    Name: 'SourceCode'
+                  }],
+                  ...(testStage.artifacts ? { OutputArtifacts: [{ Name: 'TestOutput' }] } : {})
+                }]
+              }] : []),
+              {
+                Name: 'Build',
+                Actions: [{
+                  Name: 'BuildAndPushDockerImage',
+                  ActionTypeId: {
+                    Category: 'Build',
+                    Owner: 'AWS',
+                    Provider: 'CodeBuild',
+                    Version: '1'
+                  },
+                  Configuration: {
+                    ProjectName: { Ref: 'DockerBuildProject' }
+                  },
+                  InputArtifacts: [{
+                    Name: 'SourceCode'
+                  }],
+                  OutputArtifacts: [{
+                    Name: 'BuildOutput'
+                  }]
+                }]
+              },
+              ...deployStages
+            ]
+          }
+        },
+        ...notificationResources
+      },
+      Outputs: {
+        PipelineUrl: {
+          Description: 'URL to the AWS CodePipeline console',
+          Value: {
+            'Fn::Sub': `https://\${AWS::Region}.console.aws.amazon.com/codepipeline/home?region=\${AWS::Region}#/view/${pipelineName}`
+          }
+        },
+        ...notificationOutputs
+      }
+    };
+
+    return pipeline;
+  }
+
+  /**
+   * Render the CodePipeline action for a deploy or approval stage
+   * @param {Object} stage - Deploy or approval stage
+   * @returns {Object} - CodePipeline action
+   */
+  renderCodePipelineAction(stage) {
+    if (stage.approval) {
+      const configuration = { CustomData: stage.approval.message };
+      if (stage.approval.snsTopicArn) {
+        configuration.NotificationArn = stage.approval.snsTopicArn;
+      }
+
+      return {
+        Name: `Approve-${stage.approval.environment}`,
+        ActionTypeId: {
+          Category: 'Approval',
+          Owner: 'AWS',
+          Provider: 'Manual',
+          Version: '1'
+        },
+        Configuration: configuration
+      };
+    }
+
+    const config = this.getEnvironmentConfig(stage.environment);
+    const overrides = this.environmentConfigs[stage.environment];
+    const literal = value => value.replace(/\$\{/g, '${!');
+
+    if (this.deployMode === 'gitops') {
+      // GitOps deploys only need the environment and the push token of the config repository
+      return this.renderCodePipelineDeployAction(config, [
+        { name: 'ENVIRONMENT', value: literal(config.name), type: 'PLAINTEXT' },
+        { name: 'GITOPS_TOKEN', value: '${GitOpsTokenSecretArn}', type: 'SECRETS_MANAGER' }
+      ]);
+    }
+
+    // Environments without their own cluster or region use the template parameters
+    const variables = [
+      { name: 'ENVIRONMENT', value: literal(config.name) },
+      { name: 'NAMESPACE', value: literal(config.namespace) },
+      { name: 'AWS_REGION', value: overrides.region ? literal(config.region) : '${Region}' },
+      { name: 'EKS_CLUSTER_NAME', value: config.cluster ? literal(config.cluster) : '${ClusterName}' }
+    ];
+    if (config.roleArn) {
+      variables.push({ name: 'DEPLOY_ROLE_ARN', value: literal(config.roleArn) });
+    }
+    const strategy = this.getDeployStrategy(stage.environment);
+    variables.push(
+      { name: 'DEPLOY_STRATEGY', value: strategy.type },
+      { name: 'DEPLOY_TIMEOUT', value: strategy.timeout },
+      { name: 'DEPLOY_ROLLBACK', value: String(this.getDeployVerification(stage.environment).rollback) }
+    );
+    if (strategy.type === 'blue-green') {
+      variables.push({ name: 'DEPLOY_IDLE_REPLICAS', value: String(strategy.idleReplicas) });
+    }
+
+    return this.renderCodePipelineDeployAction(config, variables.map(variable => ({ ...variable, type: 'PLAINTEXT' })));
+  }
+
+  /**
+   * Render the CodePipeline action running the deploy project for an environment
+   * @param {Object} config - Resolved environment configuration
+   * @param {Array} variables - Environment variables of the deploy project, with name,
+   *   value (a Fn::Sub string) and type
+   * @returns {Object} - CodePipeline action
+   */
+  renderCodePipelineDeployAction(config, variables) {
+    return {
+      Name: `DeployTo-${config.name}`,
+      ActionTypeId: {
+        Category: 'Build',
+        Owner: 'AWS',
+        Provider: 'CodeBuild',
+        Version: '1'
+      },
+      Configuration: {
+        ProjectName: { Ref: 'KubernetesDeployProject' },
+        EnvironmentVariables: {
+          'Fn::Sub': JSON.stringify(variables)
+        }
+      },
+      InputArtifacts: [{
+        Name: 'BuildOutput'
+      }]
+    };
+  }
+
+  /**
+   * Generate AWS CodeBuild buildspec for Docker build. CodeBuild builds with
+   * Docker, using buildx for multi-platform images, and pushes to ECR or, with
+   * the credentials of the RegistryCredentialsSecretArn parameter, to the
+   * registry of dockerRegistry. The scans of addSecurityScanStage run around
+   * the build in the images of the scanners, and sign with the key of the
+   * CosignKeySecretArn parameter. Builds with a registry cache or the s3
+   * CodeBuild cache run in buildx, which exports the layer cache.
+   * @returns {string} - AWS CodeBuild buildspec.yml content
+   */
+  generateBuildSpec() {
+    this.assertValid();
+    const registry = this.getRegistry();
+    const ecr = registry.type === 'ecr';
+    const image = ecr ? '${REGISTRY_URI}/${ECR_REPOSITORY}' : '${IMAGE_REPOSITORY}';
+    const dockerStage = this.stages.find(stage => stage.docker);
+    const { platforms, buildArgs } = dockerStage ? dockerStage.docker : { platforms: [], buildArgs: {} };
+    const multiPlatform = platforms.length > 1;
+
+    const buildFlags = [
+      `-f ${this.dockerfilePath}`,
+      ...(platforms.length > 0 ? [`--platform ${platforms.join(',')}`] : []),
+      ...Object.keys(buildArgs).map(name => `--build-arg ${shellQuote(`${name}=${buildArgs[name]}`)}`)
+    ].join(' ');
+
+    // The deploy project picks the environment's manifests from the build output
+    const manifestFiles = this.layout === 'helm' ? ['helm/**/*'] : ['k8s/**/*'];
+
+    const login = ecr ? [
+      'AWS_ACCOUNT_ID=${AWS_ACCOUNT_ID:-$(aws sts get-caller-identity --query Account --output text)}',
+      'REGISTRY_URI=${AWS_ACCOUNT_ID}.dkr.ecr.${ECR_REGION}.amazonaws.com',
+      'echo Logging in to Amazon ECR...',
+      'aws ecr get-login-password --region ${ECR_REGION} | docker login --username AWS --password-stdin ${REGISTRY_URI}',
+      'echo Checking if repository exists...',
+      'aws ecr describe-repositories --region ${ECR_REGION} --repository-names ${ECR_REPOSITORY} || ' +
+        'aws ecr create-repository --region ${ECR_REGION} --repository-name ${ECR_REPOSITORY}'
+    ] : [
+      `echo Logging in to ${registry.host}...`,
+      `echo "$REGISTRY_PASSWORD" | docker login --username "$REGISTRY_USERNAME" --password-stdin ${registry.host}`
+    ];
+
+    // A fixed tag of the Docker build stage wins over the tagging policy
+    const tag = dockerStage && dockerStage.docker.tag !== '${IMAGE_TAG}'
+      ? [`IMAGE_TAG=${dockerStage.docker.tag}`]
+      : this.getImageTagCommands({
+        sha: '$CODEBUILD_RESOLVED_SOURCE_VERSION',
+        branch: this.branch,
+        build: '$CODEBUILD_BUILD_NUMBER'
+      });
+
+    // Layer caches in the registry, or in a directory the s3 CodeBuild cache saves
+    const cacheRef = dockerStage ? buildCacheRefOf(dockerStage.docker.cache, image) : undefined;
+    const cacheDir = '/root/.buildx-cache';
+    const s3Cache = this.cache.codeBuild === 's3';
+    const cacheFlags = [
+      ...(cacheRef ? [
+        `--cache-from type=registry,ref=${cacheRef}`,
+        // ECR only accepts cache manifests as OCI images
+        `--cache-to type=registry,ref=${cacheRef},mode=max,image-manifest=true,oci-mediatypes=true`
+      ] : []),
+      ...(s3Cache ? [`--cache-from type=local,src=${cacheDir}`, `--cache-to type=local,dest=${cacheDir}-new,mode=max`] : [])
+    ];
+
+    // A multi-platform image has no single local image to push, so buildx pushes it
+    // with a tag of its own, which gets the image tag once the scans pass.
+    // Single-platform images built by buildx for its cache exporters are loaded into Docker.
+    const unscanned = `${image}:$IMAGE_TAG-unscanned`;
+    const build = multiPlatform || cacheFlags.length > 0 ? [
+      ...(multiPlatform ? ['docker run --privileged --rm tonistiigi/binfmt:qemu-v8.1.5 --install all'] : []),
+      'docker buildx create --use',
+      [
+        `docker buildx build -t ${multiPlatform ? unscanned : `${image}:$IMAGE_TAG`} ${buildFlags}`,
+        ...cacheFlags,
+        multiPlatform ? '--metadata-file image-metadata.json --push .' : '--load .'
+      ].join(' '),
+      // Replace the cache instead of growing it with the layers of every build
+      ...(s3Cache ? [`rm -rf ${cacheDir} && mv ${cacheDir}-new ${cacheDir}`] : [])
+    ] : [
+      `docker build -t ${image}:$IMAGE_TAG ${buildFlags} .`
+    ];
+    const push = [
+      'echo Pushing the Docker image...',
+      multiPlatform
+        ? `docker buildx imagetools create -t ${image}:$IMAGE_TAG ${unscanned}`
+        : `docker push ${image}:$IMAGE_TAG`
+    ];
+
+    // Scanners run in their images, reaching the image through the Docker socket
+    // (or the registry, for multi-platform images) with the login of the build
+    const scanStage = this.stages.find(stage => stage.security);
+    const security = scanStage ? scanStage.security : {};
+    const report = file => `${SECURITY_REPORTS_DIR}/${file}`;
+    const scan = (scannerImage, commands, { imageAccess = false, env = [] } = {}) => [
+      'docker run --rm -v "$(pwd):/workspace" -w /workspace',
+      ...(imageAccess ? [
+        '-v /var/run/docker.sock:/var/run/docker.sock',
+        '-v "$HOME/.docker:/docker-config:ro" -e DOCKER_CONFIG=/docker-config',
+        `-e "SCAN_IMAGE=${multiPlatform ? unscanned : `${image}:$IMAGE_TAG`}"`
+      ] : []),
+      ...env.map(name => `-e ${name}`),
+      `--entrypoint sh ${scannerImage} -c ${shellQuote([`mkdir -p ${SECURITY_REPORTS_DIR}`, ...commands].join('\n'))}`
+    ].join(' ');
+
+    const sourceScans = [];
+    if (security.dependencies) {
+      sourceScans.push('echo Scanning the dependencies...', scan(SCANNER_IMAGES[security.dependencies.scanner],
+        vulnerabilityScanCommands(security.dependencies, undefined, report('dependencies.json'))));
+    }
+    if (security.sast) {
+      sourceScans.push('echo Running SAST...', scan(SCANNER_IMAGES.semgrep, sastCommands(security.sast, report('sast.json'))));
+    }
+
+    // Images are scanned before they are pushed with the image tag
+    const imageScans = [];
+    if (security.image) {
+      imageScans.push('echo Scanning the Docker image...', scan(SCANNER_IMAGES[security.image.scanner],
+        vulnerabilityScanCommands(security.image, '$SCAN_IMAGE', report('image.json')), { imageAccess: true }));
+    }
+    const format = security.sbom && SBOM_FORMATS[security.sbom.format];
+    if (format) {
+      imageScans.push('echo Generating the SBOM...', scan(SCANNER_IMAGES.syft,
+        [`syft $SCAN_IMAGE --output ${format.output}=${report(format.file)}`], { imageAccess: true }));
+    }
+    const signing = format && security.sbom.sign ? [
+      'echo Signing the Docker image...',
+      scan(SCANNER_IMAGES.cosign, [
+        'cosign sign --yes --key env://COSIGN_PRIVATE_KEY $SCAN_IMAGE',
+        `cosign attest --yes --key env://COSIGN_PRIVATE_KEY --type ${format.type} --predicate ${report(format.file)} $SCAN_IMAGE`
+      ], { imageAccess: true, env: ['COSIGN_PRIVATE_KEY', 'COSIGN_PASSWORD'] })
+    ] : [];
+
+    // Deploys of a pinned image get its digest instead of its tag
+    let imageUri = `${image}:$IMAGE_TAG`;
+    if (this.tagging.pinDigest) {
+      push.push(multiPlatform
+        ? 'IMAGE_DIGEST=$(sed -n \'s/.*"containerimage.digest": *"\\([^"]*\\)".*/\\1/p\' image-metadata.json)'
+        : `IMAGE_DIGEST=$(docker inspect --format '{{index .RepoDigests 0}}' ${image}:$IMAGE_TAG | cut -d@ -f2)`);
+      imageUri = `${image}@$IMAGE_DIGEST`;
+    }
+
+    return yaml.dump({
+      version: '0.2',
+      env: {
+        variables: ecr ? {
+          AWS_ACCOUNT_ID: this.registry.aws.accountId || '',
+          ECR_REGION: this.registry.aws.region,
+          ECR_REPOSITORY: this.registry.aws.ecrRepository
+        } : {
+          IMAGE_REPOSITORY: this.getImageReference().repository
+        }
+      },
+      phases: {
+        pre_build: {
+          commands: [
+            ...login,
+            ...tag
+          ]
+        },
+        build: {
+          // A failed scan skips the push in post_build
+          ...(scanStage ? { 'on-failure': 'ABORT' } : {}),
+          commands: [
+            'echo Build started on `date`',
+            ...sourceScans,
+            `echo Building the Docker image: ${image}:$IMAGE_TAG`,
+            ...build,
+            ...imageScans
+          ]
+        },
+        post_build: {
+          commands: [
+            'echo Build completed on `date`',
+            ...push,
+            ...signing,
+            'echo Writing artifact files...',
+            `echo "{\\"ImageURI\\":\\"${imageUri}\\"}" > imageDefinition.json`
+          ]
+        }
+      },
+      artifacts: {
+        files: [
+          'imageDefinition.json',
+          'appspec.yaml',
+          ...manifestFiles,
+          ...(scanStage ? [`${SECURITY_REPORTS_DIR}/**/*`] : [])
+        ]
+      },
+      ...(s3Cache ? { cache: { paths: [`${cacheDir}/**/*`] } } : {})
+    });
+  }
+
+  /**
+   * Generate AWS CodeBuild buildspec for the test stage, which runs in the
+   * image of the stage. Its JUnit and coverage reports become the tests and
+   * coverage report groups of the TestProject.
+   * @returns {string} - AWS CodeBuild buildspec.yml content
+   */
+  generateTestBuildSpec() {
+    this.assertValid();
+    const testStage = this.stages.find(stage => stage.reports);
+    if (!testStage) {
+      throw new Error('The test buildspec needs a test stage with reports. Call addTestStage with junit or coverage first');
+    }
+    const { junit, coverage } = testStage.reports;
+
+    const reports = {};
+    if (junit) {
+      reports.tests = { files: [junit], 'file-format': 'JUNITXML' };
+    }
+    if (coverage) {
+      reports.coverage = { files: [coverage.path], 'file-format': COVERAGE_FORMATS[coverage.format].fileFormat };
+    }
+
+    return yaml.dump({
+      version: '0.2',
+      phases: {
+        build: {
+          // Subshells stop at the first failing command, as the steps do on the other targets
+          commands: testStage.steps.map(step => `(\nset -e\n${stepScript(step)}\n)`)
+        }
+      },
+      reports,
+      ...(testStage.artifacts ? { artifacts: { files: testStage.artifacts } } : {})
+    });
+  }
+
+  /**
+   * Generate AWS CodeBuild buildspec for Kubernetes deployment. In the gitops
+   * deploy mode it commits the image to the config repository instead, and
+   * needs no cluster credentials.
+   * @returns {string} - AWS CodeBuild buildspec.yml content
+   */
+  generateDeployBuildSpec() {
+    this.assertValid();
+
+    if (this.deployMode === 'gitops') {
+      return yaml.dump({
+        version: '0.2',
+        env: {
+          variables: {
+            ENVIRONMENT: this.environments[0]
+          }
+        },
+        phases: {
+          build: {
+            commands: [
+              'echo Deployment started on `date`',
+              'IMAGE_URI=$(cat imageDefinition.json | jq -r \'.ImageURI\')',
+              `echo Updating the image in ${this.gitops.repoUrl}...`,
+              this.getGitOpsCommands('$IMAGE_URI').join('\n')
+            ]
+          },
+          post_build: {
+            commands: [
+              'echo Deployment committed on `date`'
+            ]
+          }
+        }
+      });
+    }
+    const installCommands = [
+      'echo Installing kubectl...',
+      `curl -fsSLO https://dl.k8s.io/release/${KUBECTL_VERSION}/bin/linux/amd64/kubectl`,
+      `curl -fsSLO https://dl.k8s.io/release/${KUBECTL_VERSION}/bin/linux/amd64/kubectl.sha256`,
+      'echo "$(cat kubectl.sha256)  kubectl" | sha256sum -c',
+      'chmod +x ./kubectl',
+      'mv ./kubectl /usr/local/bin/kubectl'
+    ];
+    const indent = commands => commands.map(command => `  ${command}`);
+    const flags = ' -n ${NAMESPACE}';
+
+    // Each environment runs the verify checks of its deploy stage
+    const checked = this.environments
+      .map(env => ({ env, checks: this.getVerificationCommands(this.getDeployVerification(env), flags) }))
+      .filter(({ checks }) => checks.length > 0);
+    const checks = checked.length === 0 ? [] : [
+      'case "$ENVIRONMENT" in',
+      ...indent([].concat(...checked.map(({ env, checks: commands }) => [`${env})`, ...indent(commands), '  ;;']))),
+      'esac'
+    ];
+    const commandOptions = {
+      dir: 'k8s/${ENVIRONMENT}',
+      image: '$IMAGE_URI',
+      flags,
+      timeout: '${DEPLOY_TIMEOUT}',
+      checks,
+      rollback: '[ "$DEPLOY_ROLLBACK" = "true" ]'
+    };
+
+    // Environments deployed with other strategies pick their commands by DEPLOY_STRATEGY
+    const strategies = STRATEGIES.filter(type => type !== 'rolling' &&
+      this.environments.some(env => this.getDeployStrategy(env).type === type));
+    let script = this.getManifestDeployCommands({ type: 'rolling' }, commandOptions);
+    if (strategies.length > 0) {
+      script = [
+        ...[].concat(...strategies.map((type, index) => [
+          `${index === 0 ? 'if' : 'elif'} [ "$DEPLOY_STRATEGY" = "${type}" ]; then`,
+          ...indent(this.getManifestDeployCommands({ type, idleReplicas: '${DEPLOY_IDLE_REPLICAS:-0}' }, commandOptions))
+        ])),
+        'else',
+        ...indent(script),
+        'fi'
+      ];
+    }
+    let deployCommands = [
+      'IMAGE_URI=$(cat imageDefinition.json | jq -r \'.ImageURI\')',
+      'echo Deploying with the $DEPLOY_STRATEGY strategy...',
+      script.join('\n')
+    ];
+
+    if (this.layout === 'helm') {
+      const chart = `helm/${this.projectName}`;
+      installCommands.push(
+        'echo Installing Helm...',
+        `curl -fsSLO https://get.helm.sh/helm-${HELM_VERSION}-linux-amd64.tar.gz`,
+        `curl -fsSLO https://get.helm.sh/helm-${HELM_VERSION}-linux-amd64.tar.gz.sha256sum`,
+        `sha256sum -c helm-${HELM_VERSION}-linux-amd64.tar.gz.sha256sum`,
+        `tar -xzf helm-${HELM_VERSION}-linux-amd64.tar.gz`,
+        'mv linux-amd64/helm /usr/local/bin/helm'
+      );
+      const upgrade = `helm upgrade --install ${this.projectName} ${chart} --namespace \${NAMESPACE} ` +
+        `-f ${chart}/values-\${ENVIRONMENT}.yaml ${this.tagging.pinDigest
+          ? '--set image.repository=${IMAGE_URI%@*} --set image.digest=${IMAGE_URI#*@}'
+          : '--set image.repository=${IMAGE_URI%:*} --set image.tag=${IMAGE_URI##*:}'} ` +
+        '--wait --timeout ${DEPLOY_TIMEOUT} $ATOMIC';
+      deployCommands = [
+        'IMAGE_URI=$(cat imageDefinition.json | jq -r \'.ImageURI\')',
+        'if [ "$DEPLOY_ROLLBACK" = "true" ]; then ATOMIC=--atomic; fi',
+        'echo Installing Helm release...',
+        checks.length > 0
+          ? [...this.getHelmRollbackFunction('[ "$DEPLOY_ROLLBACK" = "true" ]', ' --namespace ${NAMESPACE}'), `${upgrade} || exit 1`, ...checks].join('\n')
+          : upgrade
+      ];
+    } else if (this.layout === 'kustomize') {
+      installCommands.push(
+        'echo Installing Kustomize...',
+        `curl -fsSLO https://github.com/kubernetes-sigs/kustomize/releases/download/kustomize%2F${KUSTOMIZE_VERSION}/kustomize_${KUSTOMIZE_VERSION}_linux_amd64.tar.gz`,
+        `curl -fsSLO https://github.com/kubernetes-sigs/kustomize/releases/download/kustomize%2F${KUSTOMIZE_VERSION}/checksums.txt`,
+        `grep kustomize_${KUSTOMIZE_VERSION}_linux_amd64.tar.gz checksums.txt | sha256sum -c`,
+        `tar -xzf kustomize_${KUSTOMIZE_VERSION}_linux_amd64.tar.gz`,
+        'mv kustomize /usr/local/bin/kustomize'
+      );
+      deployCommands = [
+        'IMAGE_URI=$(cat imageDefinition.json | jq -r \'.ImageURI\')',
+        'echo Setting image in Kustomize overlay...',
+        '(cd k8s/overlays/${ENVIRONMENT} && kustomize edit set image IMAGE_PLACEHOLDER=$IMAGE_URI)',
+        'echo Applying Kubernetes manifests...',
+        this.getManifestDeployCommands({ type: 'rolling' }, {
+          ...commandOptions,
+          apply: 'kubectl apply -k k8s/overlays/${ENVIRONMENT}'
+        }).join('\n')
+      ];
+    }
+
+    // Defaults for running the project on its own; each CodePipeline deploy
+    // action overrides them with the values of its environment
+    const defaults = this.getEnvironmentConfig(this.environments[0]);
+
+    return yaml.dump({
+      version: '0.2',
+      env: {
+        variables: {
+          ENVIRONMENT: defaults.name,
+          NAMESPACE: defaults.namespace,
+          AWS_REGION: defaults.region,
+          EKS_CLUSTER_NAME: defaults.cluster || this.projectName,
+          DEPLOY_ROLE_ARN: defaults.roleArn || '',
+          DEPLOY_STRATEGY: this.getDeployStrategy(defaults.name).type,
+          DEPLOY_TIMEOUT: this.getDeployStrategy(defaults.name).timeout,
+          DEPLOY_ROLLBACK: String(this.getDeployVerification(defaults.name).rollback)
+        }
+      },
+      phases: {
+        install: {
+          commands: installCommands
+        },
+        pre_build: {
+          commands: [
+            'echo Configuring kubectl...',
+            'if [ -n "$DEPLOY_ROLE_ARN" ]; then ' +
+              'export $(printf "AWS_ACCESS_KEY_ID=%s AWS_SECRET_ACCESS_KEY=%s AWS_SESSION_TOKEN=%s" ' +
+              '$(aws sts assume-role --role-arn "$DEPLOY_ROLE_ARN" --role-session-name "${ENVIRONMENT}-deploy" ' +
+              '--query "Credentials.[AccessKeyId,SecretAccessKey,SessionToken]" --output text)); fi',
+            'aws eks update-kubeconfig --name ${EKS_CLUSTER_NAME} --region ${AWS_REGION}'
+          ]
+        },
+        build: {
+          commands: [
+            'echo Deployment started on `date`',
+            ...deployCommands
+          ]
+        },
+        post_build: {
+          commands: [
+            'if [ "$CODEBUILD_BUILD_SUCCEEDING" = "1" ]; then echo Deployment completed on `date`; ' +
+              'else echo Deployment failed on `date`; fi',
+            'kubectl get pods -n ${NAMESPACE}',
+            'kubectl get services -n ${NAMESPACE}'
+          ]
+        }
+      }
+    });
+  }
+
   /**
-   * Create a new pipeline generator
-   * @param {Object} options - Configuration options
-   * @param {string} options.projectName - Name of the project
-   * @param {string} options.repoUrl - Git repository URL
-   * @param {string} options.branch - Git branch to use (default: main)
-   * @param {string} options.namespace - Kubernetes namespace (default: default)
-   * @param {string} options.dockerRegistry - Docker registry URL
-   * @param {Object} options.deploymentConfig - Kubernetes deployment configuration
+   * Resolve the Deployment options, applying hardened defaults to the
+   * deploymentConfig option and the given overrides
+   * @param {Object} options - Deployment options overriding deploymentConfig (optional)
+   * @returns {Object} - Deployment options with defaults applied
    */
-  constructor(options = {}) {
-    this.projectName = options.projectName || 'k8s-app';
-    this.repoUrl = options.repoUrl || '';
-    this.branch = options.branch || 'main';
-    this.namespace = options.namespace || 'default';
-    this.dockerRegistry = options.dockerRegistry || '';
-    this.deploymentConfig = options.deploymentConfig || {};
-    this.stages = [];
-    this.environments = ['dev', 'staging', 'prod'];
-    this.dockerfilePath = options.dockerfilePath || './Dockerfile';
-    this.registry = options.registry || {
-      aws: {
-        region: 'us-east-1',
-        accountId: '123456789012',
-        ecrRepository: `${this.projectName}-repo`
+  getDeploymentOptions(options = {}) {
+    const merged = { ...this.deploymentConfig, ...options };
+    const optional = (value, fallback) => (value !== undefined ? value : fallback);
+
+    return {
+      port: merged.port || 8080,
+      imagePullPolicy: merged.imagePullPolicy || 'IfNotPresent',
+      livenessProbe: optional(merged.livenessProbe, { initialDelaySeconds: 10, periodSeconds: 20 }),
+      readinessProbe: optional(merged.readinessProbe, { periodSeconds: 10 }),
+      startupProbe: merged.startupProbe,
+      env: toEnvList(merged.env),
+      envFrom: merged.envFrom || [],
+      volumes: merged.volumes || [],
+      volumeMounts: merged.volumeMounts || [],
+      securityContext: {
+        runAsNonRoot: true,
+        readOnlyRootFilesystem: true,
+        allowPrivilegeEscalation: false,
+        capabilities: { drop: ['ALL'] },
+        ...merged.securityContext
+      },
+      podSecurityContext: {
+        runAsNonRoot: true,
+        runAsUser: 10001,
+        runAsGroup: 10001,
+        seccompProfile: { type: 'RuntimeDefault' },
+        ...merged.podSecurityContext
+      },
+      serviceAccountName: merged.serviceAccountName,
+      // Only pods with their own service account get an API token
+      automountServiceAccountToken: optional(merged.automountServiceAccountToken, Boolean(merged.serviceAccountName)),
+      nodeSelector: merged.nodeSelector,
+      tolerations: merged.tolerations,
+      strategy: toDeploymentStrategy(merged.strategy)
+    };
+  }
+
+  /**
+   * Build the Kubernetes Deployment of an environment
+   * @param {Object} resources - Container resources (default: the environment's resources)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @param {Object} options - Deployment options overriding deploymentConfig (optional)
+   * @param {string} image - Image reference of the container (default: IMAGE_PLACEHOLDER,
+   *   which the deploy steps replace with the image of the tagging policy)
+   * @returns {Object} - Kubernetes Deployment
+   */
+  buildK8sDeployment(resources, environment, options, image = 'IMAGE_PLACEHOLDER') {
+    const config = environment ? this.getEnvironmentConfig(environment) : {
+      namespace: this.namespace,
+      replicas: this.deploymentConfig.replicas || 1,
+      resources: this.deploymentConfig.resources || { cpu: '100m', memory: '128Mi' },
+      env: []
+    };
+    const references = this.getConfigReferences(config);
+    const deploymentOptions = this.getDeploymentOptions(options);
+
+    const container = {
+      name: this.projectName,
+      image,
+      imagePullPolicy: deploymentOptions.imagePullPolicy,
+      ports: [
+        {
+          name: 'http',
+          containerPort: deploymentOptions.port
+        }
+      ],
+      resources: toResourceRequirements(resources || config.resources),
+      securityContext: deploymentOptions.securityContext
+    };
+
+    const env = [...deploymentOptions.env, ...config.env, ...references.env];
+    const envFrom = [...deploymentOptions.envFrom, ...references.envFrom];
+    const volumes = [...deploymentOptions.volumes, ...references.volumes];
+    const volumeMounts = [...deploymentOptions.volumeMounts, ...references.volumeMounts];
+
+    // A read-only root filesystem still needs somewhere to write temporary files
+    if (deploymentOptions.securityContext.readOnlyRootFilesystem &&
+      !volumeMounts.some(mount => mount.mountPath === '/tmp')) {
+      volumes.push({ name: 'tmp', emptyDir: {} });
+      volumeMounts.push({ name: 'tmp', mountPath: '/tmp' });
+    }
+
+    if (env.length > 0) {
+      container.env = env;
+    }
+    if (envFrom.length > 0) {
+      container.envFrom = envFrom;
+    }
+    if (volumeMounts.length > 0) {
+      container.volumeMounts = volumeMounts;
+    }
+
+    ['livenessProbe', 'readinessProbe', 'startupProbe'].forEach(probe => {
+      if (deploymentOptions[probe]) {
+        container[probe] = toProbe(deploymentOptions[probe]);
+      }
+    });
+
+    const podSpec = {
+      securityContext: deploymentOptions.podSecurityContext,
+      automountServiceAccountToken: deploymentOptions.automountServiceAccountToken
+    };
+
+    if (deploymentOptions.serviceAccountName) {
+      podSpec.serviceAccountName = deploymentOptions.serviceAccountName;
+    }
+    if (deploymentOptions.nodeSelector) {
+      podSpec.nodeSelector = deploymentOptions.nodeSelector;
+    }
+    if (deploymentOptions.tolerations) {
+      podSpec.tolerations = deploymentOptions.tolerations;
+    }
+    podSpec.containers = [container];
+    if (volumes.length > 0) {
+      podSpec.volumes = volumes;
+    }
+
+    const deployment = {
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: {
+        name: this.projectName,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
+        }
+      },
+      spec: {
+        replicas: config.replicas,
+        strategy: deploymentOptions.strategy,
+        selector: {
+          matchLabels: {
+            app: this.projectName
+          }
+        },
+        template: {
+          metadata: {
+            labels: {
+              app: this.projectName
+            }
+          },
+          spec: podSpec
+        }
       }
     };
+
+    // The autoscaler owns the replica count
+    if (config.autoscaling) {
+      delete deployment.spec.replicas;
+    }
+
+    return deployment;
   }
 
   /**
-   * Add a custom stage to the pipeline
-   * @param {Object} stage - Stage configuration
-   * @param {string} stage.name - Stage name
-   * @param {Array} stage.steps - Array of steps for this stage
-   * @param {string} stage.runAfter - Stage to run after (optional)
-   * @param {boolean} stage.parallel - Whether to run in parallel (optional)
-   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   * Generate Kubernetes deployment YAML file running an image of dockerRegistry.
+   * The manifests the pipelines deploy run IMAGE_PLACEHOLDER instead, because the
+   * tag of the tagging policy, or the pinned digest, is only known once the image
+   * is built; their deploy steps replace it.
+   * @param {string} imageName - Docker image name, under dockerRegistry (default:
+   *   IMAGE_PLACEHOLDER, without a tag)
+   * @param {string} tag - Docker image tag, or a sha256: digest to pin
+   * @param {Object} resources - Container resources, as requests ({ cpu, memory }) with optional
+   *   limits, or as { requests, limits } (default: the environment's resources)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @param {Object} options - Deployment options overriding deploymentConfig (optional)
+   * @returns {string} - Kubernetes deployment YAML
    */
-  addStage(stage) {
-    this.stages.push(stage);
-    return this;
+  generateK8sDeployment(imageName, tag = 'latest', resources, environment, options) {
+    this.assertValid();
+    let image;
+    if (imageName) {
+      const repository = this.dockerRegistry ? `${this.dockerRegistry}/${imageName}` : imageName;
+      image = /^sha256:/.test(tag) ? `${repository}@${tag}` : `${repository}:${tag}`;
+    }
+    return yaml.dump(this.buildK8sDeployment(resources, environment, options, image));
   }
 
   /**
-   * Add a test stage to the pipeline
-   * @param {string} command - Test command to run
-   * @param {string} image - Docker image to use for testing
-   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   * Generate the Kubernetes deployment YAML file of one blue/green slot. The
+   * slot label is added to the selector so that the Service can switch
+   * between the slots.
+   * @param {string} slot - Slot name (blue or green)
+   * @param {string} environment - Environment whose overrides to apply
+   * @returns {string} - Kubernetes deployment YAML
    */
-  addTestStage(command = 'npm test', image = 'node:14') {
-    this.addStage({
-      name: 'test',
-      steps: [
-        {
-          name: 'run-tests',
-          image: image,
-          command: ['sh', '-c', command]
+  generateK8sBlueGreenDeployment(slot, environment) {
+    this.assertValid();
+    const deployment = this.buildK8sDeployment(undefined, environment);
+    const labels = { app: this.projectName, slot };
+
+    deployment.metadata.name = `${this.projectName}-${slot}`;
+    deployment.metadata.labels = labels;
+    deployment.spec.selector.matchLabels = labels;
+    deployment.spec.template.metadata.labels = labels;
+
+    return yaml.dump(deployment);
+  }
+
+  /**
+   * Generate an Argo Rollouts Rollout YAML file running the environment's
+   * pods with its canary strategy
+   * @param {string} environment - Environment whose overrides and strategy to apply
+   * @returns {string} - Argo Rollouts Rollout YAML
+   */
+  generateArgoRollout(environment) {
+    this.assertValid();
+    const strategy = this.getDeployStrategy(environment);
+    const deployment = this.buildK8sDeployment(undefined, environment);
+
+    const steps = [];
+    strategy.steps.forEach(step => {
+      steps.push({ setWeight: step.weight });
+      if (step.pause) {
+        steps.push({ pause: { duration: step.pause } });
+      }
+    });
+
+    const spec = { ...deployment.spec };
+    delete spec.strategy;
+
+    return yaml.dump({
+      apiVersion: 'argoproj.io/v1alpha1',
+      kind: 'Rollout',
+      metadata: deployment.metadata,
+      spec: {
+        ...spec,
+        strategy: {
+          canary: {
+            steps,
+            // Run the analysis in the background from the first step on
+            analysis: {
+              templates: [{ templateName: `${this.projectName}-analysis` }],
+              startingStep: 1
+            }
+          }
         }
-      ]
+      }
     });
-    return this;
   }
 
   /**
-   * Add a build stage to the pipeline
-   * @param {string} buildCommand - Build command to run
-   * @param {string} image - Docker image to use for building
-   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   * Generate an Argo Rollouts AnalysisTemplate YAML file checking a canary.
+   * By default a Job requests the Service over HTTP; with analysis.prometheus
+   * a Prometheus query decides instead.
+   * @param {string} environment - Environment whose canary analysis options to apply
+   * @returns {string} - Argo Rollouts AnalysisTemplate YAML
    */
-  addBuildStage(buildCommand = 'npm run build', image = 'node:14') {
-    this.addStage({
-      name: 'build',
-      steps: [
+  generateArgoAnalysisTemplate(environment) {
+    this.assertValid();
+    const config = this.getEnvironmentConfig(environment);
+    const analysis = this.getDeployStrategy(environment).analysis || {};
+
+    const metric = {
+      name: analysis.prometheus ? 'success-rate' : 'http-check',
+      interval: analysis.interval || '1m',
+      count: analysis.count || 3,
+      failureLimit: analysis.failureLimit !== undefined ? analysis.failureLimit : 1
+    };
+
+    if (analysis.prometheus) {
+      metric.successCondition = analysis.prometheus.successCondition || 'result[0] >= 0.95';
+      metric.provider = {
+        prometheus: {
+          address: analysis.prometheus.address,
+          query: analysis.prometheus.query
+        }
+      };
+    } else {
+      const url = `http://${this.projectName}.${config.namespace}.svc.cluster.local${analysis.path || '/'}`;
+      metric.provider = {
+        job: {
+          spec: {
+            backoffLimit: 0,
+            template: {
+              spec: {
+                restartPolicy: 'Never',
+                containers: [
+                  {
+                    name: 'http-check',
+                    image: 'curlimages/curl:8.5.0',
+                    command: ['curl', '-fsS', '--max-time', '10', url]
+                  }
+                ]
+              }
+            }
+          }
+        }
+      };
+    }
+
+    return yaml.dump({
+      apiVersion: 'argoproj.io/v1alpha1',
+      kind: 'AnalysisTemplate',
+      metadata: {
+        name: `${this.projectName}-analysis`,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
+        }
+      },
+      spec: {
+        metrics: [metric]
+      }
+    });
+  }
+
+  /**
+   * Generate the Kubernetes manifests of an environment for the plain
+   * manifests layout, following the environment's deployment strategy
+   * @param {string} environment - Environment name
+   * @returns {Object} - Manifest YAML keyed by path relative to k8s/<env>
+   */
+  generateK8sEnvironmentManifests(environment) {
+    this.assertValid();
+
+    // The manifests are generated without validating the configuration again
+    return this.withoutValidation(() => {
+      const strategy = this.getDeployStrategy(environment);
+      const files = {};
+
+      if (strategy.type === 'blue-green') {
+        // The slots and their Service are applied by the deploy commands, not with the directory
+        files['blue-green/deployment-blue.yaml'] = this.generateK8sBlueGreenDeployment('blue', environment);
+        files['blue-green/deployment-green.yaml'] = this.generateK8sBlueGreenDeployment('green', environment);
+        const service = yaml.load(this.generateK8sService(80, undefined, undefined, environment));
+        service.spec.selector.slot = 'blue';
+        files['blue-green/service.yaml'] = yaml.dump(service);
+      } else if (strategy.type === 'canary') {
+        files['rollout.yaml'] = this.generateArgoRollout(environment);
+        files['analysis-template.yaml'] = this.generateArgoAnalysisTemplate(environment);
+        files['service.yaml'] = this.generateK8sService(80, undefined, undefined, environment);
+      } else {
+        files['deployment.yaml'] = yaml.dump(this.buildK8sDeployment(undefined, environment));
+        files['service.yaml'] = this.generateK8sService(80, undefined, undefined, environment);
+      }
+
+      return { ...files, ...this.generateK8sEnvironmentResources(environment) };
+    });
+  }
+
+  /**
+   * Generate Kubernetes service YAML file
+   * @param {number} port - Service port
+   * @param {number} targetPort - Container port to target (default: the Deployment's port)
+   * @param {string} type - Service type (ClusterIP, NodePort, LoadBalancer; default: the environment's serviceType)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @returns {string} - Kubernetes service YAML
+   */
+  generateK8sService(port = 80, targetPort = this.getDeploymentOptions().port, type, environment) {
+    this.assertValid();
+    const config = environment ? this.getEnvironmentConfig(environment) : {
+      namespace: this.namespace,
+      serviceType: 'ClusterIP'
+    };
+
+    const service = {
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: {
+        name: this.projectName,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
+        }
+      },
+      spec: {
+        type: type || config.serviceType,
+        ports: [
+          {
+            port: port,
+            targetPort: targetPort,
+            protocol: 'TCP'
+          }
+        ],
+        selector: {
+          app: this.projectName
+        }
+      }
+    };
+
+    return yaml.dump(service);
+  }
+
+  /**
+   * Generate Kubernetes ingress YAML file
+   * @param {Object} ingress - Ingress configuration (default: the environment's ingress)
+   * @param {string} ingress.host - Host name to route to the service
+   * @param {string} ingress.path - Path prefix to route (default: /)
+   * @param {string} ingress.className - Ingress class name (optional)
+   * @param {Object} ingress.annotations - Ingress annotations (optional)
+   * @param {boolean|string|Object} ingress.tls - true for a <projectName>-tls Secret, or the
+   *   name of the TLS Secret (optional)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @returns {string} - Kubernetes ingress YAML
+   */
+  generateK8sIngress(ingress, environment) {
+    this.assertValid();
+    const config = environment ? this.getEnvironmentConfig(environment) : { namespace: this.namespace };
+    ingress = ingress || config.ingress;
+    if (!ingress) {
+      throw new Error(`No ingress configured for environment ${environment}`);
+    }
+
+    const rule = ingress.host ? { host: ingress.host } : {};
+    rule.http = {
+      paths: [
         {
-          name: 'build-app',
-          image: image,
-          command: ['sh', '-c', buildCommand]
+          path: ingress.path || '/',
+          pathType: 'Prefix',
+          backend: {
+            service: {
+              name: this.projectName,
+              port: {
+                number: 80
+              }
+            }
+          }
         }
       ]
+    };
+
+    const spec = {};
+    if (ingress.className) {
+      spec.ingressClassName = ingress.className;
+    }
+
+    const tlsSecretName = tlsSecretNameFor(this.projectName, ingress.tls);
+    if (tlsSecretName) {
+      spec.tls = [ingress.host ? { hosts: [ingress.host], secretName: tlsSecretName } : { secretName: tlsSecretName }];
+    }
+    spec.rules = [rule];
+
+    const metadata = {
+      name: this.projectName,
+      namespace: config.namespace,
+      labels: {
+        app: this.projectName
+      }
+    };
+
+    if (ingress.annotations) {
+      metadata.annotations = ingress.annotations;
+    }
+
+    return yaml.dump({
+      apiVersion: 'networking.k8s.io/v1',
+      kind: 'Ingress',
+      metadata,
+      spec
     });
-    return this;
   }
 
   /**
-   * Add a Docker build stage to the pipeline
-   * @param {string} imageName - Name of the Docker image
-   * @param {string} tag - Docker image tag (default: latest)
-   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   * Generate Kubernetes horizontal pod autoscaler YAML file
+   * @param {Object} autoscaling - Autoscaling configuration (default: the environment's autoscaling)
+   * @param {number} autoscaling.minReplicas - Minimum replicas (default: the environment's replicas)
+   * @param {number} autoscaling.maxReplicas - Maximum replicas
+   * @param {number} autoscaling.targetCPUUtilization - Average CPU utilization to target, in
+   *   percent (default: 80 when no memory target is given)
+   * @param {number} autoscaling.targetMemoryUtilization - Average memory utilization to target,
+   *   in percent (optional)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @returns {string} - Kubernetes horizontal pod autoscaler YAML
    */
-  addDockerBuildStage(imageName, tag = 'latest') {
-    const imageTag = `${this.dockerRegistry}/${imageName}:${tag}`;
-    
-    this.addStage({
-      name: 'docker-build',
-      steps: [
-        {
-          name: 'build-and-push',
-          image: 'docker:20.10.12-dind',
-          command: [
-            'sh', '-c',
-            `docker build -t ${imageTag} -f ${this.dockerfilePath} . && docker push ${imageTag}`
-          ],
-          env: [
-            { name: 'DOCKER_HOST', value: 'tcp://localhost:2375' }
-          ]
+  generateK8sHorizontalPodAutoscaler(autoscaling, environment) {
+    this.assertValid();
+    const config = environment ? this.getEnvironmentConfig(environment) : {
+      namespace: this.namespace,
+      replicas: 1
+    };
+    autoscaling = autoscaling || config.autoscaling;
+    if (!autoscaling) {
+      throw new Error(`No autoscaling configured for environment ${environment}`);
+    }
+
+    return yaml.dump({
+      apiVersion: 'autoscaling/v2',
+      kind: 'HorizontalPodAutoscaler',
+      metadata: {
+        name: this.projectName,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
         }
-      ]
+      },
+      spec: {
+        // Canaries run as an Argo Rollout instead of a Deployment
+        scaleTargetRef: environment && this.getDeployStrategy(environment).type === 'canary' ? {
+          apiVersion: 'argoproj.io/v1alpha1',
+          kind: 'Rollout',
+          name: this.projectName
+        } : {
+          apiVersion: 'apps/v1',
+          kind: 'Deployment',
+          name: this.projectName
+        },
+        ...autoscalingSpecFor(autoscaling, config.replicas)
+      }
     });
-    return this;
   }
 
   /**
-   * Add a Kubernetes deployment stage to the pipeline
-   * @param {string} environment - Environment to deploy to (dev, staging, prod)
-   * @param {Object} resources - Kubernetes resources to deploy
-   * @returns {K8sPipelineGenerator} - The generator instance for chaining
+   * Generate Kubernetes config map YAML file. Files are read relative to the
+   * current working directory.
+   * @param {Object} configMap - ConfigMap configuration (default: the environment's configMap)
+   * @param {Object} configMap.data - Key/value pairs, exposed to the container as env vars
+   * @param {Object} configMap.files - Paths of files to include, keyed by ConfigMap key and
+   *   mounted at configMap.mountPath (default: /etc/<projectName>)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @returns {string} - Kubernetes config map YAML
    */
-  addDeployStage(environment = 'dev', resources = {}) {
-    if (!this.environments.includes(environment)) {
-      throw new Error(`Environment ${environment} is not valid. Use one of: ${this.environments.join(', ')}`);
+  generateK8sConfigMap(configMap, environment) {
+    this.assertValid();
+    const config = environment ? this.getEnvironmentConfig(environment) : { namespace: this.namespace };
+    configMap = configMap || config.configMap;
+    if (!configMap) {
+      throw new Error(`No configMap configured for environment ${environment}`);
     }
 
-    this.addStage({
-      name: `deploy-to-${environment}`,
-      steps: [
-        {
-          name: 'kubectl-apply',
-          image: 'bitnami/kubectl:latest',
-          command: ['sh', '-c', 'kubectl apply -f /workspace/k8s/${ENVIRONMENT}/']
+    return yaml.dump({
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: {
+        name: `${this.projectName}-config`,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
         }
-      ],
-      env: [
-        { name: 'ENVIRONMENT', value: environment }
-      ]
+      },
+      data: configMapDataFor(configMap)
     });
-    return this;
   }
 
   /**
-   * Generate a Jenkinsfile for the pipeline
-   * @returns {string} - Generated Jenkinsfile content
+   * Generate Kubernetes pod disruption budget YAML file
+   * @param {boolean|Object} budget - true for minAvailable: 1, or an object with minAvailable
+   *   or maxUnavailable (default: the environment's podDisruptionBudget)
+   * @param {string} environment - Environment whose overrides to apply (optional)
+   * @returns {string} - Kubernetes pod disruption budget YAML
    */
-  generateJenkinsfile() {
-    let jenkinsfileContent = `
-pipeline {
-  agent {
-    kubernetes {
-      yaml '''
-apiVersion: v1
-kind: Pod
-metadata:
-  labels:
-    app: ${this.projectName}-pipeline
-spec:
-  containers:
-  - name: jnlp
-    image: jenkins/inbound-agent:4.11.2-4
-  - name: docker
-    image: docker:20.10.12-dind
-    securityContext:
-      privileged: true
-    volumeMounts:
-    - name: docker-socket
-      mountPath: /var/run/docker.sock
-  - name: kubectl
-    image: bitnami/kubectl:latest
-    command:
-    - cat
-    tty: true
-  volumes:
-  - name: docker-socket
-    hostPath:
-      path: /var/run/docker.sock
-      type: Socket
-'''
-    }
-  }
-  
-  environment {
-    PROJECT_NAME = "${this.projectName}"
-    DOCKER_REGISTRY = "${this.dockerRegistry}"
-    NAMESPACE = "${this.namespace}"
-    GIT_BRANCH = "${this.branch}"
-  }
-  
-  stages {
-`;
-
-    // Add Git checkout stage
-    jenkinsfileContent += `
-    stage('Checkout') {
-      steps {
-        checkout scm
-      }
+  generateK8sPodDisruptionBudget(budget, environment) {
+    this.assertValid();
+    const config = environment ? this.getEnvironmentConfig(environment) : { namespace: this.namespace };
+    budget = budget || config.podDisruptionBudget;
+    if (!budget) {
+      throw new Error(`No podDisruptionBudget configured for environment ${environment}`);
     }
-`;
 
-    // Add custom stages
-    this.stages.forEach(stage => {
-      jenkinsfileContent += `
-    stage('${stage.name}') {
-      steps {
-        container('${stage.steps[0].image.split(':')[0]}') {
-          sh """
-            ${stage.steps[0].command[2]}
-          """
+    return yaml.dump({
+      apiVersion: 'policy/v1',
+      kind: 'PodDisruptionBudget',
+      metadata: {
+        name: this.projectName,
+        namespace: config.namespace,
+        labels: {
+          app: this.projectName
+        }
+      },
+      spec: {
+        ...disruptionBudgetSpecFor(budget),
+        selector: {
+          matchLabels: {
+            app: this.projectName
+          }
         }
       }
-    }
-`;
     });
-
-    // Close the Jenkinsfile
-    jenkinsfileContent += `
-  }
-  
-  post {
-    always {
-      cleanWs()
-    }
-    success {
-      echo 'Pipeline completed successfully!'
-    }
-    failure {
-      echo 'Pipeline failed!'
-    }
   }
-}
-`;
 
-    return jenkinsfileContent;
+  /**
+   * Generate the additional Kubernetes resources configured for an environment
+   * @param {string} environment - Environment name
+   * @returns {Object} - Resource YAML keyed by file name (configmap.yaml, ingress.yaml,
+   *   hpa.yaml and pdb.yaml, for the resources the environment configures)
+   */
+  generateK8sEnvironmentResources(environment) {
+    this.assertValid();
+
+    // The resources are generated without validating the configuration again
+    return this.withoutValidation(() => {
+      const config = this.getEnvironmentConfig(environment);
+      const files = {};
+
+      if (config.configMap) {
+        files['configmap.yaml'] = this.generateK8sConfigMap(undefined, environment);
+      }
+      if (config.ingress) {
+        files['ingress.yaml'] = this.generateK8sIngress(undefined, environment);
+      }
+      if (config.autoscaling) {
+        files['hpa.yaml'] = this.generateK8sHorizontalPodAutoscaler(undefined, environment);
+      }
+      if (config.podDisruptionBudget) {
+        files['pdb.yaml'] = this.generateK8sPodDisruptionBudget(undefined, environment);
+      }
+
+      return files;
+    });
   }
 
   /**
-   * Generate AWS CodePipeline configuration
-   * @returns {Object} - AWS CodePipeline configuration object
+   * Generate a Helm chart for the application
+   * @returns {Object} - Chart file contents keyed by path relative to the chart directory
    */
-  generateAwsCodePipeline() {
-    const pipelineName = `${this.projectName}-pipeline`;
-    const region = this.registry.aws.region;
-    const accountId = this.registry.aws.accountId;
-    const ecrRepo = this.registry.aws.ecrRepository;
-    
-    // Create CodePipeline structure
-    const pipeline = {
-      AWSTemplateFormatVersion: '2010-09-09',
-      Description: `AWS CodePipeline for ${this.projectName} Kubernetes deployment`,
-      Resources: {
-        ArtifactBucket: {
-          Type: 'AWS::S3::Bucket',
-          Properties: {
-            VersioningConfiguration: {
-              Status: 'Enabled'
-            }
-          }
-        },
-        CodeBuildServiceRole: {
-          Type: 'AWS::IAM::Role',
-          Properties: {
-            AssumeRolePolicyDocument: {
-              Version: '2012-10-17',
-              Statement: [{
-                Effect: 'Allow',
-                Principal: {
-                  Service: 'codebuild.amazonaws.com'
-                },
-                Action: 'sts:AssumeRole'
-              }]
-            },
-            ManagedPolicyArns: [
-              'arn:aws:iam::aws:policy/AmazonECR-FullAccess',
-              'arn:aws:iam::aws:policy/AmazonS3FullAccess'
-            ]
-          }
-        },
-        CodePipelineServiceRole: {
-          Type: 'AWS::IAM::Role',
-          Properties: {
-            AssumeRolePolicyDocument: {
-              Version: '2012-10-17',
-              Statement: [{
-                Effect: 'Allow',
-                Principal: {
-                  Service: 'codepipeline.amazonaws.com'
-                },
-                Action: 'sts:AssumeRole'
-              }]
-            },
-            ManagedPolicyArns: [
-              'arn:aws:iam::aws:policy/AWSCodeBuildAdminAccess',
-              'arn:aws:iam::aws:policy/AmazonS3FullAccess',
-              'arn:aws:iam::aws:policy/AmazonECR-FullAccess'
-            ]
-          }
-        },
-        DockerBuildProject: {
-          Type: 'AWS::CodeBuild::Project',
-          Properties: {
-            Name: `${this.projectName}-docker-build`,
-            ServiceRole: { 'Fn::GetAtt': ['CodeBuildServiceRole', 'Arn'] },
-            Artifacts: {
-              Type: 'CODEPIPELINE'
-            },
-            Environment: {
-              Type: 'LINUX_CONTAINER',
-              ComputeType: 'BUILD_GENERAL1_SMALL',
-              Image: 'aws/codebuild/amazonlinux2-x86_64-standard:3.0',
-              PrivilegedMode: true
-            },
-            Source: {
-              Type: 'CODEPIPELINE',
-              BuildSpec: this.generateBuildSpec()
-            }
-          }
-        },
-        KubernetesDeployProject: {
-          Type: 'AWS::CodeBuild::Project',
-          Properties: {
-            Name: `${this.projectName}-k8s-deploy`,
-            ServiceRole: { 'Fn::GetAtt': ['CodeBuildServiceRole', 'Arn'] },
-            Artifacts: {
-              Type: 'CODEPIPELINE'
-            },
-            Environment: {
-              Type: 'LINUX_CONTAINER',
-              ComputeType: 'BUILD_GENERAL1_SMALL',
-              Image: 'aws/codebuild/amazonlinux2-x86_64-standard:3.0'
-            },
-            Source: {
-              Type: 'CODEPIPELINE',
-              BuildSpec: this.generateDeployBuildSpec()
-            }
-          }
-        },
-        Pipeline: {
-          Type: 'AWS::CodePipeline::Pipeline',
-          Properties: {
-            Name: pipelineName,
-            RoleArn: { 'Fn::GetAtt': ['CodePipelineServiceRole', 'Arn'] },
-            ArtifactStore: {
-              Type: 'S3',
-              Location: { Ref: 'ArtifactBucket' }
-            },
-            Stages: [
-              {
-                Name: 'Source',
-                Actions: [{
-                  Name: 'Source',
-                  ActionTypeId: {
-                    Category: 'Source',
-                    Owner: 'AWS',
-                    Provider: 'CodeStarSourceConnection',
-                    Version: '1'
-                  },
-                  Configuration: {
-                    ConnectionArn: '{{CONNECTION_ARN}}', // Replace with actual connection ARN
-                    FullRepositoryId: this.repoUrl.replace(/^.*github.com\//, ''),
-                    BranchName: this.branch
-                  },
-                  OutputArtifacts: [{
-                    Name: 'SourceCode'
-                  }]
-                }]
-              },
-              {
-                Name: 'Build',
-                Actions: [{
-                  Name: 'BuildAndPushDockerImage',
-                  ActionTypeId: {
-                    Category: 'Build',
-                    Owner: 'AWS',
-                    Provider: 'CodeBuild',
-                    Version: '1'
-                  },
-                  Configuration: {
-                    ProjectName: { Ref: 'DockerBuildProject' }
-                  },
-                  InputArtifacts: [{
-                    Name: 'SourceCode'
-                  }],
-                  OutputArtifacts: [{
-                    Name: 'BuildOutput'
-                  }]
-                }]
-              },
-              {
-                Name: 'Deploy',
-                Actions: [{
-                  Name: 'DeployToKubernetes',
-                  ActionTypeId: {
-                    Category: 'Build',
-                    Owner: 'AWS',
-                    Provider: 'CodeBuild',
-                    Version: '1'
-                  },
-                  Configuration: {
-                    ProjectName: { Ref: 'KubernetesDeployProject' }
-                  },
-                  InputArtifacts: [{
-                    Name: 'BuildOutput'
-                  }]
-                }]
-              }
-            ]
-          }
-        }
-      },
-      Outputs: {
-        PipelineUrl: {
-          Description: 'URL to the AWS CodePipeline console',
-          Value: {
-            'Fn::Sub': `https://\${AWS::Region}.console.aws.amazon.com/codepipeline/home?region=\${AWS::Region}#/view/${pipelineName}`
-          }
-        }
+  generateHelmChart() {
+    this.assertValid();
+    const image = this.getImageReference();
+    const files = {};
+
+    files['Chart.yaml'] = yaml.dump({
+      apiVersion: 'v2',
+      name: this.projectName,
+      description: `Helm chart for ${this.projectName}`,
+      type: 'application',
+      version: '0.1.0',
+      appVersion: '0.1.0'
+    });
+
+    const deploymentOptions = this.getDeploymentOptions();
+    const base = this.buildK8sDeployment().spec.template.spec;
+    const container = base.containers[0];
+
+    files['values.yaml'] = yaml.dump({
+      replicaCount: this.deploymentConfig.replicas || 1,
+      image: {
+        repository: image.repository,
+        tag: image.tag,
+        pullPolicy: deploymentOptions.imagePullPolicy
+      },
+      service: {
+        type: 'ClusterIP',
+        port: 80,
+        targetPort: deploymentOptions.port
+      },
+      resources: container.resources,
+      env: container.env || [],
+      envFrom: container.envFrom || [],
+      volumeMounts: container.volumeMounts || [],
+      volumes: base.volumes || [],
+      livenessProbe: container.livenessProbe || {},
+      readinessProbe: container.readinessProbe || {},
+      startupProbe: container.startupProbe || {},
+      securityContext: container.securityContext,
+      podSecurityContext: base.securityContext,
+      serviceAccountName: base.serviceAccountName || '',
+      automountServiceAccountToken: base.automountServiceAccountToken,
+      nodeSelector: base.nodeSelector || {},
+      tolerations: base.tolerations || [],
+      strategy: deploymentOptions.strategy,
+      ingress: {
+        enabled: false,
+        className: '',
+        host: '',
+        path: '/',
+        annotations: {},
+        tlsSecretName: ''
+      },
+      autoscaling: {
+        enabled: false
+      },
+      configMap: {
+        enabled: false,
+        data: {}
+      },
+      podDisruptionBudget: {
+        enabled: false
       }
-    };
+    });
 
-    return pipeline;
+    this.environments.forEach(env => {
+      const config = this.getEnvironmentConfig(env);
+
+      // Helm replaces lists instead of merging them, so each environment
+      // repeats the lists of the base values
+      const pod = this.buildK8sDeployment(undefined, env).spec.template.spec;
+      const values = {
+        replicaCount: config.replicas,
+        service: {
+          type: config.serviceType
+        },
+        resources: pod.containers[0].resources,
+        env: pod.containers[0].env || [],
+        envFrom: pod.containers[0].envFrom || [],
+        volumeMounts: pod.containers[0].volumeMounts || [],
+        volumes: pod.volumes || []
+      };
+
+      // GitOps deploys commit the image of each environment to its values file
+      if (this.deployMode === 'gitops') {
+        values.image = { repository: image.repository, tag: image.tag };
+      }
+      if (config.ingress) {
+        values.ingress = {
+          enabled: true,
+          className: config.ingress.className || '',
+          host: config.ingress.host || '',
+          path: config.ingress.path || '/',
+          annotations: config.ingress.annotations || {},
+          tlsSecretName: tlsSecretNameFor(this.projectName, config.ingress.tls) || ''
+        };
+      }
+      if (config.autoscaling) {
+        values.autoscaling = { enabled: true, ...autoscalingSpecFor(config.autoscaling, config.replicas) };
+      }
+      if (config.configMap) {
+        values.configMap = { enabled: true, data: configMapDataFor(config.configMap) };
+      }
+      if (config.podDisruptionBudget) {
+        values.podDisruptionBudget = { enabled: true, ...disruptionBudgetSpecFor(config.podDisruptionBudget) };
+      }
+
+      files[`values-${env}.yaml`] = yaml.dump(values);
+    });
+
+    files['templates/deployment.yaml'] = `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ .Chart.Name }}
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+spec:
+  {{- if not .Values.autoscaling.enabled }}
+  replicas: {{ .Values.replicaCount }}
+  {{- end }}
+  strategy:
+    {{- toYaml .Values.strategy | nindent 4 }}
+  selector:
+    matchLabels:
+      app: {{ .Chart.Name }}
+  template:
+    metadata:
+      labels:
+        app: {{ .Chart.Name }}
+    spec:
+      securityContext:
+        {{- toYaml .Values.podSecurityContext | nindent 8 }}
+      automountServiceAccountToken: {{ .Values.automountServiceAccountToken }}
+      {{- with .Values.serviceAccountName }}
+      serviceAccountName: {{ . }}
+      {{- end }}
+      {{- with .Values.nodeSelector }}
+      nodeSelector:
+        {{- toYaml . | nindent 8 }}
+      {{- end }}
+      {{- with .Values.tolerations }}
+      tolerations:
+        {{- toYaml . | nindent 8 }}
+      {{- end }}
+      containers:
+        - name: {{ .Chart.Name }}
+          image: "{{ .Values.image.repository }}{{ with .Values.image.digest }}@{{ . }}{{ else }}:{{ .Values.image.tag }}{{ end }}"
+          imagePullPolicy: {{ .Values.image.pullPolicy }}
+          ports:
+            - name: http
+              containerPort: {{ .Values.service.targetPort }}
+          resources:
+            {{- toYaml .Values.resources | nindent 12 }}
+          securityContext:
+            {{- toYaml .Values.securityContext | nindent 12 }}
+          {{- with .Values.livenessProbe }}
+          livenessProbe:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with .Values.readinessProbe }}
+          readinessProbe:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with .Values.startupProbe }}
+          startupProbe:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with .Values.env }}
+          env:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with .Values.envFrom }}
+          envFrom:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with .Values.volumeMounts }}
+          volumeMounts:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+      {{- with .Values.volumes }}
+      volumes:
+        {{- toYaml . | nindent 8 }}
+      {{- end }}
+`;
+
+    files['templates/service.yaml'] = `apiVersion: v1
+kind: Service
+metadata:
+  name: {{ .Chart.Name }}
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+spec:
+  type: {{ .Values.service.type }}
+  ports:
+    - port: {{ .Values.service.port }}
+      targetPort: {{ .Values.service.targetPort }}
+      protocol: TCP
+  selector:
+    app: {{ .Chart.Name }}
+`;
+
+    files['templates/configmap.yaml'] = `{{- if .Values.configMap.enabled }}
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ .Chart.Name }}-config
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+data:
+  {{- toYaml .Values.configMap.data | nindent 2 }}
+{{- end }}
+`;
+
+    files['templates/ingress.yaml'] = `{{- if .Values.ingress.enabled }}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: {{ .Chart.Name }}
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+  {{- with .Values.ingress.annotations }}
+  annotations:
+    {{- toYaml . | nindent 4 }}
+  {{- end }}
+spec:
+  {{- with .Values.ingress.className }}
+  ingressClassName: {{ . }}
+  {{- end }}
+  {{- with .Values.ingress.tlsSecretName }}
+  tls:
+    - secretName: {{ . }}
+      {{- with $.Values.ingress.host }}
+      hosts:
+        - {{ . | quote }}
+      {{- end }}
+  {{- end }}
+  rules:
+    - {{- with .Values.ingress.host }}
+      host: {{ . | quote }}
+      {{- end }}
+      http:
+        paths:
+          - path: {{ .Values.ingress.path }}
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ .Chart.Name }}
+                port:
+                  number: {{ .Values.service.port }}
+{{- end }}
+`;
+
+    files['templates/hpa.yaml'] = `{{- if .Values.autoscaling.enabled }}
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: {{ .Chart.Name }}
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+spec:
+  scaleTargetRef:
+    apiVersion: apps/v1
+    kind: Deployment
+    name: {{ .Chart.Name }}
+  minReplicas: {{ .Values.autoscaling.minReplicas }}
+  maxReplicas: {{ .Values.autoscaling.maxReplicas }}
+  metrics:
+    {{- toYaml .Values.autoscaling.metrics | nindent 4 }}
+{{- end }}
+`;
+
+    files['templates/pdb.yaml'] = `{{- if .Values.podDisruptionBudget.enabled }}
+apiVersion: policy/v1
+kind: PodDisruptionBudget
+metadata:
+  name: {{ .Chart.Name }}
+  namespace: {{ .Release.Namespace }}
+  labels:
+    app: {{ .Chart.Name }}
+    app.kubernetes.io/instance: {{ .Release.Name }}
+    app.kubernetes.io/managed-by: {{ .Release.Service }}
+spec:
+  {{- toYaml (omit .Values.podDisruptionBudget "enabled") | nindent 2 }}
+  selector:
+    matchLabels:
+      app: {{ .Chart.Name }}
+{{- end }}
+`;
+
+    return files;
   }
 
   /**
-   * Generate AWS CodeBuild buildspec for Docker build
-   * @returns {string} - AWS CodeBuild buildspec.yml content
+   * Generate a Kustomize base and one overlay per environment. The overlays
+   * patch replicas, resources, env and service type, set the namespace, add
+   * the environment's additional resources and carry an images transformer
+   * for the IMAGE_PLACEHOLDER image of the base.
+   * @returns {Object} - File contents keyed by path relative to the k8s directory
    */
-  generateBuildSpec() {
-    const region = this.registry.aws.region;
-    const accountId = this.registry.aws.accountId;
-    const ecrRepo = this.registry.aws.ecrRepository;
-    
-    return yaml.dump({
-      version: '0.2',
-      phases: {
-        pre_build: {
-          commands: [
-            'echo Logging in to Amazon ECR...',
-            `aws ecr get-login-password --region ${region} | docker login --username AWS --password-stdin ${accountId}.dkr.ecr.${region}.amazonaws.com`,
-            'echo Checking if repository exists...',
-            `aws ecr describe-repositories --repository-names ${ecrRepo} || aws ecr create-repository --repository-name ${ecrRepo}`,
-            'COMMIT_HASH=$(echo $CODEBUILD_RESOLVED_SOURCE_VERSION | cut -c 1-7)',
-            'IMAGE_TAG=${COMMIT_HASH:=latest}'
-          ]
-        },
-        build: {
-          commands: [
-            'echo Build started on `date`',
-            `echo Building the Docker image: ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:$IMAGE_TAG`,
-            `docker build -t ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:$IMAGE_TAG -f ${this.dockerfilePath} .`,
-            `docker tag ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:$IMAGE_TAG ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:latest`
-          ]
+  generateKustomization() {
+    this.assertValid();
+    const image = this.getImageReference();
+    const files = {};
+
+    files['base/deployment.yaml'] = yaml.dump(this.buildK8sDeployment());
+    files['base/service.yaml'] = this.withoutValidation(() => this.generateK8sService());
+    files['base/kustomization.yaml'] = yaml.dump({
+      apiVersion: 'kustomize.config.k8s.io/v1beta1',
+      kind: 'Kustomization',
+      resources: ['deployment.yaml', 'service.yaml']
+    });
+
+    this.environments.forEach(env => {
+      const config = this.getEnvironmentConfig(env);
+      const references = this.getConfigReferences(config);
+      const overlay = `overlays/${env}`;
+      const container = {
+        name: this.projectName,
+        resources: toResourceRequirements(config.resources)
+      };
+
+      if (config.env.length > 0 || references.env.length > 0) {
+        container.env = [...config.env, ...references.env];
+      }
+      if (references.envFrom.length > 0) {
+        container.envFrom = references.envFrom;
+      }
+      if (references.volumeMounts.length > 0) {
+        container.volumeMounts = references.volumeMounts;
+      }
+
+      const deploymentPatch = {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: {
+          name: this.projectName
         },
-        post_build: {
-          commands: [
-            'echo Build completed on `date`',
-            'echo Pushing the Docker image...',
-            `docker push ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:$IMAGE_TAG`,
-            `docker push ${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:latest`,
-            'echo Writing artifact files...',
-            'echo "{\"ImageURI\":\"'${accountId}.dkr.ecr.${region}.amazonaws.com/${ecrRepo}:$IMAGE_TAG'\"}" > imageDefinition.json',
-            'echo Generating Kubernetes manifests...',
-            'mkdir -p kubernetes/',
-            'envsubst < k8s/deployment.yaml > kubernetes/deployment.yaml',
-            'envsubst < k8s/service.yaml > kubernetes/service.yaml'
-          ]
+        spec: {
+          replicas: config.replicas,
+          template: {
+            spec: {
+              containers: [container]
+            }
+          }
         }
-      },
-      artifacts: {
-        files: [
-          'imageDefinition.json',
-          'appspec.yaml',
-          'kubernetes/**/*',
-          'k8s/**/*'
-        ]
+      };
+
+      if (references.volumes.length > 0) {
+        deploymentPatch.spec.template.spec.volumes = references.volumes;
+      }
+
+      const patches = [{ path: 'deployment-patch.yaml' }];
+
+      // The autoscaler owns the replica count, so drop it from the base
+      if (config.autoscaling) {
+        delete deploymentPatch.spec.replicas;
+        patches.push({
+          target: { kind: 'Deployment', name: this.projectName },
+          patch: yaml.dump([{ op: 'remove', path: '/spec/replicas' }])
+        });
+      }
+
+      files[`${overlay}/deployment-patch.yaml`] = yaml.dump(deploymentPatch);
+
+      if (config.serviceType !== 'ClusterIP') {
+        files[`${overlay}/service-patch.yaml`] = yaml.dump({
+          apiVersion: 'v1',
+          kind: 'Service',
+          metadata: {
+            name: this.projectName
+          },
+          spec: {
+            type: config.serviceType
+          }
+        });
+        patches.push({ path: 'service-patch.yaml' });
       }
+
+      const resources = this.withoutValidation(() => this.generateK8sEnvironmentResources(env));
+      Object.keys(resources).forEach(file => {
+        files[`${overlay}/${file}`] = resources[file];
+      });
+
+      files[`${overlay}/kustomization.yaml`] = yaml.dump({
+        apiVersion: 'kustomize.config.k8s.io/v1beta1',
+        kind: 'Kustomization',
+        namespace: config.namespace,
+        resources: ['../../base', ...Object.keys(resources)],
+        patches,
+        images: [
+          {
+            name: 'IMAGE_PLACEHOLDER',
+            newName: image.repository,
+            newTag: image.tag
+          }
+        ]
+      });
     });
+
+    return files;
   }
 
   /**
-   * Generate AWS CodeBuild buildspec for Kubernetes deployment
-   * @returns {string} - AWS CodeBuild buildspec.yml content
+   * Generate the Argo CD Application syncing an environment from the config
+   * repository of the gitops deploy mode. Environments with a cluster deploy
+   * to the Argo CD cluster of that name, others to the cluster Argo CD runs in.
+   * @param {string} environment - Environment name
+   * @returns {string} - Argo CD Application YAML
    */
-  generateDeployBuildSpec() {
+  generateArgoCdApplication(environment) {
+    this.assertValid();
+    const config = this.getEnvironmentConfig(environment);
+    const source = {
+      repoURL: this.gitops.repoUrl,
+      targetRevision: this.gitops.branch,
+      path: this.getGitOpsPath(environment)
+    };
+
+    if (this.layout === 'helm') {
+      source.helm = { valueFiles: [`values-${environment}.yaml`] };
+    }
+
     return yaml.dump({
-      version: '0.2',
-      phases: {
-        install: {
-          commands: [
-            'echo Installing kubectl...',
-            'curl -o kubectl https://amazon-eks.s3.us-west-2.amazonaws.com/1.21.2/2021-07-05/bin/linux/amd64/kubectl',
-            'chmod +x ./kubectl',
-            'mv ./kubectl /usr/local/bin/kubectl'
-          ]
-        },
-        pre_build: {
-          commands: [
-            'echo Configuring kubectl...',
-            'aws eks update-kubeconfig --name ${EKS_CLUSTER_NAME} --region ${AWS_REGION}'
-          ]
+      apiVersion: 'argoproj.io/v1alpha1',
+      kind: 'Application',
+      metadata: {
+        name: `${this.projectName}-${environment}`,
+        namespace: 'argocd',
+        labels: {
+          app: this.projectName
         },
-        build: {
-          commands: [
-            'echo Deployment started on `date`',
-            'echo Updating image in Kubernetes manifests...',
-            'IMAGE_URI=$(cat imageDefinition.json | jq -r \'.ImageURI\')',
-            'sed -i "s|IMAGE_PLACEHOLDER|$IMAGE_URI|g" kubernetes/deployment.yaml',
-            'echo Applying Kubernetes manifests...',
-            'kubectl apply -f kubernetes/deployment.yaml -n ${NAMESPACE}',
-            'kubectl apply -f kubernetes/service.yaml -n ${NAMESPACE}'
-          ]
+        finalizers: ['resources-finalizer.argocd.argoproj.io']
+      },
+      spec: {
+        project: 'default',
+        source,
+        destination: {
+          ...(config.cluster ? { name: config.cluster } : { server: 'https://kubernetes.default.svc' }),
+          namespace: config.namespace
         },
-        post_build: {
-          commands: [
-            'echo Deployment completed on `date`',
-            'kubectl get pods -n ${NAMESPACE}',
-            'kubectl get services -n ${NAMESPACE}'
-          ]
+        syncPolicy: {
+          automated: {
+            prune: true,
+            selfHeal: true
+          },
+          syncOptions: ['CreateNamespace=true']
         }
       }
     });
   }
 
   /**
-   * Generate Kubernetes deployment YAML file
-   * @param {string} imageName - Docker image name
-   * @param {string} tag - Docker image tag
-   * @param {Object} resources - Kubernetes resources to request
-   * @returns {string} - Kubernetes deployment YAML
+   * Generate the Flux GitRepository for the config repository of the gitops deploy mode
+   * @returns {string} - Flux GitRepository YAML
    */
-  generateK8sDeployment(imageName, tag = 'latest', resources = { cpu: '100m', memory: '128Mi' }) {
-    const deployment = {
-      apiVersion: 'apps/v1',
-      kind: 'Deployment',
+  generateFluxGitRepository() {
+    this.assertValid();
+
+    return yaml.dump({
+      apiVersion: 'source.toolkit.fluxcd.io/v1',
+      kind: 'GitRepository',
       metadata: {
-        name: this.projectName,
-        namespace: this.namespace,
+        name: `${this.projectName}-config`,
+        namespace: 'flux-system',
         labels: {
           app: this.projectName
         }
       },
       spec: {
-        replicas: 1,
-        selector: {
-          matchLabels: {
-            app: this.projectName
-          }
-        },
-        template: {
-          metadata: {
-            labels: {
-              app: this.projectName
-            }
-          },
-          spec: {
-            containers: [
-              {
-                name: this.projectName,
-                image: 'IMAGE_PLACEHOLDER', // This will be replaced during deployment
-                imagePullPolicy: 'Always',
-                ports: [
-                  {
-                    containerPort: 8080
-                  }
-                ],
-                resources: {
-                  requests: resources
-                }
-              }
-            ]
-          }
+        interval: '1m',
+        url: this.gitops.repoUrl,
+        ref: {
+          branch: this.gitops.branch
         }
       }
-    };
-
-    return yaml.dump(deployment);
+    });
   }
 
   /**
-   * Generate Kubernetes service YAML file
-   * @param {number} port - Service port
-   * @param {number} targetPort - Container port to target
-   * @param {string} type - Service type (ClusterIP, NodePort, LoadBalancer)
-   * @returns {string} - Kubernetes service YAML
+   * Generate the Flux Kustomization syncing an environment from the config
+   * repository of the gitops deploy mode
+   * @param {string} environment - Environment name
+   * @returns {string} - Flux Kustomization YAML
    */
-  generateK8sService(port = 80, targetPort = 8080, type = 'ClusterIP') {
-    const service = {
-      apiVersion: 'v1',
-      kind: 'Service',
+  generateFluxKustomization(environment) {
+    this.assertValid();
+    const config = this.getEnvironmentConfig(environment);
+
+    return yaml.dump({
+      apiVersion: 'kustomize.toolkit.fluxcd.io/v1',
+      kind: 'Kustomization',
       metadata: {
-        name: this.projectName,
-        namespace: this.namespace,
+        name: `${this.projectName}-${environment}`,
+        namespace: 'flux-system',
         labels: {
           app: this.projectName
         }
       },
       spec: {
-        type: type,
-        ports: [
-          {
-            port: port,
-            targetPort: targetPort,
-            protocol: 'TCP'
-          }
-        ],
-        selector: {
-          app: this.projectName
+        interval: '5m',
+        path: `./${this.getGitOpsPath(environment)}`,
+        prune: true,
+        wait: true,
+        timeout: this.getDeployStrategy(environment).timeout,
+        targetNamespace: config.namespace,
+        sourceRef: {
+          kind: 'GitRepository',
+          name: `${this.projectName}-config`
         }
       }
-    };
+    });
+  }
 
-    return yaml.dump(service);
+  /**
+   * Generate the GitOps controller resources of the gitops deploy mode: one
+   * Argo CD Application, or Flux Kustomization plus the shared GitRepository,
+   * per environment
+   * @returns {Object} - File name to YAML content
+   */
+  generateGitOpsResources() {
+    this.assertValid();
+    const files = {};
+
+    // The resources are generated without validating the configuration again
+    this.withoutValidation(() => {
+      if (this.gitops.tool === 'flux') {
+        files['git-repository.yaml'] = this.generateFluxGitRepository();
+        this.environments.forEach(env => {
+          files[`kustomization-${env}.yaml`] = this.generateFluxKustomization(env);
+        });
+        return;
+      }
+
+      this.environments.forEach(env => {
+        files[`application-${env}.yaml`] = this.generateArgoCdApplication(env);
+      });
+    });
+    return files;
   }
 
   /**
-   * Save pipeline configuration files to disk
+   * Save pipeline configuration files to disk, after validating the configuration.
+   * Every file gets a header with a checksum of its contents, so files edited by
+   * hand since they were generated are not overwritten unless options.force is set.
    * @param {string} outputDir - Directory to save files
-   * @returns {Object} - Object with paths to generated files
+   * @param {Object} options - Save options
+   * @param {Array} options.targets - Pipeline targets to write: jenkins, github, gitlab, tekton
+   *   and aws (default: all, see getTargets). The Kubernetes configuration is always written.
+   * @param {boolean} options.dryRun - Return the files instead of writing them
+   * @param {boolean} options.diff - Return a unified diff of the files on disk
+   *   against the generated files instead of writing them
+   * @param {boolean} options.force - Overwrite files edited by hand, and files
+   *   not written by easy-k8s
+   * @param {string} options.failOn - Lowest severity of the lint findings that make
+   *   saveToFiles throw (default: lint.failOn)
+   * @returns {Object|string} - Object with paths to generated files; with dryRun,
+   *   file path to contents; with diff, the diff ('' when nothing changed)
    */
-  saveToFiles(outputDir = './pipeline') {
+  saveToFiles(outputDir = './pipeline', options = {}) {
+    const targets = this.validateTargets(options.targets);
+    const { files, outputFiles } = this.withoutValidation(() => this.renderOutputFiles(targets));
+
+    const failOn = options.failOn || this.lintConfig.failOn;
+    const { passed, findings } = this.lintFiles(files, failOn);
+    if (!passed) {
+      const failing = findings
+        .filter(finding => LINT_SEVERITIES.indexOf(finding.severity) >= LINT_SEVERITIES.indexOf(failOn));
+      const error = new Error(`Lint findings of severity ${failOn} or higher:\n${failing
+        .map(finding => `  ${finding.severity} ${finding.rule} ${finding.path}: ${finding.message}`)
+        .join('\n')}`);
+      error.findings = failing;
+      throw error;
+    }
+
+    const onDisk = file => {
+      const filePath = path.join(outputDir, file);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : undefined;
+    };
+
+    // Gitops deploy stages commit the image to some of the files. Their checksum
+    // leaves the image lines out, so the commits do not count as edits by hand,
+    // and regenerating keeps the image the last deploy set.
+    const checksummed = file => text => withoutValues(text, this.getGitOpsImageLines(file, text));
+    const contents = Object.keys(files).reduce((all, file) => {
+      const imageLines = this.getGitOpsImageLines(file, files[file]);
+      const current = imageLines.length > 0 ? onDisk(file) : undefined;
+      let generated = files[file];
+
+      if (current !== undefined && !isEditedByHand(current, checksummed(file))) {
+        const currentLines = current.split('\n').slice(2);
+        const deployed = this.getGitOpsImageLines(file, currentLines.join('\n'));
+        if (deployed.length === imageLines.length) {
+          const lines = generated.split('\n');
+          imageLines.forEach((index, position) => {
+            lines[index] = currentLines[deployed[position]];
+          });
+          generated = lines.join('\n');
+        }
+      }
+      all[file] = withGeneratedHeader(file, generated, checksummed(file));
+      return all;
+    }, {});
+
+    if (options.dryRun) {
+      return Object.keys(contents).reduce((all, file) => {
+        all[path.join(outputDir, file)] = contents[file];
+        return all;
+      }, {});
+    }
+
+    if (options.diff) {
+      return Object.keys(contents).map(file => {
+        const filePath = path.join(outputDir, file);
+        const current = onDisk(file);
+        return unifiedDiff(current || '', contents[file], current === undefined ? '/dev/null' : filePath, filePath);
+      }).join('');
+    }
+
+    if (!options.force) {
+      const edited = Object.keys(contents).filter(file => {
+        const current = onDisk(file);
+        return current !== undefined && current !== contents[file] && isEditedByHand(current, checksummed(file));
+      }).map(file => path.join(outputDir, file));
+      if (edited.length > 0) {
+        const error = new Error(`Files were edited by hand or not generated by easy-k8s: ${edited.join(', ')}. Use force to overwrite them`);
+        error.files = edited;
+        throw error;
+      }
+    }
+
     // Create output directory if it doesn't exist
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
+    writeFiles(outputDir, contents);
+
+    return Object.keys(outputFiles).reduce((paths, name) => {
+      paths[name] = path.join(outputDir, outputFiles[name]);
+      return paths;
+    }, {});
+  }
+
+  /**
+   * Check pipeline targets, defaulting to all of them. The default leaves out the
+   * aws target, with a warning, when the configuration is only invalid for the
+   * AWS CodePipeline template (e.g. a repoUrl that is not on GitHub).
+   * @param {Array} targets - Pipeline targets (optional)
+   * @param {Array} warnings - Warnings of validate() (default: validates the configuration)
+   * @returns {Array} - The targets
+   */
+  getTargets(targets, warnings) {
+    if (targets === undefined) {
+      const problems = warnings || (this.skipValidation ? [] : this.validate().warnings);
+      const awsErrors = problems.filter(problem => problem.target === 'aws-codepipeline');
+      if (awsErrors.length === 0) {
+        return TARGETS;
+      }
+
+      process.emitWarning(`Skipping the aws target: ${awsErrors
+        .map(problem => `${problem.path} ${problem.message}`)
+        .join('; ')}. Name the aws target to make this an error`, 'EasyK8sWarning');
+      return TARGETS.filter(target => target !== 'aws');
+    }
 
-    // Create directories for Kubernetes manifests
-    const k8sDir = path.join(outputDir, 'k8s');
-    if (!fs.existsSync(k8sDir)) {
-      fs.mkdirSync(k8sDir, { recursive: true });
+    const unknown = targets.filter(target => !TARGETS.includes(target));
+    if (unknown.length > 0) {
+      throw new Error(`Target ${unknown.join(', ')} is not valid. Use one of: ${TARGETS.join(', ')}`);
     }
+    return targets;
+  }
 
-    // Create environment directories
-    this.environments.forEach(env => {
-      const envDir = path.join(k8sDir, env);
-      if (!fs.existsSync(envDir)) {
-        fs.mkdirSync(envDir, { recursive: true });
+  /**
+   * Validate the configuration once for the targets of saveToFiles and lint,
+   * which then render the files without validating it again
+   * @param {Array} targets - Pipeline targets as given (optional)
+   * @returns {Array} - The targets to render, see getTargets
+   */
+  validateTargets(targets) {
+    // Unknown targets fail before the configuration is validated
+    const named = targets === undefined ? undefined : this.getTargets(targets);
+    const { warnings } = this.assertValid(this.getValidationTarget(named));
+    return named || this.getTargets(undefined, warnings);
+  }
+
+  /**
+   * Get the target whose checks saveToFiles and lint validate the configuration with
+   * @param {Array} targets - Pipeline targets as given (optional)
+   * @returns {string} - aws-codepipeline when the aws target is named, gitlab-ci when
+   *   gitlab is the only target, otherwise undefined
+   */
+  getValidationTarget(targets) {
+    if (targets && targets.includes('aws')) {
+      return 'aws-codepipeline';
+    }
+    if (targets && targets.length > 0 && targets.every(target => target === 'gitlab')) {
+      return 'gitlab-ci';
+    }
+    return undefined;
+  }
+
+  /**
+   * Render the pipeline configuration files of the given targets
+   * @param {Array} targets - Pipeline targets to render
+   * @returns {Object} - files, the contents keyed by path relative to the output
+   *   directory, and outputFiles, the relative paths returned by saveToFiles
+   */
+  renderOutputFiles(targets) {
+    const files = {};
+    const outputFiles = {};
+    const addFiles = (dir, dirFiles) => {
+      Object.keys(dirFiles).forEach(file => {
+        files[path.join(dir, file)] = dirFiles[file];
+      });
+    };
+
+    if (targets.includes('jenkins')) {
+      // Jenkinsfile
+      outputFiles.jenkinsfilePath = 'Jenkinsfile';
+      files.Jenkinsfile = this.generateJenkinsfile();
+    }
+
+    if (targets.includes('aws')) {
+      // AWS CodePipeline template and buildspec files
+      outputFiles.awsCodePipelinePath = 'aws-codepipeline.yaml';
+      files['aws-codepipeline.yaml'] = yaml.dump(this.generateAwsCodePipeline());
+
+      outputFiles.buildspecPath = 'buildspec.yml';
+      files['buildspec.yml'] = this.generateBuildSpec();
+
+      outputFiles.deployBuildspecPath = 'deploy-buildspec.yml';
+      files['deploy-buildspec.yml'] = this.generateDeployBuildSpec();
+
+      if (this.stages.some(stage => stage.reports)) {
+        outputFiles.testBuildspecPath = 'test-buildspec.yml';
+        files['test-buildspec.yml'] = this.generateTestBuildSpec();
       }
-    });
+    }
+
+    if (targets.includes('github')) {
+      // GitHub Actions workflow
+      outputFiles.githubActionsWorkflowPath = path.join('.github', 'workflows', `${this.projectName}.yml`);
+      files[outputFiles.githubActionsWorkflowPath] = yaml.dump(this.generateGithubActionsWorkflow());
+    }
+
+    if (targets.includes('gitlab')) {
+      // GitLab CI configuration
+      outputFiles.gitlabCiPath = '.gitlab-ci.yml';
+      files['.gitlab-ci.yml'] = yaml.dump(this.generateGitlabCi());
+    }
 
-    // Save Jenkinsfile
-    const jenkinsfilePath = path.join(outputDir, 'Jenkinsfile');
-    fs.writeFileSync(jenkinsfilePath, this.generateJenkinsfile());
+    if (targets.includes('tekton')) {
+      // Tekton manifests
+      const tekton = this.generateTektonPipeline();
+      addFiles('tekton', {
+        'tasks.yaml': tekton.tasks.map(task => yaml.dump(task)).join('---\n'),
+        'pipeline.yaml': yaml.dump(tekton.pipeline),
+        'pipelinerun.yaml': yaml.dump(tekton.pipelineRun)
+      });
+      outputFiles.tektonDir = 'tekton';
+    }
 
-    // Save AWS CodePipeline template
-    const awsCodePipelinePath = path.join(outputDir, 'aws-codepipeline.yaml');
-    fs.writeFileSync(awsCodePipelinePath, yaml.dump(this.generateAwsCodePipeline()));
+    if (this.deployMode === 'gitops') {
+      // The Argo CD or Flux resources that sync the config repository
+      addFiles('gitops', this.generateGitOpsResources());
+      outputFiles.gitopsDir = 'gitops';
+    }
 
-    // Save buildspec files
-    const buildspecPath = path.join(outputDir, 'buildspec.yml');
-    fs.writeFileSync(buildspecPath, this.generateBuildSpec());
+    if (this.layout === 'helm') {
+      // The Helm chart
+      outputFiles.helmChartDir = path.join('helm', this.projectName);
+      addFiles(outputFiles.helmChartDir, this.generateHelmChart());
+      return { files, outputFiles };
+    }
 
-    const deployBuildspecPath = path.join(outputDir, 'deploy-buildspec.yml');
-    fs.writeFileSync(deployBuildspecPath, this.generateDeployBuildSpec());
+    outputFiles.k8sDir = 'k8s';
 
-    // Save Kubernetes manifest templates for each environment
-    this.environments.forEach(env => {
-      const envDir = path.join(k8sDir, env);
-      
-      // Save deployment.yaml
-      const deploymentPath = path.join(envDir, 'deployment.yaml');
-      fs.writeFileSync(deploymentPath, this.generateK8sDeployment(`${this.projectName}-${env}`));
+    if (this.layout === 'kustomize') {
+      // The Kustomize base and overlays
+      addFiles('k8s', this.generateKustomization());
+      return { files, outputFiles };
+    }
 
-      // Save service.yaml
-      const servicePath = path.join(envDir, 'service.yaml');
-      fs.writeFileSync(servicePath, this.generateK8sService());
+    // Kubernetes manifest templates for each environment: the workload and service
+    // for the environment's strategy, plus the ingress, autoscaler, config map and
+    // disruption budget, where configured
+    this.environments.forEach(env => {
+      addFiles(path.join('k8s', env), this.generateK8sEnvironmentManifests(env));
     });
 
-    return {
-      jenkinsfilePath,
-      awsCodePipelinePath,
-      buildspecPath,
-      deployBuildspecPath,
-      k8sDir
-    };
+    return { files, outputFiles };
   }
 }
 
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator deploying to dev, then to prod after an approval
+ * @param {Object} approval - Approval options of the prod deploy
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(approval = {}, options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDeployStage('dev')
+    .addDeployStage('prod', { approval });
+}
+
+/**
+ * Get the block of a top-level stage of a Jenkinsfile
+ * @param {string} jenkinsfile - Jenkinsfile content
+ * @param {string} name - Stage name
+ * @returns {string} - Stage block, up to its closing brace
+ */
+function stageBlockOf(jenkinsfile, name) {
+  return new RegExp(`\\n    stage\\('${name}'\\) \\{\\n[\\s\\S]*?\\n    \\}\\n`).exec(jenkinsfile)[0];
+}
+
+test('approval stages are added before the deploy stage', () => {
+  const generator = createGenerator();
+
+  assert.deepStrictEqual(generator.stages.map(stage => stage.name), ['test', 'deploy-to-dev', 'approve-prod', 'deploy-to-prod']);
+  assert.deepStrictEqual(generator.stages[2].approval, {
+    environment: 'prod',
+    approvers: [],
+    timeout: 60,
+    message: 'Deploy my-app to prod?',
+    snsTopicArn: undefined
+  });
+});
+
+test('Jenkins approvals wait for input within a timeout, restricted to the approvers', () => {
+  const jenkinsfile = createGenerator({ approvers: ['alice', 'release-managers'], timeout: 30, message: 'Ship it?' }).generateJenkinsfile();
+
+  assert.match(stageBlockOf(jenkinsfile, 'approve-prod'), /timeout\(time: 30, unit: 'MINUTES'\) \{\n\s+input message: 'Ship it\?', ok: 'Approve', submitter: 'alice,release-managers'\n/);
+});
+
+test('Jenkins approvals hold no agent while they wait', () => {
+  const jenkinsfile = createGenerator().generateJenkinsfile();
+
+  assert.match(jenkinsfile, /^pipeline \{\n  agent none\n/m);
+  assert.match(stageBlockOf(jenkinsfile, 'approve-prod'), /^      agent none\n/m);
+  assert.doesNotMatch(stageBlockOf(jenkinsfile, 'approve-prod'), /kubernetes|container\(/);
+});
+
+test('Jenkins stages around an approval run in pods that hand over the workspace', () => {
+  const jenkinsfile = createGenerator().generateJenkinsfile();
+  const before = stageBlockOf(jenkinsfile, 'Before approve-prod');
+  const after = stageBlockOf(jenkinsfile, 'After approve-prod');
+
+  [before, after].forEach(block => assert.match(block, /agent \{\n\s+kubernetes \{\n\s+yaml '''/));
+  assert.match(before, /stage\('Checkout'\)[\s\S]*env\.IMAGE_TAG = sh\(/);
+  assert.match(before, /stage\('test'\)[\s\S]*stage\('deploy-to-dev'\)/);
+  assert.match(before, /success \{\n\s+stash name: 'workspace', allowEmpty: true\n/);
+  assert.match(after, /stage\('Restore workspace'\) \{\n\s+steps \{\n\s+unstash 'workspace'\n/);
+  assert.match(after, /stage\('deploy-to-prod'\)/);
+  assert.doesNotMatch(after, /stash name/);
+  [before, after].forEach(block => assert.match(block, /cleanup \{\n\s+cleanWs\(\)\n/));
+});
+
+test('Jenkins notifications of a pipeline without an agent run in a pod of their own', () => {
+  const jenkinsfile = createGenerator({}, {
+    notifications: [{ type: 'slack', events: ['awaiting-approval', 'failed'] }]
+  }).generateJenkinsfile();
+
+  assert.match(stageBlockOf(jenkinsfile, 'approve-prod'), /script \{\n\s+podTemplate \{\n\s+node\(POD_LABEL\) \{\n\s+withCredentials/);
+  assert.match(jenkinsfile, /failure \{\n\s+echo 'Pipeline failed!'\n\s+script \{\n\s+podTemplate \{/);
+});
+
+test('Jenkins pipelines without approvals keep one pod for the whole pipeline', () => {
+  const jenkinsfile = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  }).addTestStage('npm test', 'node:20').addDeployStage('dev').generateJenkinsfile();
+
+  assert.match(jenkinsfile, /^pipeline \{\n  agent \{\n    kubernetes \{/m);
+  assert.strictEqual(jenkinsfile.match(/kubernetes \{/g).length, 1);
+  assert.match(jenkinsfile, /IMAGE_TAG = sh\(/);
+  assert.doesNotMatch(jenkinsfile, /stash|agent none/);
+});
+
+test('CodePipeline approvals are Manual actions before the deploy action, notifying the SNS topic', () => {
+  const template = createGenerator({ snsTopicArn: 'arn:aws:sns:eu-west-1:123456789012:approvals' }).generateAwsCodePipeline();
+  const stage = template.Resources.Pipeline.Properties.Stages.find(candidate => candidate.Name === 'Deploy-prod');
+
+  assert.deepStrictEqual(stage.Actions[0], {
+    Name: 'Approve-prod',
+    ActionTypeId: { Category: 'Approval', Owner: 'AWS', Provider: 'Manual', Version: '1' },
+    Configuration: { CustomData: 'Deploy my-app to prod?', NotificationArn: 'arn:aws:sns:eu-west-1:123456789012:approvals' },
+    RunOrder: 1
+  });
+  assert.strictEqual(stage.Actions[1].RunOrder, 2);
+});
+
+test('GitHub Actions approvals are left to the environment of the deploy job', () => {
+  const { jobs } = createGenerator().generateGithubActionsWorkflow();
+
+  assert.ok(!jobs['approve-prod']);
+  assert.deepStrictEqual(jobs['deploy-to-prod'].environment, { name: 'prod' });
+});
+
+test('GitLab CI approvals make the deploy job manual', () => {
+  const config = createGenerator().generateGitlabCi();
+
+  assert.ok(!config['approve-prod']);
+  assert.strictEqual(config['deploy-to-prod'].when, 'manual');
+});
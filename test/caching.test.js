@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with the given cache options
+ * @param {Object} cache - Cache options (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(cache) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    cache
+  });
+}
+
+/**
+ * Create a generator caching npm and Maven with a test and a cached BuildKit build stage
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createCachedGenerator() {
+  return createGenerator({ dependencies: ['npm', 'maven'], codeBuild: 's3' })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app', undefined, { builder: 'buildkit', cache: true });
+}
+
+test('test stages point the package managers at CACHE_DIR, or .cache in the workspace', () => {
+  const [stage] = createCachedGenerator().stages;
+
+  assert.deepStrictEqual(stage.cache, ['npm', 'maven']);
+  assert.strictEqual(stage.steps[0].command[2], [
+    'export npm_config_cache="${CACHE_DIR:-$(pwd)/.cache}/npm"',
+    'export MAVEN_OPTS="$MAVEN_OPTS -Dmaven.repo.local=${CACHE_DIR:-$(pwd)/.cache}/maven"',
+    'npm test'
+  ].join('\n'));
+});
+
+test('Jenkins and Tekton mount a persistent volume claim as CACHE_DIR', () => {
+  const pod = yaml.load(createCachedGenerator().generateJenkinsPodTemplate());
+  const node = pod.spec.containers.find(container => container.image === 'node:20');
+  const tekton = createGenerator({ dependencies: ['pip'] }).addTestStage('pytest', 'python:3.12').generateTektonPipeline();
+  const [task] = tekton.tasks;
+
+  assert.deepStrictEqual(node.env, [{ name: 'CACHE_DIR', value: '/cache' }]);
+  assert.deepStrictEqual(node.volumeMounts, [{ name: 'dependency-cache', mountPath: '/cache' }]);
+  assert.deepStrictEqual(pod.spec.volumes, [{ name: 'dependency-cache', persistentVolumeClaim: { claimName: 'my-app-cache' } }]);
+  assert.deepStrictEqual(task.spec.stepTemplate.env, [{ name: 'CACHE_DIR', value: '$(workspaces.cache.path)' }]);
+  assert.match(task.spec.steps[0].script, /export PIP_CACHE_DIR="\$\{CACHE_DIR:-\$\(pwd\)\/\.cache\}\/pip"\npytest\n/);
+  assert.deepStrictEqual(tekton.pipelineRun.spec.workspaces[1], { name: 'dependency-cache', persistentVolumeClaim: { claimName: 'my-app-cache' } });
+});
+
+test('GitHub Actions and GitLab CI cache the workspace directories keyed on the lock files', () => {
+  const generator = createCachedGenerator();
+  const step = generator.generateGithubActionsWorkflow().jobs.test.steps.find(candidate => candidate.name === 'Cache npm');
+
+  assert.strictEqual(step.uses, 'actions/cache@v4');
+  assert.deepStrictEqual(step.with, {
+    path: '.cache/npm',
+    key: "npm-${{ runner.os }}-${{ hashFiles('package-lock.json') }}",
+    'restore-keys': 'npm-${{ runner.os }}-'
+  });
+  assert.deepStrictEqual(generator.generateGitlabCi().test.cache, [
+    { key: { prefix: 'npm', files: ['package-lock.json'] }, paths: ['.cache/npm'] },
+    { key: { prefix: 'maven', files: ['pom.xml'] }, paths: ['.cache/maven'] }
+  ]);
+});
+
+test('cached Docker builds import and export the layer cache of each builder in the registry', () => {
+  const commandOf = builder => createGenerator()
+    .addDockerBuildStage('my-app', undefined, { builder, cache: 'registry.example.com/my-org/cache:my-app' })
+    .stages[0].steps[0].command[2];
+
+  assert.match(createCachedGenerator().stages[1].steps[0].command[2],
+    / --import-cache type=registry,ref=registry\.example\.com\/my-org\/my-app:buildcache --export-cache type=registry,ref=registry\.example\.com\/my-org\/my-app:buildcache,mode=max,image-manifest=true,oci-mediatypes=true /);
+  assert.match(commandOf('kaniko'), / --cache=true --cache-repo registry\.example\.com\/my-org\/cache$/);
+  assert.match(commandOf('docker'),
+    /--cache-from registry\.example\.com\/my-org\/cache:my-app --build-arg BUILDKIT_INLINE_CACHE=1 -t registry\.example\.com\/my-org\/cache:my-app .* && docker push registry\.example\.com\/my-org\/cache:my-app$/);
+});
+
+test('the CodeBuild buildspec uses the registry cache and a local cache directory of the S3 cache', () => {
+  const buildspec = yaml.load(createCachedGenerator().generateBuildSpec());
+  const build = buildspec.phases.build.commands.find(command => command.startsWith('docker buildx build'));
+
+  assert.ok(buildspec.phases.build.commands.includes('docker buildx create --use'));
+  assert.match(build, /--cache-from type=registry,ref=\$\{IMAGE_REPOSITORY\}:buildcache --cache-to type=registry,ref=\$\{IMAGE_REPOSITORY\}:buildcache,mode=max/);
+  assert.match(build, /--cache-from type=local,src=\/root\/\.buildx-cache --cache-to type=local,dest=\/root\/\.buildx-cache-new,mode=max --load \./);
+  assert.deepStrictEqual(buildspec.cache.paths, ['/root/.buildx-cache/**/*']);
+});
+
+test('cache.codeBuild sets the cache of the CodePipeline build project', () => {
+  const cacheOf = codeBuild => createGenerator({ codeBuild }).addDockerBuildStage('my-app')
+    .generateAwsCodePipeline().Resources.DockerBuildProject.Properties.Cache;
+
+  assert.deepStrictEqual(cacheOf('s3'), { Type: 'S3', Location: { 'Fn::Sub': '${ArtifactBucket}/build-cache' } });
+  assert.deepStrictEqual(cacheOf('local'), { Type: 'LOCAL', Modes: ['LOCAL_DOCKER_LAYER_CACHE'] });
+});
+
+test('unknown dependency and CodeBuild caches are rejected', () => {
+  assert.throws(() => createGenerator({ dependencies: ['yarn'] }), /Dependency cache yarn is not valid. Use one of: npm, maven, pip, gradle/);
+  assert.throws(() => createGenerator({ codeBuild: 'efs' }), /CodeBuild cache efs is not valid. Use one of: local, s3/);
+});
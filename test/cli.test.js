@@ -0,0 +1,152 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+let dir;
+
+/**
+ * Run the command-line interface in the temporary directory
+ * @param {...string} args - Arguments after the script name
+ * @returns {Object} - Object with status, stdout and stderr
+ */
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-cli-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('--help exits with 0', () => {
+  const { status, stdout } = run('--help');
+  assert.strictEqual(status, 0);
+  assert.match(stdout, /Usage: easy-k8s <command>/);
+});
+
+test('no command prints the usage and exits with 1', () => {
+  const { status, stdout } = run();
+  assert.strictEqual(status, 1);
+  assert.match(stdout, /Usage: easy-k8s <command>/);
+});
+
+test('an unknown command or argument exits with 1', () => {
+  let result = run('deploy');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /Unknown command deploy/);
+
+  result = run('generate', '--verbose');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /Unknown argument --verbose/);
+});
+
+test('a missing config file exits with 1', () => {
+  const { status, stderr } = run('validate');
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /Config file pipeline.yaml not found/);
+});
+
+test('init writes a config file that validates, and keeps an existing one', () => {
+  assert.strictEqual(run('init').status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'pipeline.yaml')));
+  assert.strictEqual(run('validate').status, 0);
+
+  const { status, stderr } = run('init');
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /already exists/);
+  assert.strictEqual(run('init', '--force').status, 0);
+});
+
+test('validate exits with 1 on errors', () => {
+  fs.writeFileSync(path.join(dir, 'pipeline.json'), JSON.stringify({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    stages: [{ name: 'unit-tests', steps: [{ name: 'test', image: 'node:20', command: 'npm test' }], runAfter: ['nope'] }]
+  }));
+
+  const { status, stderr } = run('validate', '--config', 'pipeline.json');
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /error {4}stages\[0\]\.runAfter: refers to unknown stage nope/);
+});
+
+test('generate writes the files of the given targets to --out', () => {
+  run('init');
+
+  const { status } = run('generate', '--target', 'jenkins,github', '--out', 'ci');
+  assert.strictEqual(status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'ci', 'Jenkinsfile')));
+  assert.ok(fs.existsSync(path.join(dir, 'ci', '.github', 'workflows')));
+  assert.ok(!fs.existsSync(path.join(dir, 'ci', '.gitlab-ci.yml')));
+});
+
+test('fromConfig rebuilds the generator described by toConfig', () => {
+  const generator = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev')
+    .addDeployStage('prod', { approval: true });
+
+  const copy = K8sPipelineGenerator.fromConfig(yaml.load(yaml.dump(generator.toConfig())));
+
+  assert.deepStrictEqual(copy.toConfig(), generator.toConfig());
+  assert.strictEqual(copy.generateJenkinsfile(), generator.generateJenkinsfile());
+});
+
+test('generate --diff exits with 1 until the files on disk match', () => {
+  run('init');
+
+  let result = run('generate', '--diff', '--target', 'github');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /^--- \/dev\/null$/m);
+  assert.ok(!fs.existsSync(path.join(dir, 'pipeline')), 'generate --diff should not write files');
+
+  assert.strictEqual(run('generate', '--target', 'github').status, 0);
+
+  result = run('generate', '--diff', '--target', 'github');
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.stdout, '');
+});
+
+test('generate refuses to overwrite files edited by hand without --force', () => {
+  run('init');
+  run('generate', '--target', 'jenkins');
+  const jenkinsfile = path.join(dir, 'pipeline', 'Jenkinsfile');
+  fs.appendFileSync(jenkinsfile, '// edited\n');
+
+  const { status, stderr } = run('generate', '--target', 'jenkins');
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /edited by hand/);
+  assert.match(fs.readFileSync(jenkinsfile, 'utf8'), /\/\/ edited\n$/);
+
+  assert.strictEqual(run('generate', '--target', 'jenkins', '--force').status, 0);
+  assert.doesNotMatch(fs.readFileSync(jenkinsfile, 'utf8'), /\/\/ edited/);
+});
+
+test('lint exits with 0 when the generated files pass, and with 1 on a finding of the failOn severity', () => {
+  run('init');
+  assert.strictEqual(run('lint', '--target', 'jenkins,github').status, 0);
+
+  const config = yaml.load(fs.readFileSync(path.join(dir, 'pipeline.yaml'), 'utf8'));
+  config.stages.push({ name: 'smoke', steps: [{ name: 'curl', image: 'curlimages/curl:latest', command: ['curl', '-f', 'http://example.com'] }] });
+  config.lint = { failOn: 'warning' };
+  fs.writeFileSync(path.join(dir, 'pipeline.yaml'), yaml.dump(config));
+
+  const { status, stderr } = run('lint', '--target', 'jenkins,github');
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /latest-image/);
+});
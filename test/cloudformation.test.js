@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator building to ECR and deploying to dev
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: '123456789012.dkr.ecr.eu-west-1.amazonaws.com',
+    ...options
+  })
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Get the statements of the inline policy of a role, keyed by statement ID
+ * @param {Object} template - CloudFormation template
+ * @param {string} role - Logical ID of the role
+ * @returns {Object} - Policy statements keyed by Sid
+ */
+function statementsOf(template, role) {
+  return template.Resources[role].Properties.Policies[0].PolicyDocument.Statement
+    .reduce((statements, statement) => ({ ...statements, [statement.Sid]: statement }), {});
+}
+
+test('the connection, cluster, account and region are template parameters', () => {
+  const template = createGenerator().generateAwsCodePipeline();
+
+  assert.deepStrictEqual(Object.keys(template.Parameters), ['ConnectionArn', 'ClusterName', 'AccountId', 'Region']);
+  assert.strictEqual(template.Parameters.ConnectionArn.Default, undefined);
+  assert.strictEqual(template.Parameters.ClusterName.Default, 'my-app');
+  assert.deepStrictEqual(template.Conditions.HasAccountId, { 'Fn::Not': [{ 'Fn::Equals': [{ Ref: 'AccountId' }, ''] }] });
+  assert.deepStrictEqual(template.Resources.Pipeline.Properties.Stages[0].Actions[0].Configuration.ConnectionArn, { Ref: 'ConnectionArn' });
+});
+
+test('the template holds no placeholders, fixed account IDs or managed policies', () => {
+  const text = JSON.stringify(createGenerator().generateAwsCodePipeline());
+
+  assert.doesNotMatch(text, /\{\{|123456789012|ManagedPolicyArns|FullAccess/);
+});
+
+test('the CodeBuild role may only push to the repository, use the bucket and write the logs of the pipeline', () => {
+  const statements = statementsOf(createGenerator().generateAwsCodePipeline(), 'CodeBuildServiceRole');
+
+  assert.deepStrictEqual(statements.WriteBuildLogs.Resource, [
+    { 'Fn::GetAtt': ['DockerBuildLogGroup', 'Arn'] },
+    { 'Fn::GetAtt': ['KubernetesDeployLogGroup', 'Arn'] }
+  ]);
+  assert.deepStrictEqual(statements.ReadWriteArtifacts.Resource, { 'Fn::Sub': '${ArtifactBucket.Arn}/*' });
+  assert.deepStrictEqual(statements.PushToRepository.Resource, {
+    'Fn::Sub': [
+      'arn:aws:ecr:${Region}:${RegistryAccount}:repository/my-app-repo',
+      { RegistryAccount: { 'Fn::If': ['HasAccountId', { Ref: 'AccountId' }, { Ref: 'AWS::AccountId' }] } }
+    ]
+  });
+  assert.strictEqual(statements.EcrLogin.Action, 'ecr:GetAuthorizationToken');
+  assert.deepStrictEqual(statements.DescribeClusters.Resource, [{ 'Fn::Sub': 'arn:aws:eks:${Region}:${AWS::AccountId}:cluster/${ClusterName}' }]);
+});
+
+test('the CodePipeline role may only run the projects of the pipeline and use its connection', () => {
+  const statements = statementsOf(createGenerator().generateAwsCodePipeline(), 'CodePipelineServiceRole');
+
+  assert.deepStrictEqual(statements.RunBuilds.Resource, [
+    { 'Fn::GetAtt': ['DockerBuildProject', 'Arn'] },
+    { 'Fn::GetAtt': ['KubernetesDeployProject', 'Arn'] }
+  ]);
+  assert.deepStrictEqual(statements.UseSourceConnection.Resource, { Ref: 'ConnectionArn' });
+});
+
+test('the artifact bucket is encrypted, private, expires artifacts and denies insecure transport', () => {
+  const template = createGenerator().generateAwsCodePipeline();
+  const bucket = template.Resources.ArtifactBucket.Properties;
+
+  assert.deepStrictEqual(bucket.BucketEncryption.ServerSideEncryptionConfiguration, [{ ServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]);
+  assert.ok(Object.values(bucket.PublicAccessBlockConfiguration).every(Boolean));
+  assert.strictEqual(bucket.LifecycleConfiguration.Rules[0].ExpirationInDays, 30);
+  assert.deepStrictEqual(template.Resources.ArtifactBucketPolicy.Properties.PolicyDocument.Statement[0].Condition, { Bool: { 'aws:SecureTransport': 'false' } });
+});
+
+test('each CodeBuild project writes to a log group of its own', () => {
+  const { Resources } = createGenerator().generateAwsCodePipeline();
+
+  assert.deepStrictEqual(Resources.DockerBuildLogGroup.Properties, { LogGroupName: '/aws/codebuild/my-app-docker-build', RetentionInDays: 30 });
+  assert.deepStrictEqual(Resources.DockerBuildProject.Properties.LogsConfig, { CloudWatchLogs: { Status: 'ENABLED', GroupName: { Ref: 'DockerBuildLogGroup' } } });
+  assert.deepStrictEqual(Resources.KubernetesDeployProject.Properties.LogsConfig, { CloudWatchLogs: { Status: 'ENABLED', GroupName: { Ref: 'KubernetesDeployLogGroup' } } });
+});
+
+test('an account ID of the registry becomes the default of the AccountId parameter', () => {
+  const template = createGenerator({ registry: { aws: { accountId: '210987654321' } } }).generateAwsCodePipeline();
+
+  assert.strictEqual(template.Parameters.AccountId.Default, '210987654321');
+});
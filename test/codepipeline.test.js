@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator building to ECR, with the given environments
+ * @param {Object} environments - Environments option (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(environments) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: '123456789012.dkr.ecr.eu-west-1.amazonaws.com',
+    environments
+  }).addDockerBuildStage('my-app');
+}
+
+/**
+ * Get the environment variables of the first action of a pipeline stage
+ * @param {Object} template - CloudFormation template
+ * @param {string} name - Pipeline stage name
+ * @returns {Object} - Variable values keyed by name
+ */
+function actionVariablesOf(template, name) {
+  const stage = template.Resources.Pipeline.Properties.Stages.find(candidate => candidate.Name === name);
+  const variables = JSON.parse(stage.Actions[0].Configuration.EnvironmentVariables['Fn::Sub']);
+  return variables.reduce((values, variable) => ({ ...values, [variable.name]: variable.value }), {});
+}
+
+/**
+ * Find a statement of the inline policy of the CodeBuild role
+ * @param {Object} template - CloudFormation template
+ * @param {string} sid - Statement ID
+ * @returns {Object} - Policy statement, if any
+ */
+function codeBuildStatementOf(template, sid) {
+  return template.Resources.CodeBuildServiceRole.Properties.Policies[0].PolicyDocument.Statement
+    .find(statement => statement.Sid === sid);
+}
+
+test('the pipeline has a deploy stage per deploy stage of the generator, in order', () => {
+  const template = createGenerator({ dev: {}, staging: {}, prod: {} })
+    .addDeployStage('dev')
+    .addDeployStage('staging')
+    .addDeployStage('prod')
+    .generateAwsCodePipeline();
+  const stages = template.Resources.Pipeline.Properties.Stages;
+
+  assert.deepStrictEqual(stages.map(stage => stage.Name), ['Source', 'Build', 'Deploy-dev', 'Deploy-staging', 'Deploy-prod']);
+  stages.slice(2).forEach(stage => {
+    assert.deepStrictEqual(stage.Actions[0].Configuration.ProjectName, { Ref: 'KubernetesDeployProject' });
+    assert.deepStrictEqual(stage.Actions[0].InputArtifacts, [{ Name: 'BuildOutput' }]);
+  });
+});
+
+test('without deploy stages the pipeline ends with the build', () => {
+  const template = createGenerator().generateAwsCodePipeline();
+
+  assert.deepStrictEqual(template.Resources.Pipeline.Properties.Stages.map(stage => stage.Name), ['Source', 'Build']);
+});
+
+test('the Jenkinsfile and the pipeline deploy to the same environments in the same order', () => {
+  const generator = createGenerator({ qa: {}, prod: {} }).addDeployStage('qa').addDeployStage('prod');
+  const deployStages = generator.generateAwsCodePipeline().Resources.Pipeline.Properties.Stages
+    .map(stage => stage.Name)
+    .filter(name => name.startsWith('Deploy-'));
+  const jenkinsStages = [...generator.generateJenkinsfile().matchAll(/stage\('deploy-to-([^']+)'\)/g)].map(match => match[1]);
+
+  assert.deepStrictEqual(deployStages, jenkinsStages.map(env => `Deploy-${env}`));
+});
+
+test('deploy actions of other AWS accounts assume the deploy role of the account', () => {
+  const template = createGenerator({
+    dev: {},
+    staging: { roleArn: 'arn:aws:iam::111111111111:role/deployer' },
+    prod: { accountId: '210987654321', cluster: 'prod-eks' }
+  })
+    .addDeployStage('dev')
+    .addDeployStage('staging')
+    .addDeployStage('prod')
+    .generateAwsCodePipeline();
+
+  assert.strictEqual(actionVariablesOf(template, 'Deploy-dev').DEPLOY_ROLE_ARN, undefined);
+  assert.strictEqual(actionVariablesOf(template, 'Deploy-staging').DEPLOY_ROLE_ARN, 'arn:aws:iam::111111111111:role/deployer');
+  assert.strictEqual(actionVariablesOf(template, 'Deploy-prod').DEPLOY_ROLE_ARN, 'arn:aws:iam::210987654321:role/my-app-deploy');
+  assert.strictEqual(actionVariablesOf(template, 'Deploy-prod').EKS_CLUSTER_NAME, 'prod-eks');
+
+  assert.deepStrictEqual(codeBuildStatementOf(template, 'AssumeCrossAccountDeployRoles').Resource, [
+    'arn:aws:iam::111111111111:role/deployer',
+    'arn:aws:iam::210987654321:role/my-app-deploy'
+  ]);
+  // Only clusters of the pipeline's own account are described with the CodeBuild role
+  assert.deepStrictEqual(codeBuildStatementOf(template, 'DescribeClusters').Resource, [
+    { 'Fn::Sub': 'arn:aws:eks:${Region}:${AWS::AccountId}:cluster/${ClusterName}' }
+  ]);
+});
+
+test('without other accounts the CodeBuild role assumes no roles', () => {
+  const template = createGenerator().addDeployStage('dev').generateAwsCodePipeline();
+
+  assert.strictEqual(codeBuildStatementOf(template, 'AssumeCrossAccountDeployRoles'), undefined);
+});
+
+test('the deploy buildspec assumes the deploy role before updating the kubeconfig', () => {
+  const buildspec = createGenerator({ prod: { accountId: '210987654321' } }).addDeployStage('prod').generateDeployBuildSpec();
+  const assume = buildspec.indexOf('aws sts assume-role');
+  const kubeconfig = buildspec.indexOf('aws eks update-kubeconfig');
+
+  assert.match(buildspec, /DEPLOY_ROLE_ARN: arn:aws:iam::210987654321:role\/my-app-deploy\n/);
+  assert.ok(assume > 0 && assume < kubeconfig);
+});
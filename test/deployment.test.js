@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with the given deployment options
+ * @param {Object} deploymentConfig - Deployment options (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(deploymentConfig) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    deploymentConfig
+  });
+}
+
+/**
+ * Generate the Deployment of a generator and parse it
+ * @param {K8sPipelineGenerator} generator - Generator to use
+ * @returns {Object} - Deployment manifest
+ */
+function deploymentOf(generator) {
+  return yaml.load(generator.generateK8sDeployment());
+}
+
+test('the default Deployment runs hardened: non-root, read-only root filesystem, no capabilities', () => {
+  const { spec } = deploymentOf(createGenerator()).spec.template;
+  const [container] = spec.containers;
+
+  assert.deepStrictEqual(spec.securityContext, {
+    runAsNonRoot: true,
+    runAsUser: 10001,
+    runAsGroup: 10001,
+    seccompProfile: { type: 'RuntimeDefault' }
+  });
+  assert.strictEqual(spec.automountServiceAccountToken, false);
+  assert.deepStrictEqual(container.securityContext, {
+    runAsNonRoot: true,
+    readOnlyRootFilesystem: true,
+    allowPrivilegeEscalation: false,
+    capabilities: { drop: ['ALL'] }
+  });
+  assert.deepStrictEqual(container.volumeMounts, [{ name: 'tmp', mountPath: '/tmp' }]);
+  assert.deepStrictEqual(spec.volumes, [{ name: 'tmp', emptyDir: {} }]);
+});
+
+test('the default Deployment has TCP probes, requests and a rolling update without downtime', () => {
+  const deployment = deploymentOf(createGenerator());
+  const [container] = deployment.spec.template.spec.containers;
+
+  assert.strictEqual(container.imagePullPolicy, 'IfNotPresent');
+  assert.deepStrictEqual(container.ports, [{ name: 'http', containerPort: 8080 }]);
+  assert.deepStrictEqual(container.resources, { requests: { cpu: '100m', memory: '128Mi' } });
+  assert.deepStrictEqual(container.livenessProbe, { tcpSocket: { port: 'http' }, initialDelaySeconds: 10, periodSeconds: 20 });
+  assert.deepStrictEqual(container.readinessProbe, { tcpSocket: { port: 'http' }, periodSeconds: 10 });
+  assert.strictEqual(container.startupProbe, undefined);
+  assert.deepStrictEqual(deployment.spec.strategy, { type: 'RollingUpdate', rollingUpdate: { maxSurge: '25%', maxUnavailable: 0 } });
+});
+
+test('resources keep their limits apart from the requests', () => {
+  const [container] = deploymentOf(createGenerator({
+    resources: { cpu: '250m', memory: '256Mi', limits: { memory: '512Mi' } }
+  })).spec.template.spec.containers;
+
+  assert.deepStrictEqual(container.resources, { requests: { cpu: '250m', memory: '256Mi' }, limits: { memory: '512Mi' } });
+});
+
+test('port, pull policy, probes and strategy follow the options', () => {
+  const deployment = deploymentOf(createGenerator({
+    port: 3000,
+    imagePullPolicy: 'Always',
+    replicas: 2,
+    livenessProbe: { path: '/healthz', initialDelaySeconds: 15 },
+    readinessProbe: false,
+    startupProbe: { path: '/started' },
+    strategy: { maxSurge: 1, maxUnavailable: 0 }
+  }));
+  const [container] = deployment.spec.template.spec.containers;
+
+  assert.strictEqual(deployment.spec.replicas, 2);
+  assert.strictEqual(container.imagePullPolicy, 'Always');
+  assert.deepStrictEqual(container.ports, [{ name: 'http', containerPort: 3000 }]);
+  assert.deepStrictEqual(container.livenessProbe.httpGet, { path: '/healthz', port: 'http' });
+  assert.strictEqual(container.livenessProbe.initialDelaySeconds, 15);
+  assert.strictEqual(container.readinessProbe, undefined);
+  assert.deepStrictEqual(container.startupProbe.httpGet, { path: '/started', port: 'http' });
+  assert.deepStrictEqual(deployment.spec.strategy.rollingUpdate, { maxSurge: 1, maxUnavailable: 0 });
+});
+
+test('env, volumes, security context and scheduling options are added to the pod', () => {
+  const { spec } = deploymentOf(createGenerator({
+    env: [{ name: 'LOG_LEVEL', value: 'info' }],
+    envFrom: [{ secretRef: { name: 'my-app-db' } }],
+    volumes: [{ name: 'cache', emptyDir: {} }],
+    volumeMounts: [{ name: 'cache', mountPath: '/cache' }],
+    securityContext: { readOnlyRootFilesystem: false },
+    serviceAccountName: 'my-app',
+    nodeSelector: { 'kubernetes.io/arch': 'amd64' },
+    tolerations: [{ key: 'dedicated', operator: 'Equal', value: 'apps', effect: 'NoSchedule' }]
+  })).spec.template;
+  const [container] = spec.containers;
+
+  assert.deepStrictEqual(container.env, [{ name: 'LOG_LEVEL', value: 'info' }]);
+  assert.deepStrictEqual(container.envFrom, [{ secretRef: { name: 'my-app-db' } }]);
+  assert.ok(container.volumeMounts.some(mount => mount.mountPath === '/cache'));
+  assert.ok(spec.volumes.some(volume => volume.name === 'cache'));
+  assert.strictEqual(container.securityContext.readOnlyRootFilesystem, false);
+  assert.strictEqual(container.securityContext.runAsNonRoot, true);
+  assert.strictEqual(spec.serviceAccountName, 'my-app');
+  assert.strictEqual(spec.automountServiceAccountToken, true);
+  assert.deepStrictEqual(spec.nodeSelector, { 'kubernetes.io/arch': 'amd64' });
+  assert.strictEqual(spec.tolerations[0].key, 'dedicated');
+});
+
+test('the Service targets the container port of the deployment options', () => {
+  const service = yaml.load(createGenerator({ port: 3000 }).generateK8sService());
+
+  assert.deepStrictEqual(service.spec.ports, [{ port: 80, targetPort: 3000, protocol: 'TCP' }]);
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with the given environments
+ * @param {Object|Array} environments - Environments option (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(environments) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    namespace: 'apps',
+    environments
+  });
+}
+
+/**
+ * Get the environment variables of a deploy action in the CodePipeline template
+ * @param {Object} template - CloudFormation template
+ * @param {string} environment - Environment name
+ * @returns {Object} - Variable values keyed by name
+ */
+function deployVariablesOf(template, environment) {
+  const stage = template.Resources.Pipeline.Properties.Stages.find(candidate => candidate.Name === `Deploy-${environment}`);
+  const variables = JSON.parse(stage.Actions[0].Configuration.EnvironmentVariables['Fn::Sub']);
+  return variables.reduce((values, variable) => ({ ...values, [variable.name]: variable.value }), {});
+}
+
+test('the default environments are dev, staging and prod with growing replica counts', () => {
+  const generator = createGenerator();
+
+  assert.deepStrictEqual(generator.environments, ['dev', 'staging', 'prod']);
+  assert.deepStrictEqual(['dev', 'staging', 'prod'].map(env => yaml.load(generator.generateK8sDeployment(undefined, undefined, undefined, env)).spec.replicas), [1, 2, 3]);
+});
+
+test('environments override the namespace, replicas, resources, service type and env', () => {
+  const generator = createGenerator({
+    qa: { namespace: 'qa', replicas: 2, serviceType: 'NodePort', env: { LOG_LEVEL: 'debug' } },
+    prod: { replicas: 5, resources: { cpu: '500m', memory: '1Gi' } }
+  });
+
+  const qa = yaml.load(generator.generateK8sDeployment(undefined, undefined, undefined, 'qa'));
+  assert.strictEqual(qa.metadata.namespace, 'qa');
+  assert.strictEqual(qa.spec.replicas, 2);
+  assert.deepStrictEqual(qa.spec.template.spec.containers[0].env, [{ name: 'LOG_LEVEL', value: 'debug' }]);
+  assert.strictEqual(yaml.load(generator.generateK8sService(80, undefined, undefined, 'qa')).spec.type, 'NodePort');
+
+  const prod = yaml.load(generator.generateK8sDeployment(undefined, undefined, undefined, 'prod'));
+  assert.strictEqual(prod.metadata.namespace, 'apps');
+  assert.strictEqual(prod.spec.replicas, 5);
+  assert.deepStrictEqual(prod.spec.template.spec.containers[0].resources.requests, { cpu: '500m', memory: '1Gi' });
+  assert.strictEqual(yaml.load(generator.generateK8sService(80, undefined, undefined, 'prod')).spec.type, 'ClusterIP');
+});
+
+test('environments can be listed by name, with or without overrides', () => {
+  const generator = createGenerator(['dev', { name: 'qa', replicas: 2 }]);
+
+  assert.deepStrictEqual(generator.environments, ['dev', 'qa']);
+  assert.strictEqual(generator.getEnvironmentConfig('qa').replicas, 2);
+  assert.strictEqual(generator.getEnvironmentConfig('dev').replicas, 1);
+});
+
+test('deploy stages exist only for defined environments', () => {
+  assert.throws(() => createGenerator().addDeployStage('qa'), /Environment qa is not valid. Use one of: dev, staging, prod/);
+  assert.doesNotThrow(() => createGenerator({ qa: {} }).addDeployStage('qa'));
+});
+
+test('deploy stages use the namespace and kube context of the environment', () => {
+  const generator = createGenerator({ qa: { namespace: 'qa', kubeContext: 'qa-cluster' }, prod: {} })
+    .addDeployStage('qa')
+    .addDeployStage('prod');
+  const [qa, prod] = generator.stages;
+
+  assert.deepStrictEqual(qa.env, [
+    { name: 'ENVIRONMENT', value: 'qa' },
+    { name: 'NAMESPACE', value: 'qa' },
+    { name: 'KUBE_CONTEXT', value: 'qa-cluster' }
+  ]);
+  assert.match(qa.steps[0].command[2], /kubectl apply -f k8s\/\$\{ENVIRONMENT\}\/ -n \$\{NAMESPACE\} --context \$\{KUBE_CONTEXT\}/);
+  assert.deepStrictEqual(prod.env, [{ name: 'ENVIRONMENT', value: 'prod' }, { name: 'NAMESPACE', value: 'apps' }]);
+  assert.doesNotMatch(prod.steps[0].command[2], /--context/);
+});
+
+test('CodePipeline deploy actions get the cluster, region and namespace of their environment', () => {
+  const template = createGenerator({ qa: { namespace: 'qa', cluster: 'qa-eks' }, prod: { region: 'eu-west-1' } })
+    .addDeployStage('qa')
+    .addDeployStage('prod')
+    .generateAwsCodePipeline();
+
+  assert.deepStrictEqual(
+    [deployVariablesOf(template, 'qa'), deployVariablesOf(template, 'prod')].map(({ ENVIRONMENT, NAMESPACE, AWS_REGION, EKS_CLUSTER_NAME }) =>
+      ({ ENVIRONMENT, NAMESPACE, AWS_REGION, EKS_CLUSTER_NAME })),
+    [
+      { ENVIRONMENT: 'qa', NAMESPACE: 'qa', AWS_REGION: '${Region}', EKS_CLUSTER_NAME: 'qa-eks' },
+      { ENVIRONMENT: 'prod', NAMESPACE: 'apps', AWS_REGION: 'eu-west-1', EKS_CLUSTER_NAME: '${ClusterName}' }
+    ]
+  );
+});
+
+test('saveToFiles writes the manifests of each environment with its overrides', () => {
+  const files = createGenerator({ dev: {}, prod: { replicas: 3, namespace: 'production' } })
+    .saveToFiles('out', { targets: [], dryRun: true });
+
+  const deployment = env => yaml.load(files[path.join('out', 'k8s', env, 'deployment.yaml')]);
+  assert.strictEqual(deployment('dev').spec.replicas, 1);
+  assert.strictEqual(deployment('prod').spec.replicas, 3);
+  assert.strictEqual(deployment('prod').metadata.namespace, 'production');
+  assert.strictEqual(yaml.load(files[path.join('out', 'k8s', 'prod', 'service.yaml')]).metadata.namespace, 'production');
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with a test, image build and two deploy stages
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator() {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev')
+    .addDeployStage('prod');
+}
+
+test('each stage becomes a job that needs the jobs of the stages before it', () => {
+  const { jobs } = createGenerator().generateGithubActionsWorkflow();
+
+  assert.deepStrictEqual(Object.keys(jobs), ['image-tag', 'test', 'docker-build', 'deploy-to-dev', 'deploy-to-prod']);
+  assert.deepStrictEqual(jobs.test.needs, ['image-tag']);
+  assert.deepStrictEqual(jobs['docker-build'].needs, ['image-tag', 'test']);
+  assert.deepStrictEqual(jobs['deploy-to-dev'].needs, ['image-tag', 'docker-build']);
+  assert.deepStrictEqual(jobs['deploy-to-prod'].needs, ['image-tag', 'deploy-to-dev']);
+});
+
+test('the workflow runs on pushes to the branch and by hand', () => {
+  const workflow = createGenerator().generateGithubActionsWorkflow();
+
+  assert.deepStrictEqual(workflow.on, { push: { branches: ['main'] }, workflow_dispatch: {} });
+  assert.deepStrictEqual(workflow.env, {
+    PROJECT_NAME: 'my-app',
+    DOCKER_REGISTRY: 'registry.example.com/my-org',
+    NAMESPACE: 'default'
+  });
+});
+
+test('deploy jobs use GitHub environments and a kubeconfig from secrets', () => {
+  const job = createGenerator().generateGithubActionsWorkflow().jobs['deploy-to-dev'];
+
+  assert.deepStrictEqual(job.environment, { name: 'dev' });
+  assert.strictEqual(job.env.ENVIRONMENT, 'dev');
+  const configure = job.steps.find(step => step.name === 'Configure kubectl');
+  assert.deepStrictEqual(configure.env, { KUBECONFIG_DATA: '${{ secrets.KUBECONFIG }}' });
+  assert.match(job.steps[job.steps.length - 1].run, /kubectl apply -f k8s\/\$\{ENVIRONMENT\}\//);
+});
+
+test('approval stages get no job, and the deploy job needs the stage before the approval', () => {
+  const { jobs } = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addDeployStage('dev')
+    .addDeployStage('prod', { approval: { approvers: ['release-managers'] } })
+    .generateGithubActionsWorkflow();
+
+  assert.ok(!jobs['approve-prod']);
+  assert.deepStrictEqual(jobs['deploy-to-prod'].environment, { name: 'prod' });
+  assert.ok(jobs['deploy-to-prod'].needs.includes('deploy-to-dev'));
+});
+
+test('a job of one image runs in a container, and steps of other images run in docker run', () => {
+  const { jobs } = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addTestStage('npm test', 'node:20')
+    .addStage({
+      name: 'smoke',
+      environment: 'dev',
+      env: [{ name: 'BASE_URL', value: 'https://dev.example.com' }],
+      steps: [
+        { name: 'wait', image: 'busybox:1.36', command: ['sh', '-c', 'sleep 5'] },
+        { name: 'check', image: 'curlimages/curl:8.5.0', command: ['sh', '-c', "curl -f \"$BASE_URL/it's-up\""], env: [{ name: 'RETRIES', value: '3' }] }
+      ]
+    })
+    .generateGithubActionsWorkflow();
+
+  assert.strictEqual(jobs.test.container, 'node:20');
+  assert.strictEqual(jobs.test.steps[1].run, 'npm test');
+
+  assert.strictEqual(jobs.smoke.container, undefined);
+  const check = jobs.smoke.steps.find(step => step.name === 'check');
+  assert.strictEqual(check.run, [
+    'docker run --rm -v "$GITHUB_WORKSPACE:/workspace" -w /workspace',
+    '-e PROJECT_NAME -e DOCKER_REGISTRY -e NAMESPACE -e IMAGE_TAG -e BASE_URL -e RETRIES',
+    '-v "$HOME/.kube:/kube:ro" -e KUBECONFIG=/kube/config',
+    `--entrypoint sh curlimages/curl:8.5.0 -c 'curl -f "$BASE_URL/it'\\''s-up"'`
+  ].join(' '));
+  assert.deepStrictEqual(check.env, { RETRIES: '3' });
+});
+
+test('the image build job builds and pushes with the image tag of the workflow', () => {
+  const job = createGenerator().generateGithubActionsWorkflow().jobs['docker-build'];
+  const build = job.steps.find(step => step.uses === 'docker/build-push-action@v5');
+
+  assert.strictEqual(build.with.tags, 'registry.example.com/my-org/my-app:${{ env.IMAGE_TAG }}');
+  assert.strictEqual(build.with.push, true);
+  assert.strictEqual(build.with.file, './Dockerfile');
+  assert.ok(job.steps.some(step => step.uses === 'docker/login-action@v3'));
+});
+
+test('saveToFiles writes the workflow of the project', () => {
+  const files = createGenerator().saveToFiles('out', { targets: ['github'], dryRun: true });
+
+  assert.match(files[path.join('out', '.github', 'workflows', 'my-app.yml')], /^# Generated by easy-k8s\./);
+});
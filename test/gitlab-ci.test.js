@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with a test, image build and two deploy stages
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    ...options
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('web')
+    .addDeployStage('dev')
+    .addDeployStage('prod');
+}
+
+/**
+ * Get the script of a GitLab job as one string
+ * @param {Object} job - GitLab job
+ * @returns {string} - Script lines joined by newlines
+ */
+function scriptOf(job) {
+  return job.script.join('\n');
+}
+
+test('each stage becomes a GitLab stage and a job running the step image and command', () => {
+  const config = createGenerator({ dockerRegistry: 'registry.example.com/my-org' }).generateGitlabCi();
+
+  assert.deepStrictEqual(config.stages, ['test', 'docker-build', 'deploy-to-dev', 'deploy-to-prod']);
+  assert.deepStrictEqual(config.test, { stage: 'test', image: 'node:20', script: ['npm test'] });
+  assert.deepStrictEqual(config.variables, { PROJECT_NAME: 'my-app', NAMESPACE: 'default' });
+});
+
+test('parallel stages share a GitLab stage', () => {
+  const config = new K8sPipelineGenerator({ projectName: 'my-app', repoUrl: 'https://github.com/my-org/my-app' })
+    .addStage({ name: 'lint', parallel: true, steps: [{ name: 'lint', image: 'node:20', command: ['npm', 'run', 'lint'] }] })
+    .addStage({ name: 'unit', parallel: true, steps: [{ name: 'unit', image: 'node:20', command: ['npm', 'test'] }] })
+    .generateGitlabCi();
+
+  assert.deepStrictEqual(config.stages, ['lint + unit']);
+  assert.strictEqual(config.lint.stage, 'lint + unit');
+  assert.strictEqual(config.unit.stage, 'lint + unit');
+});
+
+test('without a registry the image build pushes to the GitLab container registry', () => {
+  const config = createGenerator().generateGitlabCi();
+  const build = scriptOf(config['docker-build']);
+
+  assert.ok(!config['docker-build:registry-login'], 'no ECR login job');
+  assert.match(build, /--destination \$CI_REGISTRY_IMAGE\/web:\$\{IMAGE_TAG\}/);
+  assert.match(build, /printf '%s:%s' "\$CI_REGISTRY_USER" "\$CI_REGISTRY_PASSWORD"/);
+  assert.match(build, /"\$CI_REGISTRY" "\$AUTH"/);
+  assert.doesNotMatch(build, /REGISTRY_USERNAME/);
+
+  assert.match(scriptOf(config['deploy-to-dev']), /IMAGE_PLACEHOLDER\|\$CI_REGISTRY_IMAGE\/web:\$\{IMAGE_TAG\}\|/);
+});
+
+test('without a registry the image scan reads the image from the GitLab container registry', () => {
+  const config = new K8sPipelineGenerator({ projectName: 'my-app', repoUrl: 'https://github.com/my-org/my-app' })
+    .addDockerBuildStage('web')
+    .addSecurityScanStage({ image: true })
+    .generateGitlabCi();
+  const scan = scriptOf(config['image-scan']);
+
+  assert.ok(!Object.keys(config).some(job => job.includes('registry-login')));
+  assert.match(scan, /"\$CI_REGISTRY_USER" "\$CI_REGISTRY_PASSWORD"/);
+  assert.match(scan, /trivy image .* \$CI_REGISTRY_IMAGE\/web:\$\{IMAGE_TAG\}$/m);
+});
+
+test('the GitLab container registry is only the default of GitLab CI', () => {
+  const generator = createGenerator();
+
+  assert.throws(() => generator.generateJenkinsfile(), /dockerRegistry: must be set/);
+  assert.ok(generator.saveToFiles('out', { targets: ['gitlab'], dryRun: true }));
+  assert.throws(() => generator.saveToFiles('out', { targets: ['gitlab', 'github'], dryRun: true }), /dockerRegistry: must be set/);
+});
+
+test('a configured registry is pushed to with the REGISTRY_USERNAME and REGISTRY_PASSWORD variables', () => {
+  const config = createGenerator({ dockerRegistry: 'registry.example.com/my-org' }).generateGitlabCi();
+  const build = scriptOf(config['docker-build']);
+
+  assert.match(build, /--destination registry\.example\.com\/my-org\/web:\$\{IMAGE_TAG\}/);
+  assert.match(build, /"\$REGISTRY_USERNAME" "\$REGISTRY_PASSWORD"/);
+  assert.doesNotMatch(build, /CI_REGISTRY/);
+});
+
+test('ECR builds get a login job handing its Docker config to the build', () => {
+  const config = createGenerator({ dockerRegistry: '123456789012.dkr.ecr.eu-west-1.amazonaws.com' }).generateGitlabCi();
+
+  assert.deepStrictEqual(config['docker-build:registry-login'].artifacts, { paths: ['.docker/'], expire_in: '1 hour' });
+  assert.deepStrictEqual(config['docker-build'].needs, ['docker-build:registry-login', 'image-tag']);
+});
+
+test('deploy jobs get their environment, and prod is a manual job', () => {
+  const config = createGenerator({ dockerRegistry: 'registry.example.com/my-org' }).generateGitlabCi();
+
+  assert.deepStrictEqual(config['deploy-to-dev'].environment, { name: 'dev' });
+  assert.strictEqual(config['deploy-to-dev'].when, undefined);
+  assert.deepStrictEqual(config['deploy-to-prod'].environment, { name: 'prod' });
+  assert.strictEqual(config['deploy-to-prod'].when, 'manual');
+  assert.strictEqual(config['deploy-to-prod'].allow_failure, false);
+});
+
+test('only the first job of a chained deploy is manual, and it hands its outputs to the next', () => {
+  const config = createGenerator({ dockerRegistry: 'registry.example.com/my-org', layout: 'kustomize' })
+    .addApprovalStage('staging')
+    .addDeployStage('staging')
+    .generateGitlabCi();
+
+  ['prod', 'staging'].forEach(env => {
+    const setImage = config[`deploy-to-${env}:set-image`];
+    const apply = config[`deploy-to-${env}:kubectl-apply`];
+
+    assert.strictEqual(setImage.when, 'manual');
+    assert.strictEqual(apply.when, undefined);
+    assert.deepStrictEqual(apply.needs, [`deploy-to-${env}:set-image`, 'image-tag']);
+    assert.deepStrictEqual(setImage.artifacts, { paths: ['k8s/overlays/${ENVIRONMENT}/kustomization.yaml'], expire_in: '1 hour' });
+  });
+});
+
+test('saveToFiles writes .gitlab-ci.yml', () => {
+  const files = createGenerator().saveToFiles('out', { targets: ['gitlab'], dryRun: true });
+
+  assert.match(files[path.join('out', '.gitlab-ci.yml')], /^# Generated by easy-k8s\./);
+});
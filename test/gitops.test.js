@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Files gitops deploy stages set the image of dev in, by layout
+ */
+const IMAGE_FILES = {
+  manifests: path.join('k8s', 'dev', 'deployment.yaml'),
+  helm: path.join('helm', 'my-app', 'values-dev.yaml'),
+  kustomize: path.join('k8s', 'overlays', 'dev', 'kustomization.yaml')
+};
+
+/**
+ * Create a generator in the gitops deploy mode with a dev deploy stage
+ * @param {Object} options - Constructor options to add
+ * @param {Object} gitops - GitOps options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}, gitops = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    deployMode: 'gitops',
+    gitops: { repoUrl: 'https://github.com/my-org/config', ...gitops },
+    ...options
+  }).addDeployStage('dev');
+}
+
+/**
+ * Run the image update of a gitops deploy stage on a checkout of the config repository
+ * @param {K8sPipelineGenerator} generator - Generator of the deploy stage
+ * @param {string} dir - Config repository checkout
+ * @param {string} image - Image to deploy
+ */
+function bumpImage(generator, dir, image) {
+  const commands = generator.getGitOpsCommands('unused');
+  const update = commands.slice(commands.indexOf('cd gitops-config') + 1, commands.indexOf('git add -A'));
+  execFileSync('sh', ['-c', update.join('\n')], { cwd: dir, env: { ...process.env, ENVIRONMENT: 'dev', IMAGE: image } });
+}
+
+test('Argo CD Applications sync the directory of each environment from the config repository', () => {
+  const files = createGenerator().generateGitOpsResources();
+  const application = yaml.load(files['application-dev.yaml']);
+
+  assert.deepStrictEqual(Object.keys(files), ['application-dev.yaml', 'application-staging.yaml', 'application-prod.yaml']);
+  assert.strictEqual(application.kind, 'Application');
+  assert.deepStrictEqual(application.spec.source, { repoURL: 'https://github.com/my-org/config', targetRevision: 'main', path: 'k8s/dev' });
+  assert.deepStrictEqual(application.spec.syncPolicy.automated, { prune: true, selfHeal: true });
+});
+
+test('Flux gets a GitRepository and one Kustomization per environment', () => {
+  const files = createGenerator({}, { tool: 'flux', path: 'apps/my-app' }).generateGitOpsResources();
+  const kustomization = yaml.load(files['kustomization-prod.yaml']);
+
+  assert.strictEqual(yaml.load(files['git-repository.yaml']).spec.url, 'https://github.com/my-org/config');
+  assert.strictEqual(kustomization.spec.path, './apps/my-app/k8s/prod');
+  assert.deepStrictEqual(kustomization.spec.sourceRef, { kind: 'GitRepository', name: 'my-app-config' });
+});
+
+test('deploy stages commit the image to the config repository instead of applying it', () => {
+  const generator = createGenerator();
+  const [step] = generator.stages[0].steps;
+  const jenkinsfile = generator.generateJenkinsfile();
+
+  assert.strictEqual(step.name, 'update-image');
+  assert.match(step.command[2], /^IMAGE=registry\.example\.com\/my-org\/my-app:\$\{IMAGE_TAG\}\n/);
+  assert.match(step.command[2], /git push origin HEAD:main/);
+  assert.doesNotMatch(step.command[2], /kubectl/);
+  assert.match(jenkinsfile, /withCredentials\(\[string\(credentialsId: 'gitops-token', variable: 'GITOPS_TOKEN'\)\]\)/);
+});
+
+test('the CodePipeline deploy project needs no cluster credentials', () => {
+  const generator = createGenerator();
+  const buildspec = yaml.load(generator.generateDeployBuildSpec());
+  const template = generator.generateAwsCodePipeline();
+
+  assert.deepStrictEqual(Object.keys(buildspec.phases), ['build', 'post_build']);
+  assert.doesNotMatch(JSON.stringify(buildspec), /kubectl|update-kubeconfig/);
+  assert.ok(template.Parameters.GitOpsTokenSecretArn);
+  assert.strictEqual(template.Parameters.ClusterName, undefined);
+  assert.doesNotMatch(JSON.stringify(template.Resources.CodeBuildServiceRole), /eks:/);
+});
+
+test('files with an image committed by a deploy stage regenerate without force and keep the image', () => {
+  Object.keys(IMAGE_FILES).forEach(layout => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-gitops-'));
+    const file = path.join(dir, IMAGE_FILES[layout]);
+    try {
+      createGenerator({ layout }).saveToFiles(dir, { targets: [] });
+      bumpImage(createGenerator({ layout }), dir, 'registry.example.com/my-org/my-app:abc123');
+      const bumped = fs.readFileSync(file, 'utf8');
+      assert.match(bumped, /abc123/, layout);
+
+      createGenerator({ layout }).saveToFiles(dir, { targets: [] });
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), bumped, layout);
+
+      createGenerator({ layout, deploymentConfig: { replicas: 4 } }).saveToFiles(dir, { targets: [] });
+      assert.match(fs.readFileSync(file, 'utf8'), /abc123/, layout);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test('other edits to a file the deploy stages commit the image to still count as edits by hand', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-gitops-'));
+  const file = path.join(dir, IMAGE_FILES.manifests);
+  try {
+    createGenerator().saveToFiles(dir, { targets: [] });
+    bumpImage(createGenerator(), dir, 'registry.example.com/my-org/my-app:abc123');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('imagePullPolicy: IfNotPresent', 'imagePullPolicy: Always'));
+
+    assert.throws(() => createGenerator().saveToFiles(dir, { targets: [] }), error => {
+      assert.deepStrictEqual(error.files, [file]);
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the kubectl deploy mode keeps the image lines in the checksum', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-gitops-'));
+  const file = path.join(dir, IMAGE_FILES.manifests);
+  const generator = () => createGenerator({ deployMode: 'kubectl' });
+  try {
+    generator().saveToFiles(dir, { targets: [] });
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('IMAGE_PLACEHOLDER', 'registry.example.com/my-org/my-app:abc123'));
+
+    assert.throws(() => generator().saveToFiles(dir, { targets: [] }), /Files were edited by hand/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with the Helm layout
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    layout: 'helm',
+    ...options
+  });
+}
+
+test('the chart is named after the project', () => {
+  const chart = yaml.load(createGenerator().generateHelmChart()['Chart.yaml']);
+
+  assert.strictEqual(chart.apiVersion, 'v2');
+  assert.strictEqual(chart.name, 'my-app');
+  assert.strictEqual(chart.type, 'application');
+});
+
+test('values.yaml holds the image, service and pod settings of the base deployment', () => {
+  const values = yaml.load(createGenerator({ deploymentConfig: { replicas: 2, port: 8080 } }).generateHelmChart()['values.yaml']);
+
+  assert.strictEqual(values.replicaCount, 2);
+  assert.strictEqual(values.image.repository, 'registry.example.com/my-org/my-app');
+  assert.deepStrictEqual(values.service, { type: 'ClusterIP', port: 80, targetPort: 8080 });
+  assert.deepStrictEqual(values.resources, { requests: { cpu: '100m', memory: '128Mi' } });
+  assert.strictEqual(values.ingress.enabled, false);
+  assert.strictEqual(values.autoscaling.enabled, false);
+});
+
+test('each environment gets a values file with its overrides', () => {
+  const files = createGenerator({
+    environments: {
+      dev: {},
+      prod: { replicas: 4, serviceType: 'LoadBalancer', env: { LOG_LEVEL: 'warn' } }
+    }
+  }).generateHelmChart();
+
+  assert.deepStrictEqual(Object.keys(files).filter(file => file.startsWith('values-')), ['values-dev.yaml', 'values-prod.yaml']);
+  const prod = yaml.load(files['values-prod.yaml']);
+  assert.strictEqual(prod.replicaCount, 4);
+  assert.deepStrictEqual(prod.service, { type: 'LoadBalancer' });
+  assert.deepStrictEqual(prod.env, [{ name: 'LOG_LEVEL', value: 'warn' }]);
+  assert.strictEqual(yaml.load(files['values-dev.yaml']).replicaCount, 1);
+});
+
+test('the templates render the deployment and service from the values', () => {
+  const files = createGenerator().generateHelmChart();
+
+  assert.deepStrictEqual(
+    Object.keys(files).filter(file => file.startsWith('templates/')),
+    ['templates/deployment.yaml', 'templates/service.yaml', 'templates/configmap.yaml', 'templates/ingress.yaml', 'templates/hpa.yaml', 'templates/pdb.yaml']
+  );
+  assert.match(files['templates/deployment.yaml'], /replicas: \{\{ \.Values\.replicaCount \}\}/);
+  assert.match(files['templates/deployment.yaml'], /image: "\{\{ \.Values\.image\.repository \}\}/);
+  assert.match(files['templates/service.yaml'], /type: \{\{ \.Values\.service\.type \}\}/);
+});
+
+test('deploy stages run helm upgrade --install with the values file of the environment', () => {
+  const generator = createGenerator({ environments: { dev: { kubeContext: 'dev-cluster' } } }).addDeployStage('dev');
+  const [step] = generator.stages[0].steps;
+
+  assert.strictEqual(step.name, 'helm-upgrade');
+  assert.strictEqual(step.command[2], [
+    'helm upgrade --install my-app helm/my-app --namespace ${NAMESPACE} --kube-context ${KUBE_CONTEXT}',
+    '-f helm/my-app/values-${ENVIRONMENT}.yaml --set image.repository=registry.example.com/my-org/my-app --set image.tag=${IMAGE_TAG}',
+    '--wait --timeout 300s --atomic'
+  ].join(' '));
+});
+
+test('the deploy buildspec installs Helm and upgrades the release', () => {
+  const buildspec = createGenerator().addDeployStage('dev').generateDeployBuildSpec();
+
+  assert.match(buildspec, /get\.helm\.sh\/helm-v[\d.]+-linux-amd64\.tar\.gz/);
+  assert.match(buildspec, /helm upgrade --install my-app helm\/my-app --namespace \$\{NAMESPACE\}/);
+});
+
+test('saveToFiles writes the chart under helm/<projectName>/ instead of the plain manifests', () => {
+  const files = createGenerator().addDeployStage('dev').saveToFiles('out', { targets: ['jenkins'], dryRun: true });
+  const chartDir = path.join('out', 'helm', 'my-app');
+
+  ['Chart.yaml', 'values.yaml', 'values-dev.yaml', path.join('templates', 'deployment.yaml')].forEach(file =>
+    assert.ok(files[path.join(chartDir, file)], `${file} is missing`));
+  assert.ok(!Object.keys(files).some(file => file.startsWith(path.join('out', 'k8s', 'dev'))));
+  assert.match(files[path.join('out', 'Jenkinsfile')], /helm upgrade --install my-app helm\/my-app/);
+});
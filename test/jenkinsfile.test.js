@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator without stages
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator() {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  });
+}
+
+/**
+ * Create a custom stage of shell steps
+ * @param {string} name - Stage name
+ * @param {Object} options - Other stage fields, e.g. parallel or runAfter
+ * @param {...Array} steps - Image and script of each step
+ * @returns {Object} - Stage configuration
+ */
+function stageOf(name, options, ...steps) {
+  return {
+    name,
+    ...options,
+    steps: steps.map(([image, script], index) => ({ name: `${name}-${index}`, image, command: ['sh', '-c', script] }))
+  };
+}
+
+/**
+ * Get the names of the stages in a Jenkinsfile, in order
+ * @param {string} jenkinsfile - Jenkinsfile content
+ * @returns {Array} - Stage names
+ */
+function stageNamesOf(jenkinsfile) {
+  return [...jenkinsfile.matchAll(/stage\('([^']+)'\)/g)].map(match => match[1]);
+}
+
+/**
+ * Get the containers of the pod template of a Jenkinsfile
+ * @param {string} jenkinsfile - Jenkinsfile content
+ * @returns {Array} - Container specs
+ */
+function podContainersOf(jenkinsfile) {
+  return yaml.load(/yaml '''\n([\s\S]*?)'''/.exec(jenkinsfile)[1]).spec.containers;
+}
+
+test('every step of a stage is rendered in order, in the container of its image', () => {
+  const jenkinsfile = createGenerator()
+    .addStage(stageOf('checks', {}, ['node:20', 'npm ci'], ['node:20', 'npm run lint'], ['python:3.12', 'make docs']))
+    .generateJenkinsfile();
+
+  const npmCi = jenkinsfile.indexOf('npm ci');
+  const lint = jenkinsfile.indexOf('npm run lint');
+  const docs = jenkinsfile.indexOf('make docs');
+  assert.ok(npmCi > 0 && npmCi < lint && lint < docs);
+  assert.match(jenkinsfile, /container\('node'\) \{\n\s+sh '''\n\s+npm ci\n/);
+  assert.match(jenkinsfile, /container\('python'\) \{\n\s+sh '''\n\s+make docs\n/);
+});
+
+test('the pod template has one container for each distinct step image', () => {
+  const jenkinsfile = createGenerator()
+    .addTestStage('npm test', 'node:20')
+    .addBuildStage('npm run build', 'node:20')
+    .addStage(stageOf('docs', {}, ['python:3.12', 'make docs'], ['my-org/python:3.12', 'make publish']))
+    .generateJenkinsfile();
+
+  const names = podContainersOf(jenkinsfile).map(container => container.name);
+  assert.deepStrictEqual(names, ['jnlp', 'node', 'python', 'python-2']);
+
+  const referenced = new Set([...jenkinsfile.matchAll(/container\('([^']+)'\)/g)].map(match => match[1]));
+  referenced.forEach(name => assert.ok(names.includes(name), `container ${name} is not in the pod template`));
+});
+
+test('consecutive parallel stages share a parallel block', () => {
+  const jenkinsfile = createGenerator()
+    .addStage(stageOf('lint', { parallel: true }, ['node:20', 'npm run lint']))
+    .addStage(stageOf('unit', { parallel: true }, ['node:20', 'npm test']))
+    .addStage(stageOf('package', {}, ['node:20', 'npm pack']))
+    .generateJenkinsfile();
+
+  assert.match(jenkinsfile, /stage\('lint \+ unit'\) \{\n\s+parallel \{\n\s+stage\('lint'\)/);
+  assert.deepStrictEqual(stageNamesOf(jenkinsfile), ['Checkout', 'lint + unit', 'lint', 'unit', 'package']);
+});
+
+test('stages run after the stages named in runAfter', () => {
+  const jenkinsfile = createGenerator()
+    .addStage(stageOf('deploy', { runAfter: ['build'] }, ['node:20', 'npm run deploy']))
+    .addStage(stageOf('build', { runAfter: 'test' }, ['node:20', 'npm run build']))
+    .addStage(stageOf('test', {}, ['node:20', 'npm test']))
+    .generateJenkinsfile();
+
+  assert.deepStrictEqual(stageNamesOf(jenkinsfile), ['Checkout', 'test', 'build', 'deploy']);
+});
+
+test('a parallel stage running after a member of the group starts a new group', () => {
+  const jenkinsfile = createGenerator()
+    .addStage(stageOf('lint', { parallel: true }, ['node:20', 'npm run lint']))
+    .addStage(stageOf('unit', { parallel: true }, ['node:20', 'npm test']))
+    .addStage(stageOf('e2e', { parallel: true, runAfter: ['unit'] }, ['node:20', 'npm run e2e']))
+    .addStage(stageOf('audit', { parallel: true }, ['node:20', 'npm audit']))
+    .generateJenkinsfile();
+
+  assert.deepStrictEqual(stageNamesOf(jenkinsfile), ['Checkout', 'lint + unit', 'lint', 'unit', 'e2e + audit', 'e2e', 'audit']);
+});
+
+test('unknown and circular runAfter stages are rejected', () => {
+  assert.throws(() => createGenerator()
+    .addStage(stageOf('build', { runAfter: ['nope'] }, ['node:20', 'npm run build']))
+    .generateJenkinsfile(), /runAfter: refers to unknown stage nope/);
+
+  assert.throws(() => createGenerator()
+    .addStage(stageOf('a', { runAfter: ['b'] }, ['node:20', 'true']))
+    .addStage(stageOf('b', { runAfter: ['a'] }, ['node:20', 'true']))
+    .generateJenkinsfile(), /[Cc]ircular/);
+});
+
+test('stage and step env are rendered as environment and withEnv blocks', () => {
+  const stage = stageOf('smoke', { env: [{ name: 'BASE_URL', value: 'https://dev.example.com' }] }, ['node:20', 'npm run smoke']);
+  stage.steps[0].env = [{ name: 'RETRIES', value: '3' }];
+
+  const jenkinsfile = createGenerator().addStage(stage).generateJenkinsfile();
+
+  assert.match(jenkinsfile, /stage\('smoke'\) \{\n\s+environment \{\n\s+BASE_URL = 'https:\/\/dev\.example\.com'\n\s+\}/);
+  assert.match(jenkinsfile, /withEnv\(\['RETRIES=3'\]\) \{\n\s+sh '''\n\s+npm run smoke/);
+});
+
+test('deploy stages carry their environment variables', () => {
+  const jenkinsfile = createGenerator().addDeployStage('dev').generateJenkinsfile();
+
+  assert.match(jenkinsfile, /stage\('deploy-to-dev'\) \{\n\s+environment \{\n\s+ENVIRONMENT = 'dev'/);
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+let dir;
+
+/**
+ * Create a generator whose prod environment adds the given resources
+ * @param {Object} prod - Overrides of the prod environment
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(prod) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    environments: { dev: {}, prod: { namespace: 'production', ...prod } }
+  });
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-resources-'));
+  fs.writeFileSync(path.join(dir, 'app.properties'), 'greeting=hello\n');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the Ingress routes the host to the service, with the ingress class and TLS of the environment', () => {
+  const ingress = yaml.load(createGenerator({
+    ingress: { host: 'my-app.example.com', className: 'nginx', tls: true, annotations: { 'cert-manager.io/cluster-issuer': 'letsencrypt' } }
+  }).generateK8sIngress(undefined, 'prod'));
+
+  assert.strictEqual(ingress.metadata.namespace, 'production');
+  assert.deepStrictEqual(ingress.metadata.annotations, { 'cert-manager.io/cluster-issuer': 'letsencrypt' });
+  assert.deepStrictEqual(ingress.spec, {
+    ingressClassName: 'nginx',
+    tls: [{ hosts: ['my-app.example.com'], secretName: 'my-app-tls' }],
+    rules: [{
+      host: 'my-app.example.com',
+      http: { paths: [{ path: '/', pathType: 'Prefix', backend: { service: { name: 'my-app', port: { number: 80 } } } }] }
+    }]
+  });
+});
+
+test('the HorizontalPodAutoscaler scales the deployment, which leaves its replicas to it', () => {
+  const generator = createGenerator({ autoscaling: { minReplicas: 3, maxReplicas: 10, targetMemoryUtilization: 75 } });
+  const hpa = yaml.load(generator.generateK8sHorizontalPodAutoscaler(undefined, 'prod'));
+
+  assert.deepStrictEqual(hpa.spec.scaleTargetRef, { apiVersion: 'apps/v1', kind: 'Deployment', name: 'my-app' });
+  assert.strictEqual(hpa.spec.minReplicas, 3);
+  assert.strictEqual(hpa.spec.maxReplicas, 10);
+  assert.deepStrictEqual(hpa.spec.metrics.map(metric => metric.resource.name), ['memory']);
+  assert.strictEqual(yaml.load(generator.generateK8sDeployment(undefined, undefined, undefined, 'prod')).spec.replicas, undefined);
+});
+
+test('the ConfigMap is built from key/values and files, exposed as env vars and mounted', () => {
+  const generator = createGenerator({
+    configMap: { data: { LOG_LEVEL: 'warn' }, files: { 'app.properties': path.join(dir, 'app.properties') } }
+  });
+  const configMap = yaml.load(generator.generateK8sConfigMap(undefined, 'prod'));
+  const container = yaml.load(generator.generateK8sDeployment(undefined, undefined, undefined, 'prod')).spec.template.spec.containers[0];
+
+  assert.strictEqual(configMap.metadata.name, 'my-app-config');
+  assert.deepStrictEqual(configMap.data, { LOG_LEVEL: 'warn', 'app.properties': 'greeting=hello\n' });
+  assert.deepStrictEqual(container.envFrom, [{ configMapRef: { name: 'my-app-config' } }]);
+  assert.ok(container.volumeMounts.some(mount => mount.name === 'config' && mount.mountPath === '/etc/my-app'));
+});
+
+test('Secret references become envFrom and secretKeyRef env vars', () => {
+  const container = yaml.load(createGenerator({
+    secretRefs: ['my-app-db', { name: 'API_KEY', secret: 'my-app-api', key: 'token' }]
+  }).generateK8sDeployment(undefined, undefined, undefined, 'prod')).spec.template.spec.containers[0];
+
+  assert.deepStrictEqual(container.envFrom, [{ secretRef: { name: 'my-app-db' } }]);
+  assert.deepStrictEqual(container.env, [{ name: 'API_KEY', valueFrom: { secretKeyRef: { name: 'my-app-api', key: 'token' } } }]);
+});
+
+test('the PodDisruptionBudget selects the pods of the app', () => {
+  const generator = createGenerator({ podDisruptionBudget: { maxUnavailable: 1 } });
+
+  assert.deepStrictEqual(yaml.load(generator.generateK8sPodDisruptionBudget(undefined, 'prod')).spec, {
+    maxUnavailable: 1,
+    selector: { matchLabels: { app: 'my-app' } }
+  });
+  assert.deepStrictEqual(yaml.load(generator.generateK8sPodDisruptionBudget(true)).spec.minAvailable, 1);
+});
+
+test('resources an environment does not configure cannot be generated for it', () => {
+  assert.throws(() => createGenerator({}).generateK8sIngress(undefined, 'dev'), /No ingress configured for environment dev/);
+});
+
+test('saveToFiles writes the resources of each environment next to its Deployment', () => {
+  const files = createGenerator({
+    ingress: { host: 'my-app.example.com' },
+    autoscaling: { maxReplicas: 5 },
+    configMap: { data: { LOG_LEVEL: 'warn' } },
+    podDisruptionBudget: true
+  }).saveToFiles('out', { targets: [], dryRun: true });
+
+  ['configmap.yaml', 'ingress.yaml', 'hpa.yaml', 'pdb.yaml'].forEach(file => {
+    assert.ok(files[path.join('out', 'k8s', 'prod', file)], `prod ${file} is missing`);
+    assert.ok(!files[path.join('out', 'k8s', 'dev', file)], `dev ${file} is not configured`);
+  });
+});
+
+test('the deploy buildspec applies the whole directory of the environment', () => {
+  const buildspec = createGenerator({ ingress: { host: 'my-app.example.com' } }).addDeployStage('prod').generateDeployBuildSpec();
+
+  assert.match(buildspec, /kubectl apply -f k8s\/\$\{ENVIRONMENT\}\/ -n \$\{NAMESPACE\}/);
+});
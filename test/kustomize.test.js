@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with the Kustomize layout
+ * @param {Object} environments - Environments option (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(environments) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    layout: 'kustomize',
+    environments
+  });
+}
+
+test('the base holds the deployment and service of the placeholder image', () => {
+  const files = createGenerator().generateKustomization();
+
+  assert.deepStrictEqual(yaml.load(files['base/kustomization.yaml']).resources, ['deployment.yaml', 'service.yaml']);
+  assert.strictEqual(yaml.load(files['base/deployment.yaml']).spec.template.spec.containers[0].image, 'IMAGE_PLACEHOLDER');
+  assert.strictEqual(yaml.load(files['base/service.yaml']).kind, 'Service');
+});
+
+test('each overlay sets the namespace and the image of its environment on top of the base', () => {
+  const files = createGenerator({ dev: {}, prod: { namespace: 'production' } }).generateKustomization();
+  const prod = yaml.load(files['overlays/prod/kustomization.yaml']);
+
+  assert.strictEqual(prod.namespace, 'production');
+  assert.deepStrictEqual(prod.resources, ['../../base']);
+  assert.strictEqual(prod.images[0].name, 'IMAGE_PLACEHOLDER');
+  assert.strictEqual(prod.images[0].newName, 'registry.example.com/my-org/my-app');
+  assert.strictEqual(yaml.load(files['overlays/dev/kustomization.yaml']).namespace, 'default');
+});
+
+test('overlays patch the replicas, resources and env of the deployment', () => {
+  const files = createGenerator({
+    prod: { replicas: 4, resources: { cpu: '500m', memory: '1Gi' }, env: { LOG_LEVEL: 'warn' } }
+  }).generateKustomization();
+  const patch = yaml.load(files['overlays/prod/deployment-patch.yaml']);
+
+  assert.deepStrictEqual(yaml.load(files['overlays/prod/kustomization.yaml']).patches, [{ path: 'deployment-patch.yaml' }]);
+  assert.strictEqual(patch.spec.replicas, 4);
+  assert.deepStrictEqual(patch.spec.template.spec.containers, [{
+    name: 'my-app',
+    resources: { requests: { cpu: '500m', memory: '1Gi' } },
+    env: [{ name: 'LOG_LEVEL', value: 'warn' }]
+  }]);
+});
+
+test('a service patch is added only for environments with another service type', () => {
+  const files = createGenerator({ dev: {}, prod: { serviceType: 'LoadBalancer' } }).generateKustomization();
+
+  assert.ok(!files['overlays/dev/service-patch.yaml']);
+  assert.strictEqual(yaml.load(files['overlays/prod/service-patch.yaml']).spec.type, 'LoadBalancer');
+  assert.deepStrictEqual(yaml.load(files['overlays/prod/kustomization.yaml']).patches, [
+    { path: 'deployment-patch.yaml' },
+    { path: 'service-patch.yaml' }
+  ]);
+});
+
+test('deploy stages set the image of the overlay and apply it with kubectl apply -k', () => {
+  const [setImage, apply] = createGenerator({ dev: { kubeContext: 'dev-cluster' } }).addDeployStage('dev').stages[0].steps;
+
+  assert.strictEqual(setImage.name, 'set-image');
+  assert.match(setImage.command[2], /cd k8s\/overlays\/\$\{ENVIRONMENT\} && kustomize edit set image IMAGE_PLACEHOLDER=\$IMAGE/);
+  assert.deepStrictEqual(setImage.outputs, ['k8s/overlays/${ENVIRONMENT}/kustomization.yaml']);
+  assert.strictEqual(apply.name, 'kubectl-apply');
+  assert.match(apply.command[2], /kubectl apply -k k8s\/overlays\/\$\{ENVIRONMENT\} --context \$\{KUBE_CONTEXT\}/);
+});
+
+test('saveToFiles writes the base and overlays under k8s/', () => {
+  const files = createGenerator({ dev: {}, prod: {} }).saveToFiles('out', { targets: [], dryRun: true });
+
+  ['base', path.join('overlays', 'dev'), path.join('overlays', 'prod')].forEach(dir =>
+    assert.ok(files[path.join('out', 'k8s', dir, 'kustomization.yaml')], `${dir} is missing`));
+  assert.ok(!files[path.join('out', 'k8s', 'dev', 'deployment.yaml')]);
+});
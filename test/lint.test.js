@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with a test, image build and deploy stage
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Get the findings of one rule
+ * @param {K8sPipelineGenerator} generator - Generator to lint
+ * @param {string} rule - Rule id
+ * @param {Object} options - lint() options (optional)
+ * @returns {Array} - Findings of the rule
+ */
+function findingsOf(generator, rule, options) {
+  return generator.lint(options).findings.filter(finding => finding.rule === rule);
+}
+
+test('the default output of every layout and deploy mode uses no latest images and no unpinned downloads', () => {
+  const configurations = [
+    { layout: 'manifests' },
+    { layout: 'helm' },
+    { layout: 'kustomize' },
+    { deployMode: 'gitops', gitops: { repoUrl: 'https://github.com/my-org/config' } }
+  ];
+
+  configurations.forEach(options => {
+    const generator = createGenerator(options)
+      .addDeployStage('prod', { strategy: options.layout === 'manifests' ? 'blue-green' : 'rolling' });
+    assert.deepStrictEqual(findingsOf(generator, 'latest-image'), [], JSON.stringify(options));
+    assert.deepStrictEqual(findingsOf(generator, 'unpinned-download'), [], JSON.stringify(options));
+    assert.deepStrictEqual(findingsOf(generator, 'broad-iam-policy'), [], JSON.stringify(options));
+  });
+});
+
+test('deploy steps, the rollback step and the Jenkins pod template run a pinned kubectl', () => {
+  const generator = createGenerator({ layout: 'kustomize' });
+  const stage = generator.stages.find(candidate => candidate.environment);
+
+  assert.ok(stage.steps.some(step => step.image === 'bitnami/kubectl:1.29.2'));
+  assert.strictEqual(stage.rollback.image, 'bitnami/kubectl:1.29.2');
+  assert.match(generator.generateJenkinsPodTemplate(), /image: bitnami\/kubectl:1\.29\.2\n/);
+});
+
+test('Helm values and Kustomize overlays render the image tag of the pipeline instead of latest', () => {
+  const helm = createGenerator({ layout: 'helm' }).generateHelmChart();
+  const kustomize = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    layout: 'kustomize'
+  }).addDockerBuildStage('my-app', '1.4.0').generateKustomization();
+
+  assert.match(helm['values.yaml'], /^ {2}tag: \$\{IMAGE_TAG\}$/m);
+  assert.match(kustomize['overlays/dev/kustomization.yaml'], /^ {4}newTag: 1\.4\.0$/m);
+});
+
+test('latest images of custom stages are reported', () => {
+  const generator = createGenerator().addStage({
+    name: 'custom',
+    steps: [{ name: 'check', image: 'alpine:latest', command: ['sh', '-c', 'true'] }]
+  });
+
+  assert.deepStrictEqual(findingsOf(generator, 'latest-image', { targets: ['jenkins'] }), [{
+    rule: 'latest-image',
+    severity: 'warning',
+    path: 'Jenkinsfile',
+    message: 'alpine:latest uses the mutable latest tag'
+  }]);
+});
+
+test('privileged builders and Docker socket mounts are errors', () => {
+  const dind = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  }).addDockerBuildStage('my-app', undefined, { builder: 'docker' });
+  const socket = createGenerator({
+    deploymentConfig: {
+      volumes: [{ name: 'docker', hostPath: { path: '/var/run/docker.sock' } }],
+      volumeMounts: [{ name: 'docker', mountPath: '/var/run/docker.sock' }]
+    }
+  });
+
+  assert.ok(findingsOf(dind, 'privileged-container', { targets: ['jenkins'] }).every(finding => finding.severity === 'error'));
+  assert.ok(findingsOf(dind, 'privileged-container', { targets: ['jenkins'] }).length > 0);
+  assert.ok(findingsOf(socket, 'docker-socket', { targets: [] }).some(finding => finding.path === path.join('k8s', 'dev', 'deployment.yaml')));
+});
+
+test('missing resource limits are warnings until limits are set', () => {
+  assert.ok(findingsOf(createGenerator(), 'missing-resource-limits', { targets: [] }).length > 0);
+  assert.deepStrictEqual(findingsOf(createGenerator({
+    deploymentConfig: { resources: { cpu: '100m', memory: '128Mi', limits: { cpu: '1', memory: '256Mi' } } }
+  }), 'missing-resource-limits', { targets: [] }), []);
+});
+
+test('lint.rules changes the severity of rules or turns them off', () => {
+  const generator = createGenerator({ lint: { rules: { 'missing-resource-limits': 'error' } } });
+  const off = createGenerator({ lint: { rules: { 'missing-resource-limits': 'off' } } });
+
+  assert.ok(findingsOf(generator, 'missing-resource-limits', { targets: [] }).every(finding => finding.severity === 'error'));
+  assert.deepStrictEqual(findingsOf(off, 'missing-resource-limits', { targets: [] }), []);
+});
+
+test('custom rules get the parsed documents of the generated files', () => {
+  const generator = createGenerator().addLintRule({
+    id: 'single-replica',
+    severity: 'error',
+    description: 'Deployments must run more than one replica',
+    check: ({ documents }) => documents
+      .filter(({ document }) => document && document.kind === 'Deployment' && document.spec.replicas < 2)
+      .map(({ file }) => ({ path: file, message: 'runs a single replica' }))
+  });
+
+  // staging and prod run more replicas by default
+  assert.deepStrictEqual(findingsOf(generator, 'single-replica', { targets: [] }), [{
+    rule: 'single-replica',
+    severity: 'error',
+    path: path.join('k8s', 'dev', 'deployment.yaml'),
+    message: 'runs a single replica'
+  }]);
+});
+
+test('findings of the failOn severity fail lint and make saveToFiles throw', () => {
+  const generator = createGenerator({ lint: { failOn: 'warning' } });
+
+  assert.strictEqual(generator.lint({ targets: [] }).passed, false);
+  assert.strictEqual(generator.lint({ targets: [], failOn: 'error' }).passed, true);
+  assert.throws(() => generator.saveToFiles('out', { targets: [], dryRun: true }), error => {
+    assert.match(error.message, /^Lint findings of severity warning or higher:\n {2}warning missing-resource-limits /);
+    assert.ok(error.findings.length > 0);
+    return true;
+  });
+});
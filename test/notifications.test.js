@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Channels of the tests, each with its own events
+ */
+const NOTIFICATIONS = [
+  { type: 'slack', events: ['failed', 'succeeded'] },
+  { type: 'email', to: ['oncall@example.com'] },
+  { type: 'webhook', url: 'https://hooks.example.com/ci', events: ['started', 'awaiting-approval'] }
+];
+
+/**
+ * Create a generator notifying the given channels with a build and dev deploy stage
+ * @param {Array} notifications - Notification channels
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(notifications = NOTIFICATIONS) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    notifications
+  })
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Get the block of a post condition of the Jenkinsfile
+ * @param {string} jenkinsfile - Generated Jenkinsfile
+ * @param {string} condition - Post condition
+ * @returns {string} - Lines of the post condition
+ */
+function postConditionOf(jenkinsfile, condition) {
+  const post = jenkinsfile.slice(jenkinsfile.lastIndexOf('\n  post {'));
+  const start = post.indexOf(`\n    ${condition} {`);
+  return post.slice(start, post.indexOf('\n    }', start));
+}
+
+/**
+ * Run the curl command of a Jenkins webhook notification with a curl stub
+ * @param {string} jenkinsfile - Generated Jenkinsfile
+ * @param {string} curl - Body of the curl stub, which gets the curl arguments
+ * @returns {{status: number, stdout: string, stderr: string}} - Exit status and output of the command
+ */
+function runNotification(jenkinsfile, curl) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-notify-'));
+  // Groovy ''' strings unescape \\ and \'
+  const command = jenkinsfile.match(/^\s+(curl .*)$/m)[1].replace(/\\([\\'])/g, '$1');
+  try {
+    fs.writeFileSync(path.join(dir, 'curl'), `#!/bin/sh\n${curl}\n`, { mode: 0o755 });
+    const env = {
+      ...process.env,
+      PATH: `${dir}${path.delimiter}${process.env.PATH}`,
+      WEBHOOK_URL: 'https://hooks.example.com/ci',
+      JOB_NAME: 'my-app',
+      BUILD_NUMBER: '7',
+      BUILD_URL: 'https://jenkins.example.com/job/my-app/7/'
+    };
+    const { status, stdout, stderr } = spawnSync('sh', ['-c', command], { env, encoding: 'utf8' });
+    return { status, stdout, stderr };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('Jenkins notifies each channel of its own events in the post conditions', () => {
+  const jenkinsfile = createGenerator().generateJenkinsfile();
+  const success = postConditionOf(jenkinsfile, 'success');
+  const failure = postConditionOf(jenkinsfile, 'failure');
+
+  assert.match(success, /credentialsId: 'slack-webhook'/);
+  assert.match(success, /\{\\\\"text\\\\": \\\\"my-app pipeline succeeded: \$JOB_NAME #\$BUILD_NUMBER \$BUILD_URL\\\\"\}/);
+  assert.doesNotMatch(success, /mail to:|notification-webhook/);
+  assert.match(failure, /credentialsId: 'slack-webhook'/);
+  assert.match(failure, /mail to: 'oncall@example\.com', subject: 'my-app pipeline failed: ' \+ env\.JOB_NAME/);
+  assert.doesNotMatch(failure, /notification-webhook/);
+});
+
+test('Jenkins notifies started in the checkout and awaiting-approval before the input', () => {
+  const jenkinsfile = createGenerator().addApprovalStage('prod').addDeployStage('prod').generateJenkinsfile();
+  const checkout = jenkinsfile.slice(jenkinsfile.indexOf("stage('Checkout')"), jenkinsfile.indexOf('checkout scm'));
+  const approval = jenkinsfile.slice(jenkinsfile.indexOf("stage('approve-prod')"), jenkinsfile.indexOf('input message:'));
+
+  assert.match(checkout, /\\\\"event\\\\": \\\\"started\\\\"/);
+  assert.match(approval, /podTemplate \{\n\s+node\(POD_LABEL\) \{\n\s+withCredentials\(\[string\(credentialsId: 'notification-webhook'/);
+  assert.match(approval, /\\\\"event\\\\": \\\\"awaiting-approval\\\\", \\\\"message\\\\": \\\\"my-app awaiting approval: Deploy my-app to prod\?\\\\"/);
+});
+
+test('webhook channels post a JSON object describing the event', () => {
+  const jenkinsfile = createGenerator([{ type: 'webhook', events: ['failed'] }]).generateJenkinsfile();
+  const { status, stdout } = runNotification(jenkinsfile, 'printf \'%s\' "$7"');
+
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(JSON.parse(stdout), {
+    project: 'my-app',
+    event: 'failed',
+    message: 'my-app pipeline failed',
+    job: 'my-app',
+    build: '7',
+    url: 'https://jenkins.example.com/job/my-app/7/'
+  });
+});
+
+test('notifications that cannot be sent are logged without failing the pipeline', () => {
+  const jenkinsfile = createGenerator([{ type: 'teams', credentialsId: 'teams-oncall' }, { type: 'email', to: ['oncall@example.com'] }])
+    .generateJenkinsfile();
+
+  assert.deepStrictEqual(runNotification(jenkinsfile, 'exit 22'), {
+    status: 0,
+    stdout: '',
+    stderr: 'Could not send the failed notification to teams\n'
+  });
+  assert.match(jenkinsfile, /credentialsId: 'teams-oncall'/);
+  assert.match(jenkinsfile,
+    /catchError\(buildResult: null, stageResult: null, message: 'Could not send the failed notification to email'\) \{\n\s+mail to: 'oncall@example\.com'/);
+});
+
+test('CodePipeline gets an SNS topic and notification rule for each distinct set of events', () => {
+  const resources = createGenerator().generateAwsCodePipeline().Resources;
+  const rule = resources.SucceededFailedNotificationRule;
+
+  assert.strictEqual(rule.Type, 'AWS::CodeStarNotifications::NotificationRule');
+  assert.deepStrictEqual(rule.Properties.EventTypeIds,
+    ['codepipeline-pipeline-pipeline-execution-succeeded', 'codepipeline-pipeline-pipeline-execution-failed']);
+  assert.deepStrictEqual(rule.Properties.Resource, { 'Fn::Sub': 'arn:aws:codepipeline:${AWS::Region}:${AWS::AccountId}:${Pipeline}' });
+  assert.deepStrictEqual(rule.Properties.Targets, [{ TargetType: 'SNS', TargetAddress: { Ref: 'SucceededFailedNotificationTopic' } }]);
+  assert.deepStrictEqual(resources.StartedAwaitingApprovalNotificationRule.Properties.EventTypeIds,
+    ['codepipeline-pipeline-pipeline-execution-started', 'codepipeline-pipeline-manual-approval-needed']);
+  assert.strictEqual(resources.FailedNotificationTopic.Type, 'AWS::SNS::Topic');
+  assert.match(JSON.stringify(resources.FailedNotificationTopicPolicy), /"Service":"codestar-notifications\.amazonaws\.com"/);
+});
+
+test('email addresses and webhook URLs are subscribed to the topic of their events', () => {
+  const template = createGenerator().generateAwsCodePipeline();
+  const subscriptions = Object.values(template.Resources)
+    .filter(resource => resource.Type === 'AWS::SNS::Subscription')
+    .map(({ Properties }) => [Properties.TopicArn.Ref, Properties.Protocol, Properties.Endpoint]);
+
+  assert.deepStrictEqual(subscriptions, [
+    ['FailedNotificationTopic', 'email', 'oncall@example.com'],
+    ['StartedAwaitingApprovalNotificationTopic', 'https', 'https://hooks.example.com/ci']
+  ]);
+  assert.deepStrictEqual(template.Outputs.SucceededFailedNotificationTopicArn.Value, { Ref: 'SucceededFailedNotificationTopic' });
+});
+
+test('invalid notification channels are rejected', () => {
+  assert.throws(() => createGenerator([{ type: 'pager' }]), /Notification type pager is not valid. Use one of: slack, teams, email, webhook/);
+  assert.throws(() => createGenerator([{ type: 'slack', events: ['deployed'] }]),
+    /Notification event deployed is not valid. Use one of: started, succeeded, failed, awaiting-approval/);
+  assert.throws(() => createGenerator([{ type: 'email' }]), /Email notifications need the addresses to send to/);
+});
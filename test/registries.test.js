@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator pushing to the given registry
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  });
+}
+
+/**
+ * Get the build step of the Docker build stage of a generator
+ * @param {K8sPipelineGenerator} generator - Generator with a Docker build stage
+ * @returns {Object} - The build-and-push step
+ */
+function buildStepOf(generator) {
+  return generator.stages.find(stage => stage.docker).steps.find(step => step.name === 'build-and-push');
+}
+
+test('the registry type is inferred from the host of dockerRegistry', () => {
+  const types = {
+    '123456789012.dkr.ecr.eu-west-1.amazonaws.com': ['ecr', '123456789012.dkr.ecr.eu-west-1.amazonaws.com'],
+    'my-org': ['dockerhub', 'https://index.docker.io/v1/'],
+    'docker.io/my-org': ['dockerhub', 'https://index.docker.io/v1/'],
+    'ghcr.io/my-org': ['ghcr', 'ghcr.io'],
+    'gcr.io/my-project': ['gcr', 'gcr.io'],
+    'europe-docker.pkg.dev/my-project/my-repo': ['gcr', 'europe-docker.pkg.dev'],
+    'my-registry.azurecr.io': ['acr', 'my-registry.azurecr.io'],
+    'harbor.example.com/my-project': ['harbor', 'harbor.example.com']
+  };
+
+  Object.keys(types).forEach(dockerRegistry => {
+    const { type, authKey } = createGenerator({ dockerRegistry }).getRegistry();
+    assert.deepStrictEqual([type, authKey], types[dockerRegistry], dockerRegistry);
+  });
+  assert.strictEqual(createGenerator({ dockerRegistry: '123456789012.dkr.ecr.eu-west-1.amazonaws.com' }).getRegistry().region, 'eu-west-1');
+});
+
+test('registry.type and registry.credentialsId override the inferred registry', () => {
+  const registry = createGenerator({ registry: { type: 'harbor', credentialsId: 'harbor-robot' } }).getRegistry();
+
+  assert.strictEqual(registry.type, 'harbor');
+  assert.strictEqual(registry.credentialsId, 'harbor-robot');
+});
+
+test('ECR is logged in to by an AWS CLI step handing a Docker config to the builder', () => {
+  const stage = createGenerator({ dockerRegistry: '123456789012.dkr.ecr.us-east-1.amazonaws.com' })
+    .addDockerBuildStage('my-app').stages[0];
+  const [login, build] = stage.steps;
+
+  assert.strictEqual(stage.secrets, undefined);
+  assert.strictEqual(login.name, 'registry-login');
+  assert.match(login.image, /^amazon\/aws-cli:/);
+  assert.deepStrictEqual(login.outputs, ['.docker/']);
+  assert.match(login.command[2], /aws ecr get-login-password --region us-east-1/);
+  assert.doesNotMatch(build.command[2], /REGISTRY_PASSWORD/);
+});
+
+test('other registries log in with the username and password of the registry credentials', () => {
+  const stage = createGenerator({ dockerRegistry: 'ghcr.io/my-org' }).addDockerBuildStage('my-app').stages[0];
+  const [build] = stage.steps;
+
+  assert.deepStrictEqual(stage.secrets.map(secret => [secret.name, secret.credentialsId, secret.secret, secret.key]), [
+    ['REGISTRY_USERNAME', 'registry-credentials', 'my-app-registry', 'username'],
+    ['REGISTRY_PASSWORD', 'registry-credentials', 'my-app-registry', 'password']
+  ]);
+  assert.match(build.command[2], /printf '\{"auths":\{"%s":\{"auth":"%s"\}\}\}' "ghcr\.io" "\$AUTH" > "\$DOCKER_CONFIG\/config\.json"/);
+  assert.match(build.command[2], /^export DOCKER_CONFIG="\$\(pwd\)\/\.docker"\ntrap 'rm -rf "\$DOCKER_CONFIG"' EXIT\n/);
+});
+
+test('each builder builds and pushes with its own command, platforms and build arguments', () => {
+  const commandOf = (builder, platforms) => buildStepOf(createGenerator()
+    .addDockerBuildStage('my-app', 'v1', { builder, platforms, buildArgs: { NODE_ENV: 'production' } })).command[2];
+
+  assert.match(commandOf('kaniko', ['linux/arm64']),
+    /\/kaniko\/executor --context "dir:\/\/\$\(pwd\)" --dockerfile \.\/Dockerfile --destination registry\.example\.com\/my-org\/my-app:v1 --custom-platform linux\/arm64 --build-arg NODE_ENV=production$/);
+  assert.match(commandOf('buildkit', ['linux/amd64', 'linux/arm64']),
+    /buildctl-daemonless\.sh build .* --opt platform=linux\/amd64,linux\/arm64 --opt build-arg:NODE_ENV=production --output type=image,name=registry\.example\.com\/my-org\/my-app:v1,push=true$/);
+  assert.match(commandOf('buildah', ['linux/amd64', 'linux/arm64']),
+    /buildah --storage-driver vfs build --isolation chroot --manifest .* --platform linux\/amd64,linux\/arm64 --build-arg NODE_ENV=production \.\nbuildah --storage-driver vfs manifest push --all/);
+  assert.match(commandOf('docker'), /docker build -t registry\.example\.com\/my-org\/my-app:v1 .* && docker push registry\.example\.com\/my-org\/my-app:v1$/);
+});
+
+test('unknown builders, and several platforms with a single-platform builder, are rejected', () => {
+  assert.throws(() => createGenerator().addDockerBuildStage('my-app', undefined, { builder: 'podman' }),
+    /Builder podman is not valid. Use one of: kaniko, buildkit, buildah, docker/);
+  assert.throws(() => createGenerator().addDockerBuildStage('my-app', undefined, { platforms: ['linux/amd64', 'linux/arm64'] }),
+    /Builder kaniko builds a single platform. Use buildkit or buildah for multi-platform images/);
+});
+
+test('the Jenkins agent of the default builder runs without privileges or host sockets', () => {
+  const pod = yaml.load(createGenerator().addDockerBuildStage('my-app').generateJenkinsPodTemplate());
+  const builder = pod.spec.containers.find(container => container.name === 'executor');
+
+  assert.match(builder.image, /^gcr\.io\/kaniko-project\/executor:v[\d.]+-debug$/);
+  assert.ok(pod.spec.containers.every(container => !container.securityContext || !container.securityContext.privileged));
+  assert.strictEqual(pod.spec.volumes, undefined);
+});
+
+test('rootless BuildKit runs as user 1000 with seccomp and AppArmor unconfined in every target', () => {
+  const generator = createGenerator().addDockerBuildStage('my-app', undefined, { builder: 'buildkit' });
+  const securityContext = {
+    runAsUser: 1000,
+    runAsGroup: 1000,
+    seccompProfile: { type: 'Unconfined' },
+    appArmorProfile: { type: 'Unconfined' }
+  };
+  const pod = yaml.load(generator.generateJenkinsPodTemplate());
+  const task = generator.generateTektonPipeline().tasks.find(candidate => candidate.metadata.name === 'my-app-docker-build');
+
+  assert.deepStrictEqual(pod.spec.containers.find(container => container.name === 'buildkit').securityContext, securityContext);
+  assert.deepStrictEqual(task.spec.steps[0].securityContext, securityContext);
+  assert.deepStrictEqual(generator.generateGitlabCi()['docker-build'].image, { name: 'moby/buildkit:v0.12.5-rootless', entrypoint: [''] });
+});
+
+test('only the Docker-in-Docker builder needs a privileged container, which the linter reports', () => {
+  const generator = createGenerator().addDockerBuildStage('my-app', undefined, { builder: 'docker' });
+  const docker = yaml.load(generator.generateJenkinsPodTemplate()).spec.containers.find(container => container.name === 'docker');
+
+  assert.deepStrictEqual(docker.securityContext, { privileged: true });
+  assert.ok(generator.lint({ targets: ['jenkins'] }).findings.some(finding => finding.rule === 'privileged-container'));
+  assert.ok(!createGenerator().addDockerBuildStage('my-app').lint({ targets: ['jenkins'] }).findings
+    .some(finding => finding.rule === 'privileged-container'));
+});
+
+test('the CodeBuild buildspec logs in to the registry of its type', () => {
+  const ecr = createGenerator({ dockerRegistry: '123456789012.dkr.ecr.us-east-1.amazonaws.com' }).addDockerBuildStage('my-app');
+  const ghcr = createGenerator({ dockerRegistry: 'ghcr.io/my-org' }).addDockerBuildStage('my-app');
+  const preBuild = generator => yaml.load(generator.generateBuildSpec()).phases.pre_build.commands;
+
+  assert.ok(preBuild(ecr).includes('aws ecr get-login-password --region ${ECR_REGION} | docker login --username AWS --password-stdin ${REGISTRY_URI}'));
+  assert.ok(preBuild(ghcr).includes('echo "$REGISTRY_PASSWORD" | docker login --username "$REGISTRY_USERNAME" --password-stdin ghcr.io'));
+  assert.strictEqual(yaml.load(ghcr.generateBuildSpec()).env.variables.IMAGE_REPOSITORY, 'ghcr.io/my-org/my-app');
+});
@@ -0,0 +1,201 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+let dir;
+
+/**
+ * Create a generator with a test, image build and deploy stage
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator() {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Find the diff of one file in the diff of several files
+ * @param {string} diff - Unified diff of several files
+ * @param {string} file - Path of the file
+ * @returns {string} - Unified diff of the file, or undefined when it is unchanged
+ */
+function diffOf(diff, file) {
+  return diff.split(/^(?=--- .*\n\+\+\+ )/m).find(section => section.split('\n')[1] === `+++ ${file}`);
+}
+
+/**
+ * Apply a unified diff of one file to the old contents
+ * @param {string} oldText - Contents the diff was made against
+ * @param {string} diff - Unified diff of one file
+ * @returns {string} - Contents after applying the diff
+ */
+function applyDiff(oldText, diff) {
+  const oldLines = oldText.match(/[^\n]*\n|[^\n]+$/g) || [];
+  const result = [];
+  let oldIndex = 0;
+  let last;
+
+  diff.split('\n').slice(2, -1).forEach(line => {
+    const hunk = /^@@ -(\d+),(\d+) \+\d+,\d+ @@$/.exec(line);
+    if (hunk) {
+      const start = Number(hunk[2]) === 0 ? Number(hunk[1]) : Number(hunk[1]) - 1;
+      result.push(...oldLines.slice(oldIndex, start));
+      oldIndex = start;
+    } else if (line === '\\ No newline at end of file') {
+      if (last.type !== '-') {
+        result[result.length - 1] = result[result.length - 1].slice(0, -1);
+      }
+    } else {
+      last = { type: line[0] };
+      if (line[0] !== '+') {
+        oldIndex++;
+      }
+      if (line[0] !== '-') {
+        result.push(`${line.slice(1)}\n`);
+      }
+    }
+  });
+
+  return result.concat(oldLines.slice(oldIndex)).join('');
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-save-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('dryRun returns the contents without writing them', () => {
+  const files = createGenerator().saveToFiles(dir, { targets: ['jenkins'], dryRun: true });
+
+  assert.ok(Object.keys(files).includes(path.join(dir, 'Jenkinsfile')));
+  assert.ok(Object.keys(files).includes(path.join(dir, 'k8s', 'dev', 'deployment.yaml')));
+  assert.match(files[path.join(dir, 'Jenkinsfile')], /^\/\/ Generated by easy-k8s\./);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('generated files start with the marker and checksum in the comment syntax of the file', () => {
+  const files = createGenerator().saveToFiles(dir, { targets: ['jenkins', 'github'], dryRun: true });
+
+  Object.keys(files).forEach(file => {
+    const [marker, checksum] = files[file].split('\n');
+    const comment = path.basename(file) === 'Jenkinsfile' ? '//' : '#';
+    assert.ok(marker.startsWith(`${comment} Generated by easy-k8s.`), `${file} has no marker`);
+    assert.match(checksum, new RegExp(`^${comment} easy-k8s-checksum: sha256:[0-9a-f]{64}$`));
+  });
+});
+
+test('diff is empty when the files on disk are up to date', () => {
+  const generator = createGenerator();
+  generator.saveToFiles(dir, { targets: ['jenkins', 'github'] });
+
+  assert.strictEqual(generator.saveToFiles(dir, { targets: ['jenkins', 'github'], diff: true }), '');
+});
+
+test('diff shows files that do not exist yet as added', () => {
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  const diff = createGenerator().saveToFiles(dir, { targets: ['jenkins'], diff: true });
+  const lines = diffOf(diff, jenkinsfile).split('\n');
+
+  assert.strictEqual(lines[0], '--- /dev/null');
+  assert.strictEqual(lines[1], `+++ ${jenkinsfile}`);
+  assert.match(lines[2], /^@@ -0,0 \+1,\d+ @@$/);
+  assert.ok(lines.slice(3, -1).every(line => line.startsWith('+')));
+  assert.ok(!fs.existsSync(jenkinsfile));
+});
+
+test('diff shows a changed line with three lines of context', () => {
+  const generator = createGenerator();
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  generator.saveToFiles(dir, { targets: ['jenkins'] });
+
+  const contents = fs.readFileSync(jenkinsfile, 'utf8');
+  const lines = contents.split('\n');
+  const edited = [...lines];
+  edited[9] = 'edited';
+  fs.writeFileSync(jenkinsfile, edited.join('\n'));
+
+  assert.strictEqual(generator.saveToFiles(dir, { targets: ['jenkins'], diff: true }), [
+    `--- ${jenkinsfile}`,
+    `+++ ${jenkinsfile}`,
+    '@@ -7,7 +7,7 @@',
+    ...lines.slice(6, 9).map(line => ` ${line}`),
+    '-edited',
+    `+${lines[9]}`,
+    ...lines.slice(10, 13).map(line => ` ${line}`),
+    ''
+  ].join('\n'));
+});
+
+test('diff turns the files on disk into the generated files', () => {
+  const generator = createGenerator();
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  generator.saveToFiles(dir, { targets: ['jenkins'] });
+  const generated = fs.readFileSync(jenkinsfile, 'utf8');
+  const lines = generated.split('\n');
+
+  const edits = [
+    lines.slice(1).join('\n'),
+    ['added', ...lines].join('\n'),
+    lines.filter((line, index) => index % 7 !== 3).join('\n'),
+    lines.map((line, index) => (index % 11 === 5 ? `${line} edited` : line)).join('\n'),
+    generated.slice(0, -1),
+    `${generated}trailing`,
+    ''
+  ];
+
+  edits.forEach(edited => {
+    fs.writeFileSync(jenkinsfile, edited);
+    const diff = generator.saveToFiles(dir, { targets: ['jenkins'], diff: true });
+    assert.strictEqual(diffOf(diff, jenkinsfile), diff);
+    assert.strictEqual(applyDiff(edited, diff), generated);
+  });
+});
+
+test('files edited by hand are not overwritten without force', () => {
+  const generator = createGenerator();
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  generator.saveToFiles(dir, { targets: ['jenkins', 'github'] });
+  fs.appendFileSync(jenkinsfile, '// edited\n');
+
+  assert.throws(() => generator.saveToFiles(dir, { targets: ['jenkins', 'github'] }), error => {
+    assert.match(error.message, /^Files were edited by hand or not generated by easy-k8s: .*Use force to overwrite them$/);
+    assert.deepStrictEqual(error.files, [jenkinsfile]);
+    return true;
+  });
+  assert.match(fs.readFileSync(jenkinsfile, 'utf8'), /\/\/ edited\n$/);
+
+  generator.saveToFiles(dir, { targets: ['jenkins', 'github'], force: true });
+  assert.strictEqual(generator.saveToFiles(dir, { targets: ['jenkins', 'github'], diff: true }), '');
+});
+
+test('files without the generated header are treated as edited by hand', () => {
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  fs.writeFileSync(jenkinsfile, 'pipeline {}\n');
+
+  assert.throws(() => createGenerator().saveToFiles(dir, { targets: ['jenkins'] }), error => {
+    assert.deepStrictEqual(error.files, [jenkinsfile]);
+    return true;
+  });
+  assert.strictEqual(fs.readFileSync(jenkinsfile, 'utf8'), 'pipeline {}\n');
+});
+
+test('generated files from an older configuration are overwritten', () => {
+  const jenkinsfile = path.join(dir, 'Jenkinsfile');
+  createGenerator().saveToFiles(dir, { targets: ['jenkins'] });
+
+  const generator = createGenerator().addDeployStage('prod');
+  generator.saveToFiles(dir, { targets: ['jenkins'] });
+  assert.match(fs.readFileSync(jenkinsfile, 'utf8'), /prod/);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator without stages
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  });
+}
+
+/**
+ * Create a generator with test, image build and deploy stages and every scan
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createScannedGenerator() {
+  return createGenerator()
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev')
+    .addSecurityScanStage({
+      dependencies: { scanner: 'trivy', severity: 'HIGH' },
+      sast: { severity: 'ERROR' },
+      image: { scanner: 'grype', severity: 'CRITICAL' },
+      sbom: { format: 'cyclonedx', sign: true }
+    });
+}
+
+/**
+ * Get the last command of a step, the one running the tool
+ * @param {Object} step - Pipeline step
+ * @returns {string} - Last shell command
+ */
+function lastCommandOf(step) {
+  return step.command[2].split('\n').pop();
+}
+
+test('source scans follow the test stage and image scans the Docker build stage, before any deploy', () => {
+  assert.deepStrictEqual(createScannedGenerator().stages.map(stage => stage.name),
+    ['test', 'source-scan', 'docker-build', 'image-scan', 'deploy-to-dev']);
+});
+
+test('the scans fail on findings of their severity threshold or a higher one', () => {
+  const [sourceScan, , imageScan] = createScannedGenerator().stages.slice(1);
+  const [dependencies, sast] = sourceScan.steps;
+  const [vulnerabilities] = imageScan.steps;
+
+  assert.strictEqual(lastCommandOf(dependencies), 'trivy fs --scanners vuln --skip-db-update --exit-code 1 --severity HIGH,CRITICAL .');
+  assert.strictEqual(lastCommandOf(sast), 'semgrep scan --config p/default --error --severity ERROR --json --output reports/security/sast.json');
+  assert.strictEqual(lastCommandOf(vulnerabilities),
+    'grype registry.example.com/my-org/my-app:${IMAGE_TAG} --output table --output json=reports/security/image.json --fail-on critical');
+  assert.strictEqual(lastCommandOf(createGenerator().addSecurityScanStage({ dependencies: { scanner: 'grype', severity: 'MEDIUM' } }).stages[0].steps[0]),
+    'grype dir:. --output table --output json=reports/security/dependencies.json --fail-on medium');
+});
+
+test('the SBOM is generated with Syft in the chosen format, then signed and attested with cosign', () => {
+  const imageScan = createScannedGenerator().stages.find(stage => stage.name === 'image-scan');
+  const sbom = imageScan.steps.find(step => step.name === 'sbom');
+  const sign = imageScan.steps.find(step => step.name === 'sign');
+  const spdx = createGenerator().addDockerBuildStage('my-app').addSecurityScanStage({ sbom: { format: 'spdx' } }).stages[1].steps;
+
+  assert.strictEqual(lastCommandOf(sbom), 'syft registry.example.com/my-org/my-app:${IMAGE_TAG} --output cyclonedx-json=reports/security/sbom.cdx.json');
+  assert.match(sign.command[2], /cosign sign --yes --key env:\/\/COSIGN_PRIVATE_KEY registry\.example\.com\/my-org\/my-app:\$\{IMAGE_TAG\}\n/);
+  assert.match(sign.command[2], /cosign attest --yes --key env:\/\/COSIGN_PRIVATE_KEY --type cyclonedx --predicate reports\/security\/sbom\.cdx\.json /);
+  assert.deepStrictEqual(imageScan.secrets.slice(2).map(secret => [secret.name, secret.credentialsId]),
+    [['COSIGN_PRIVATE_KEY', 'cosign-private-key'], ['COSIGN_PASSWORD', 'cosign-password']]);
+  assert.deepStrictEqual(spdx.map(step => step.name), ['sbom']);
+  assert.match(lastCommandOf(spdx[0]), /--output spdx-json=reports\/security\/sbom\.spdx\.json$/);
+});
+
+test('Jenkins archives the reports of the scan stages even when a scan fails', () => {
+  const jenkinsfile = createScannedGenerator().generateJenkinsfile();
+
+  ['source-scan', 'image-scan'].forEach(name => {
+    const stage = jenkinsfile.slice(jenkinsfile.indexOf(`stage('${name}')`));
+    assert.match(stage, /post \{\n\s+always \{\n\s+archiveArtifacts artifacts: 'reports\/security\/\*\*', allowEmptyArchive: true/, name);
+  });
+});
+
+test('the CodeBuild buildspec scans before the push, aborts on a failed scan and keeps the reports', () => {
+  const buildspec = yaml.load(createScannedGenerator().generateBuildSpec());
+  const build = buildspec.phases.build.commands;
+  const at = text => build.findIndex(command => command.includes(text));
+
+  assert.strictEqual(buildspec.phases.build['on-failure'], 'ABORT');
+  assert.ok(at('trivy fs') < at('docker build'));
+  assert.ok(at('semgrep scan') < at('docker build'));
+  assert.ok(at('docker build') < at('grype $SCAN_IMAGE'));
+  assert.ok(at('syft $SCAN_IMAGE') > 0);
+  assert.ok(buildspec.phases.post_build.commands.findIndex(command => command.startsWith('docker push')) <
+    buildspec.phases.post_build.commands.findIndex(command => command.includes('cosign sign')));
+  assert.ok(buildspec.artifacts.files.includes('reports/security/**/*'));
+});
+
+test('GitHub Actions uploads the reports of the scan jobs', () => {
+  const job = createGenerator().addTestStage('npm test', 'node:20').addSecurityScanStage({ sast: true })
+    .generateGithubActionsWorkflow().jobs['source-scan'];
+  const upload = job.steps.find(step => step.name === 'Upload reports');
+
+  assert.deepStrictEqual(job.needs, ['test']);
+  assert.strictEqual(upload.if, 'always()');
+  assert.strictEqual(upload.with.path, 'reports/security/**');
+});
+
+test('invalid scan options are rejected', () => {
+  const errors = [
+    [{}, /addSecurityScanStage needs at least one of: dependencies, sast, image, sbom/],
+    [{ dependencies: { severity: 'SEVERE' } }, /Severity SEVERE is not valid. Use one of: LOW, MEDIUM, HIGH, CRITICAL/],
+    [{ dependencies: { scanner: 'snyk' } }, /Scanner snyk is not valid. Use one of: trivy, grype/],
+    [{ image: true }, /Image scans and SBOMs need a Docker build stage. Call addDockerBuildStage first/],
+    [{ sbom: { format: 'swid' } }, /SBOM format swid is not valid. Use one of: cyclonedx, spdx/]
+  ];
+
+  errors.forEach(([options, message]) => {
+    assert.throws(() => createGenerator().addSecurityScanStage(options), message);
+  });
+});
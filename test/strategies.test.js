@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator without stages
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  });
+}
+
+test('rolling deploys apply the Deployment and wait for its rollout', () => {
+  const [step] = createGenerator().addDeployStage('dev').stages[0].steps;
+
+  assert.strictEqual(step.name, 'kubectl-apply');
+  assert.match(step.command[2], /kubectl apply -f k8s\/\$\{ENVIRONMENT\}\/ -n \$\{NAMESPACE\}\n/);
+  assert.match(step.command[2], /kubectl rollout status deployment\/my-app --timeout=300s -n \$\{NAMESPACE\} \|\| rollback/);
+});
+
+test('blue/green renders two slot Deployments and a Service selecting the blue slot', () => {
+  const files = createGenerator().addDeployStage('dev', { strategy: 'blue-green' }).generateK8sEnvironmentManifests('dev');
+
+  assert.deepStrictEqual(Object.keys(files), ['blue-green/deployment-blue.yaml', 'blue-green/deployment-green.yaml', 'blue-green/service.yaml']);
+  ['blue', 'green'].forEach(slot => {
+    const deployment = yaml.load(files[`blue-green/deployment-${slot}.yaml`]);
+    assert.strictEqual(deployment.metadata.name, `my-app-${slot}`);
+    assert.deepStrictEqual(deployment.spec.selector.matchLabels, { app: 'my-app', slot });
+    assert.strictEqual(deployment.spec.template.metadata.labels.slot, slot);
+  });
+  assert.deepStrictEqual(yaml.load(files['blue-green/service.yaml']).spec.selector, { app: 'my-app', slot: 'blue' });
+});
+
+test('blue/green deploys roll out the idle slot and switch the Service to it once ready', () => {
+  const [step] = createGenerator().addDeployStage('dev', { strategy: { type: 'blue-green', timeout: '10m' } }).stages[0].steps;
+  const script = step.command[2];
+
+  assert.strictEqual(step.name, 'blue-green-deploy');
+  assert.match(script, /if \[ "\$ACTIVE" = "blue" \]; then TARGET=green; else TARGET=blue; fi/);
+  assert.match(script, /kubectl rollout status deployment\/my-app-\$TARGET --timeout=600s/);
+  assert.match(script, /kubectl scale deployment\/my-app-\$TARGET --replicas=0/);
+  assert.ok(script.indexOf('rollout status deployment/my-app-$TARGET') < script.indexOf('"slot":"\'"$TARGET"\'"'));
+  assert.match(script, /kubectl scale deployment\/my-app-\$ACTIVE --replicas=0/);
+});
+
+test('canaries run as an Argo Rollout with weighted steps and a background analysis', () => {
+  const generator = createGenerator().addDeployStage('prod', {
+    strategy: { type: 'canary', steps: [{ weight: 10, pause: '2m' }, { weight: 50 }] }
+  });
+  const files = generator.generateK8sEnvironmentManifests('prod');
+  const rollout = yaml.load(files['rollout.yaml']);
+
+  assert.deepStrictEqual(Object.keys(files), ['rollout.yaml', 'analysis-template.yaml', 'service.yaml']);
+  assert.strictEqual(rollout.kind, 'Rollout');
+  assert.deepStrictEqual(rollout.spec.strategy.canary.steps, [{ setWeight: 10 }, { pause: { duration: '2m' } }, { setWeight: 50 }]);
+  assert.deepStrictEqual(rollout.spec.strategy.canary.analysis.templates, [{ templateName: 'my-app-analysis' }]);
+  assert.strictEqual(yaml.load(files['analysis-template.yaml']).kind, 'AnalysisTemplate');
+  // The default timeout is the sum of the pauses plus 10 minutes
+  assert.strictEqual(generator.getDeployStrategy('prod').timeout, '720s');
+});
+
+test('canary deploys wait for a healthy Rollout and abort it when it fails', () => {
+  const [step] = createGenerator().addDeployStage('prod', { strategy: 'canary' }).stages[0].steps;
+  const script = step.command[2];
+
+  assert.strictEqual(step.name, 'canary-deploy');
+  assert.match(script, /kubectl wait rollout\/my-app --for=jsonpath='\{\.status\.phase\}'=Healthy --timeout=\d+s -n \$\{NAMESPACE\} \|\| rollback/);
+  assert.match(script, /kubectl patch rollout my-app --type merge --subresource status -p '\{"status":\{"abort":true\}\}'/);
+});
+
+test('canaries can be judged by a Prometheus query', () => {
+  const files = createGenerator().addDeployStage('prod', {
+    strategy: { type: 'canary', analysis: { prometheus: { address: 'http://prometheus:9090', query: 'sum(rate(ok[1m]))' } } }
+  }).generateK8sEnvironmentManifests('prod');
+  const [metric] = yaml.load(files['analysis-template.yaml']).spec.metrics;
+
+  assert.deepStrictEqual(metric.provider.prometheus, { address: 'http://prometheus:9090', query: 'sum(rate(ok[1m]))' });
+  assert.strictEqual(metric.successCondition, 'result[0] >= 0.95');
+});
+
+test('the strategy of each environment is passed to the CodePipeline deploy action', () => {
+  const template = createGenerator()
+    .addDeployStage('dev', { strategy: 'blue-green' })
+    .addDeployStage('prod', { strategy: { type: 'canary', timeout: '30m' } })
+    .generateAwsCodePipeline();
+  const variablesOf = name => JSON.parse(template.Resources.Pipeline.Properties.Stages
+    .find(stage => stage.Name === name).Actions[0].Configuration.EnvironmentVariables['Fn::Sub']);
+  const valueOf = (name, variable) => variablesOf(name).find(candidate => candidate.name === variable).value;
+
+  assert.strictEqual(valueOf('Deploy-dev', 'DEPLOY_STRATEGY'), 'blue-green');
+  assert.strictEqual(valueOf('Deploy-prod', 'DEPLOY_STRATEGY'), 'canary');
+  assert.strictEqual(valueOf('Deploy-prod', 'DEPLOY_TIMEOUT'), '1800s');
+});
+
+test('unknown strategies, and strategies other than rolling outside the manifests layout, are rejected', () => {
+  assert.throws(() => createGenerator().addDeployStage('dev', { strategy: 'nope' }), /Strategy nope is not valid. Use one of: rolling, blue-green, canary/);
+  assert.throws(() => createGenerator({ layout: 'helm' }).addDeployStage('dev', { strategy: 'canary' }), /Strategy canary is only supported with the manifests layout/);
+  assert.doesNotThrow(() => createGenerator({ layout: 'kustomize' }).addDeployStage('dev', { strategy: 'rolling' }));
+});
+
+test('saveToFiles writes the strategy manifests of each environment', () => {
+  const files = createGenerator()
+    .addDeployStage('dev', { strategy: 'blue-green' })
+    .addDeployStage('prod', { strategy: 'canary' })
+    .saveToFiles('out', { targets: [], dryRun: true });
+
+  assert.ok(files[path.join('out', 'k8s', 'dev', 'blue-green', 'deployment-green.yaml')]);
+  assert.ok(files[path.join('out', 'k8s', 'prod', 'rollout.yaml')]);
+  assert.ok(files[path.join('out', 'k8s', 'staging', 'deployment.yaml')]);
+});
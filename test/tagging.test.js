@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with a Docker build and a dev deploy stage
+ * @param {Object} tagging - Tagging options (optional)
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(tagging, options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    tagging,
+    ...options
+  })
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Run the tag commands of a tagging policy
+ * @param {string} policy - Tagging policy
+ * @param {Object} env - Environment variables of the commands
+ * @returns {string} - The derived IMAGE_TAG
+ */
+function tagOf(policy, env) {
+  const commands = createGenerator({ policy }).getImageTagCommands({ sha: '$SHA', branch: '$BRANCH', build: '$BUILD' });
+  return execFileSync('sh', ['-c', [...commands, 'echo "$IMAGE_TAG"'].join('\n')], { env: { ...process.env, ...env } })
+    .toString().trim();
+}
+
+test('the tagging policies derive the tag from the commit, the branch and build, or the Git tag', () => {
+  assert.strictEqual(tagOf('git-sha', { SHA: '3f2a9c1d0b4e5f6a7b8c9d0e1f2a3b4c5d6e7f80' }), '3f2a9c1');
+  assert.strictEqual(tagOf('branch-build', { BRANCH: 'feature/login', BUILD: '42' }), 'feature-login-42');
+  assert.match(createGenerator({ policy: 'semver' }).getImageTagCommands({})[0], /git describe --tags --match 'v\[0-9\]\*' .* \| sed 's\/\^v\/\/'/);
+});
+
+test('the tag commands fail when no tag can be derived', () => {
+  assert.throws(() => tagOf('git-sha', { SHA: '' }), error => {
+    assert.match(error.stderr.toString(), /Cannot derive the image tag of the git-sha tagging policy/);
+    return true;
+  });
+});
+
+test('unknown tagging policies are rejected', () => {
+  assert.throws(() => createGenerator({ policy: 'timestamp' }), /Tagging policy timestamp is not valid. Use one of: git-sha, semver, branch-build/);
+});
+
+test('every target derives IMAGE_TAG with the same policy, from its own variables', () => {
+  const generator = createGenerator({ policy: 'branch-build' });
+  const tag = 'sed \'s/[^A-Za-z0-9_.-]/-/g\'';
+
+  assert.match(generator.generateJenkinsfile(), /IMAGE_TAG = sh\(script: 'IMAGE_TAG=\$\(echo "\$\{BRANCH_NAME:-main\}-\$BUILD_NUMBER" \| sed/);
+  assert.ok(generator.generateGithubActionsWorkflow().jobs['image-tag'].steps[1].run
+    .startsWith(`IMAGE_TAG=$(echo "$GITHUB_REF_NAME-$GITHUB_RUN_NUMBER" | ${tag})`));
+  assert.ok(generator.generateGitlabCi()['image-tag'].script
+    .includes(`IMAGE_TAG=$(echo "$CI_COMMIT_REF_NAME-$CI_PIPELINE_IID" | ${tag})`));
+  assert.ok(yaml.load(generator.generateBuildSpec()).phases.pre_build.commands
+    .includes(`IMAGE_TAG=$(echo "main-$CODEBUILD_BUILD_NUMBER" | ${tag})`));
+});
+
+test('semver clones the full history for git describe', () => {
+  const generator = createGenerator({ policy: 'semver' });
+
+  assert.deepStrictEqual(generator.generateGithubActionsWorkflow().jobs['image-tag'].steps[0].with, { 'fetch-depth': 0 });
+  assert.deepStrictEqual(generator.generateGitlabCi()['image-tag'].variables, { GIT_DEPTH: '0' });
+});
+
+test('pipelines never push latest: the build and deploy use the tag of the policy', () => {
+  const generator = createGenerator();
+
+  assert.match(generator.stages[0].steps[0].command[2], /--destination registry\.example\.com\/my-org\/my-app:\$\{IMAGE_TAG\}$/);
+  assert.match(generator.stages[1].steps[0].command[2],
+    /sed -i "s\|IMAGE_PLACEHOLDER\|registry\.example\.com\/my-org\/my-app:\$\{IMAGE_TAG\}\|g" k8s\/\$\{ENVIRONMENT\}\/deployment\.yaml/);
+  assert.doesNotMatch(generator.generateBuildSpec(), /:latest/);
+});
+
+test('a fixed tag of addDockerBuildStage replaces the tag of the policy', () => {
+  const generator = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  }).addDockerBuildStage('my-app', '1.4.0');
+
+  assert.match(generator.stages[0].steps[0].command[2], /--destination registry\.example\.com\/my-org\/my-app:1\.4\.0$/);
+});
+
+test('pinDigest records the digest of the pushed image and deploys image@digest', () => {
+  const generator = createGenerator({ pinDigest: true });
+  const buildspec = yaml.load(generator.generateBuildSpec()).phases.post_build.commands;
+
+  assert.match(generator.stages[0].steps[0].command[2], /--digest-file "\$\(pwd\)\/\.image-digest"$/);
+  assert.match(generator.stages[1].steps[0].command[2], /IMAGE_PLACEHOLDER\|registry\.example\.com\/my-org\/my-app@\$\(cat \.image-digest\)\|g/);
+  assert.ok(buildspec.some(command => command.includes('"{\\"ImageURI\\":\\"${IMAGE_REPOSITORY}@$IMAGE_DIGEST\\"}"')));
+});
+
+test('pinDigest sets the digest in Helm and Kustomize deploys', () => {
+  const helm = createGenerator({ pinDigest: true }, { layout: 'helm' }).stages[1].steps[0].command[2];
+  const kustomize = createGenerator({ pinDigest: true }, { layout: 'kustomize' }).stages[1].steps[0].command[2];
+
+  assert.match(helm, /--set image\.digest=\$\(cat \.image-digest\)/);
+  assert.match(kustomize, /IMAGE=registry\.example\.com\/my-org\/my-app@\$\(cat \.image-digest\) && .*kustomize edit set image IMAGE_PLACEHOLDER=\$IMAGE/);
+});
+
+test('pinDigest needs a Docker build stage', () => {
+  const generator = new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    tagging: { pinDigest: true }
+  }).addDeployStage('dev');
+
+  assert.ok(generator.validate().errors.some(error => error.path === 'tagging.pinDigest'));
+});
+
+test('generateK8sDeployment renders a known tag or digest', () => {
+  const generator = createGenerator();
+  const imageOf = tag => yaml.load(generator.generateK8sDeployment('my-app', tag)).spec.template.spec.containers[0].image;
+  const digest = `sha256:${'a'.repeat(64)}`;
+
+  assert.strictEqual(imageOf('1.4.0'), 'registry.example.com/my-org/my-app:1.4.0');
+  assert.strictEqual(imageOf(digest), `registry.example.com/my-org/my-app@${digest}`);
+  assert.strictEqual(yaml.load(generator.generateK8sDeployment()).spec.template.spec.containers[0].image, 'IMAGE_PLACEHOLDER');
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator without stages
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator() {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  });
+}
+
+/**
+ * Find a task of a Tekton Pipeline by name
+ * @param {Object} pipeline - Tekton Pipeline manifest
+ * @param {string} name - Pipeline task name
+ * @returns {Object} - Pipeline task
+ */
+function pipelineTaskOf(pipeline, name) {
+  return pipeline.spec.tasks.find(task => task.name === name);
+}
+
+test('each stage becomes a Task whose steps run in the source workspace', () => {
+  const { tasks } = createGenerator()
+    .addStage({
+      name: 'checks',
+      env: [{ name: 'CI', value: 'true' }],
+      steps: [
+        { name: 'lint', image: 'node:20', command: ['sh', '-c', 'npm run lint'] },
+        { name: 'audit', image: 'node:20', command: ['npm', 'audit'], env: [{ name: 'LEVEL', value: 'high' }] }
+      ]
+    })
+    .generateTektonPipeline();
+
+  assert.strictEqual(tasks.length, 1);
+  const [task] = tasks;
+  assert.strictEqual(task.kind, 'Task');
+  assert.strictEqual(task.metadata.name, 'my-app-checks');
+  assert.deepStrictEqual(task.spec.workspaces, [{ name: 'source' }]);
+  assert.deepStrictEqual(task.spec.stepTemplate, { env: [{ name: 'CI', value: 'true' }] });
+  assert.deepStrictEqual(task.spec.steps, [
+    { name: 'lint', image: 'node:20', workingDir: '$(workspaces.source.path)', script: '#!/bin/sh\nset -e\nnpm run lint\n' },
+    {
+      name: 'audit',
+      image: 'node:20',
+      workingDir: '$(workspaces.source.path)',
+      command: ['npm', 'audit'],
+      env: [{ name: 'LEVEL', value: 'high' }]
+    }
+  ]);
+});
+
+test('the Pipeline clones the source into a shared workspace before the first stage', () => {
+  const { pipeline } = createGenerator().addTestStage('npm test', 'node:20').generateTektonPipeline();
+
+  assert.deepStrictEqual(pipeline.spec.workspaces, [{ name: 'shared-workspace' }]);
+  assert.deepStrictEqual(pipeline.spec.params, [
+    { name: 'repo-url', type: 'string', default: 'https://github.com/my-org/my-app' },
+    { name: 'revision', type: 'string', default: 'main' }
+  ]);
+
+  const fetch = pipelineTaskOf(pipeline, 'fetch-source');
+  assert.deepStrictEqual(fetch.workspaces, [{ name: 'output', workspace: 'shared-workspace' }]);
+  const testTask = pipelineTaskOf(pipeline, 'test');
+  assert.deepStrictEqual(testTask.runAfter, ['fetch-source']);
+  assert.deepStrictEqual(testTask.taskRef, { name: 'my-app-test' });
+  assert.deepStrictEqual(testTask.workspaces, [{ name: 'source', workspace: 'shared-workspace' }]);
+});
+
+test('runAfter maps to Tekton runAfter, and parallel stages run after the same tasks', () => {
+  const step = name => [{ name, image: 'node:20', command: ['npm', 'run', name] }];
+  const { pipeline } = createGenerator()
+    .addStage({ name: 'build', steps: step('build') })
+    .addStage({ name: 'lint', parallel: true, steps: step('lint') })
+    .addStage({ name: 'unit', parallel: true, steps: step('unit') })
+    .addStage({ name: 'docs', runAfter: ['build'], steps: step('docs') })
+    .addStage({ name: 'package', steps: step('package') })
+    .generateTektonPipeline();
+
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'build').runAfter, ['fetch-source']);
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'lint').runAfter, ['build']);
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'unit').runAfter, ['build']);
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'docs').runAfter, ['build']);
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'package').runAfter, ['lint', 'unit', 'docs']);
+});
+
+test('stages using the image get the tag derived by the image-tag task', () => {
+  const { tasks, pipeline } = createGenerator().addDockerBuildStage('my-app').generateTektonPipeline();
+
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'image-tag').runAfter, ['fetch-source']);
+  assert.deepStrictEqual(pipelineTaskOf(pipeline, 'docker-build').params, [{ name: 'image-tag', value: '$(tasks.image-tag.results.tag)' }]);
+  assert.deepStrictEqual(tasks[0].spec.params, [{ name: 'image-tag', type: 'string' }]);
+  assert.ok(tasks[0].spec.stepTemplate.env.some(variable => variable.name === 'IMAGE_TAG' && variable.value === '$(params.image-tag)'));
+});
+
+test('the PipelineRun runs the Pipeline with a workspace claimed for the run', () => {
+  const { pipelineRun } = createGenerator().addTestStage('npm test', 'node:20').generateTektonPipeline();
+
+  assert.strictEqual(pipelineRun.kind, 'PipelineRun');
+  assert.strictEqual(pipelineRun.metadata.generateName, 'my-app-run-');
+  assert.deepStrictEqual(pipelineRun.spec.pipelineRef, { name: 'my-app-pipeline' });
+  assert.strictEqual(pipelineRun.spec.workspaces[0].name, 'shared-workspace');
+  assert.ok(pipelineRun.spec.workspaces[0].volumeClaimTemplate);
+});
+
+test('Docker-in-Docker images run as a privileged sidecar next to a Docker CLI step', () => {
+  const { tasks } = createGenerator()
+    .addStage({ name: 'image', steps: [{ name: 'build', image: 'docker:24-dind', command: ['docker', 'build', '.'] }] })
+    .generateTektonPipeline();
+
+  assert.strictEqual(tasks[0].spec.steps[0].image, 'docker:24');
+  assert.deepStrictEqual(tasks[0].spec.sidecars, [{
+    name: 'docker',
+    image: 'docker:24-dind',
+    securityContext: { privileged: true },
+    env: [{ name: 'DOCKER_TLS_CERTDIR', value: '' }]
+  }]);
+});
+
+test('saveToFiles writes the manifests under tekton/', () => {
+  const files = createGenerator()
+    .addTestStage('npm test', 'node:20')
+    .addBuildStage('npm run build', 'node:20')
+    .saveToFiles('out', { targets: ['tekton'], dryRun: true });
+
+  const tasks = yaml.loadAll(files[path.join('out', 'tekton', 'tasks.yaml')]);
+  assert.deepStrictEqual(tasks.map(task => task.metadata.name), ['my-app-test', 'my-app-build']);
+  assert.strictEqual(yaml.load(files[path.join('out', 'tekton', 'pipeline.yaml')]).kind, 'Pipeline');
+  assert.strictEqual(yaml.load(files[path.join('out', 'tekton', 'pipelinerun.yaml')]).kind, 'PipelineRun');
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator with a test stage publishing its reports
+ * @param {Object} reports - Report options of the test stage
+ * @param {string} command - Test command (optional)
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(reports, command = 'npm test') {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org'
+  }).addTestStage(command, 'node:20', reports);
+}
+
+/**
+ * Create a generator with JUnit, Cobertura coverage and artifacts, failing below 80% line coverage
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createReportingGenerator() {
+  return createGenerator({
+    junit: 'reports/junit/*.xml',
+    coverage: { path: 'coverage/cobertura-coverage.xml', format: 'cobertura', threshold: 80 },
+    artifacts: ['coverage/lcov-report/**']
+  });
+}
+
+/**
+ * Run the test step of a coverage threshold on a coverage report
+ * @param {Object} coverage - Coverage options of the test stage
+ * @param {string} report - Contents of the coverage report
+ * @returns {{status: number, output: string}} - Exit status and output of the step
+ */
+function runThreshold(coverage, report) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-coverage-'));
+  const script = createGenerator({ coverage }, 'true').stages[0].steps[0].command[2];
+  try {
+    fs.mkdirSync(path.join(dir, path.dirname(coverage.path)), { recursive: true });
+    fs.writeFileSync(path.join(dir, coverage.path), report);
+    const output = execFileSync('sh', ['-c', `(${script}) 2>&1`], { cwd: dir }).toString();
+    return { status: 0, output };
+  } catch (error) {
+    return { status: error.status, output: error.stdout.toString() };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('Jenkins publishes the reports and artifacts in the post block of the test stage', () => {
+  const jenkinsfile = createReportingGenerator().generateJenkinsfile();
+
+  assert.match(jenkinsfile, new RegExp([
+    'post \\{',
+    'always \\{',
+    "junit testResults: 'reports/junit/\\*\\.xml', allowEmptyResults: true",
+    "publishCoverage adapters: \\[coberturaAdapter\\('coverage/cobertura-coverage\\.xml'\\)\\]",
+    "archiveArtifacts artifacts: 'coverage/lcov-report/\\*\\*', allowEmptyArchive: true"
+  ].join('\\n\\s+')));
+  assert.match(createGenerator({ coverage: { path: 'target/site/jacoco/jacoco.xml', format: 'jacoco' } }).generateJenkinsfile(),
+    /publishCoverage adapters: \[jacocoAdapter\('target\/site\/jacoco\/jacoco\.xml'\)\]/);
+  assert.doesNotMatch(createGenerator().generateJenkinsfile(), /junit|publishCoverage|archiveArtifacts/);
+});
+
+test('GitHub Actions and GitLab CI keep the reports whether or not the tests pass', () => {
+  const generator = createReportingGenerator();
+  const upload = generator.generateGithubActionsWorkflow().jobs.test.steps.find(step => step.name === 'Upload reports');
+
+  assert.strictEqual(upload.if, 'always()');
+  assert.deepStrictEqual(upload.with, {
+    name: 'test-reports',
+    path: 'reports/junit/*.xml\ncoverage/cobertura-coverage.xml\ncoverage/lcov-report/**',
+    'if-no-files-found': 'ignore'
+  });
+  assert.deepStrictEqual(generator.generateGitlabCi().test.artifacts, {
+    when: 'always',
+    paths: ['coverage/lcov-report/**'],
+    reports: {
+      junit: 'reports/junit/*.xml',
+      coverage_report: { coverage_format: 'cobertura', path: 'coverage/cobertura-coverage.xml' }
+    }
+  });
+  assert.strictEqual(generator.generateGitlabCi().test.coverage, '/Line coverage: \\d+(?:\\.\\d+)?%/');
+});
+
+test('the CodeBuild test buildspec turns the reports into report groups', () => {
+  const buildspec = yaml.load(createReportingGenerator().generateTestBuildSpec());
+  const jacoco = yaml.load(createGenerator({ coverage: { path: 'target/site/jacoco/jacoco.xml', format: 'jacoco' } }).generateTestBuildSpec());
+
+  assert.deepStrictEqual(buildspec.reports, {
+    tests: { files: ['reports/junit/*.xml'], 'file-format': 'JUNITXML' },
+    coverage: { files: ['coverage/cobertura-coverage.xml'], 'file-format': 'COBERTURAXML' }
+  });
+  assert.deepStrictEqual(buildspec.artifacts, { files: ['coverage/lcov-report/**'] });
+  assert.strictEqual(jacoco.reports.coverage['file-format'], 'JACOCOXML');
+});
+
+test('CodePipeline runs a Test stage before the build in the image of the test stage', () => {
+  const generator = createReportingGenerator().addDockerBuildStage('my-app');
+  const template = generator.generateAwsCodePipeline();
+  const project = template.Resources.TestProject.Properties;
+
+  assert.deepStrictEqual(template.Resources.Pipeline.Properties.Stages.map(stage => stage.Name), ['Source', 'Test', 'Build']);
+  assert.strictEqual(project.Name, 'my-app-test');
+  assert.strictEqual(project.Environment.Image, 'node:20');
+  assert.deepStrictEqual(yaml.load(project.Source.BuildSpec), yaml.load(generator.generateTestBuildSpec()));
+  assert.match(JSON.stringify(template.Resources.CodeBuildServiceRole), /"Sid":"WriteTestReports".*report-group\/my-app-test-\*/);
+  assert.ok(Object.keys(generator.saveToFiles('out', { targets: ['aws'], dryRun: true })).includes(path.join('out', 'test-buildspec.yml')));
+});
+
+test('the coverage threshold fails the test step below the threshold or without line coverage', () => {
+  const cobertura = { path: 'coverage/cobertura-coverage.xml', format: 'cobertura', threshold: 80 };
+  const jacoco = { path: 'target/site/jacoco/jacoco.xml', format: 'jacoco', threshold: 75 };
+  const jacocoReport = '<report><counter type="LINE" missed="10" covered="30"/></report>';
+
+  assert.deepStrictEqual(runThreshold(cobertura, '<coverage line-rate="0.85" branch-rate="0.5">'), { status: 0, output: 'Line coverage: 85%\n' });
+  assert.deepStrictEqual(runThreshold(cobertura, '<coverage line-rate="0.795" branch-rate="0.5">'),
+    { status: 1, output: 'Line coverage: 79.5%\nLine coverage is below the threshold of 80%\n' });
+  assert.deepStrictEqual(runThreshold(cobertura, '<coverage branch-rate="0.5">'),
+    { status: 1, output: 'No line coverage found in coverage/cobertura-coverage.xml\n' });
+  assert.deepStrictEqual(runThreshold(jacoco, jacocoReport), { status: 0, output: 'Line coverage: 75%\n' });
+  assert.strictEqual(runThreshold({ ...jacoco, threshold: 76 }, jacocoReport).status, 1);
+});
+
+test('without a threshold the test step only runs the tests', () => {
+  const generator = createGenerator({ coverage: { path: 'coverage/cobertura-coverage.xml', format: 'cobertura' } });
+
+  assert.strictEqual(generator.stages[0].steps[0].command[2], 'npm test');
+});
+
+test('invalid coverage options are rejected', () => {
+  assert.throws(() => createGenerator({ coverage: { path: 'coverage/lcov.info', format: 'lcov' } }),
+    /Coverage format lcov is not valid. Use one of: cobertura, jacoco/);
+  assert.throws(() => createGenerator({ coverage: { path: 'coverage/cobertura-coverage.xml', threshold: 120 } }),
+    /Coverage threshold 120 is not valid. Use a percentage from 0 to 100/);
+});
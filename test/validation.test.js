@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+const { main } = require('../cli');
+
+/**
+ * Create a generator with a test, image build and deploy stage
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    environments: { dev: { ingress: { host: 'my-app.example.com' }, podDisruptionBudget: true } },
+    ...options
+  })
+    .addTestStage('npm test', 'node:20')
+    .addDockerBuildStage('my-app')
+    .addDeployStage('dev');
+}
+
+/**
+ * Count the validate calls of a generator while running a function
+ * @param {K8sPipelineGenerator} generator - Generator to watch
+ * @param {Function} fn - Function to run with the generator
+ * @returns {number} - Number of validate calls
+ */
+function validateCallsOf(generator, fn) {
+  const validate = generator.validate.bind(generator);
+  let calls = 0;
+  generator.validate = target => {
+    calls += 1;
+    return validate(target);
+  };
+  fn(generator);
+  return calls;
+}
+
+test('saveToFiles and lint validate the configuration once', () => {
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.saveToFiles('out', { dryRun: true })), 1);
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.saveToFiles('out', { targets: ['aws'], dryRun: true })), 1);
+  assert.strictEqual(validateCallsOf(createGenerator({ layout: 'kustomize' }), generator => generator.saveToFiles('out', { dryRun: true })), 1);
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.lint()), 1);
+});
+
+test('generate methods built from other generate methods validate once', () => {
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.generateAwsCodePipeline()), 1);
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.generateJenkinsfile()), 1);
+  assert.strictEqual(validateCallsOf(createGenerator(), generator => generator.generateK8sEnvironmentManifests('dev')), 1);
+  assert.strictEqual(validateCallsOf(createGenerator({ layout: 'kustomize' }), generator => generator.generateKustomization()), 1);
+  assert.strictEqual(validateCallsOf(createGenerator({
+    deployMode: 'gitops',
+    gitops: { repoUrl: 'https://github.com/my-org/config' }
+  }), generator => generator.generateGitOpsResources()), 1);
+});
+
+test('the CLI validates the configuration once per command', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easy-k8s-validation-'));
+  const config = path.join(dir, 'easy-k8s.json');
+  fs.writeFileSync(config, JSON.stringify(createGenerator().toConfig()));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const validate = t.mock.method(K8sPipelineGenerator.prototype, 'validate');
+
+  [['generate', '--dry-run'], ['lint'], ['validate']].forEach(command => {
+    validate.mock.resetCalls();
+    main([...command, '--config', config, '--out', path.join(dir, 'pipeline')]);
+    assert.strictEqual(validate.mock.callCount(), 1, command[0]);
+  });
+});
+
+test('warnings that are errors of the AWS CodePipeline template name the target', () => {
+  const generator = createGenerator({ repoUrl: 'https://gitlab.com/my-org/my-app' });
+
+  assert.deepStrictEqual(generator.validate().warnings, [{
+    path: 'repoUrl',
+    message: 'must be a GitHub repository URL for the CodeStar source of the AWS CodePipeline template',
+    target: 'aws-codepipeline'
+  }]);
+  assert.strictEqual(generator.validate('aws-codepipeline').errors[0].path, 'repoUrl');
+});
+
+test('the default targets leave out aws, with a warning, when only the AWS template is invalid', t => {
+  const emitWarning = t.mock.method(process, 'emitWarning', () => {});
+  const files = createGenerator({ repoUrl: 'https://gitlab.com/my-org/my-app' }).saveToFiles('out', { dryRun: true });
+
+  assert.ok(!Object.keys(files).some(file => file.endsWith('aws-codepipeline.yaml')));
+  assert.match(emitWarning.mock.calls[0].arguments[0], /^Skipping the aws target: repoUrl must be a GitHub repository URL/);
+  assert.throws(() => createGenerator({ repoUrl: 'https://gitlab.com/my-org/my-app' }).saveToFiles('out', { targets: ['aws'], dryRun: true }),
+    /repoUrl: must be a GitHub repository URL/);
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const K8sPipelineGenerator = require('../k8s-pipeline-generator');
+
+/**
+ * Create a generator without stages
+ * @param {Object} options - Constructor options to add
+ * @returns {K8sPipelineGenerator} - The configured generator
+ */
+function createGenerator(options = {}) {
+  return new K8sPipelineGenerator({
+    projectName: 'my-app',
+    repoUrl: 'https://github.com/my-org/my-app',
+    dockerRegistry: 'registry.example.com/my-org',
+    ...options
+  });
+}
+
+/**
+ * Get the commands of the build phases of the deploy buildspec
+ * @param {K8sPipelineGenerator} generator - Generator to use
+ * @param {string} phase - Buildspec phase
+ * @returns {string[]} - Commands of the phase
+ */
+function commandsOf(generator, phase) {
+  return yaml.load(generator.generateDeployBuildSpec()).phases[phase].commands;
+}
+
+test('the deploy step waits for the rollout, runs the checks and rolls back when any of them fail', () => {
+  const [step] = createGenerator().addDeployStage('dev', {
+    verify: { http: ['/healthz', { path: '/ready', port: 8080 }], commands: ['./smoke.sh'] }
+  }).stages[0].steps;
+  const lines = step.command[2].split('\n');
+  const applied = lines.indexOf('kubectl apply -f k8s/${ENVIRONMENT}/ -n ${NAMESPACE}');
+
+  assert.ok(applied > 0);
+  assert.deepStrictEqual(lines.slice(applied + 1), [
+    'kubectl rollout status deployment/my-app --timeout=300s -n ${NAMESPACE} || rollback',
+    'kubectl get --raw "/api/v1/namespaces/${NAMESPACE}/services/my-app:80/proxy/healthz" -n ${NAMESPACE} >/dev/null || rollback',
+    'kubectl get --raw "/api/v1/namespaces/${NAMESPACE}/services/my-app:8080/proxy/ready" -n ${NAMESPACE} >/dev/null || rollback',
+    '(./smoke.sh) || rollback',
+    'rm -f .rollback-${ENVIRONMENT}'
+  ]);
+  assert.match(step.command[2], /kubectl rollout undo deployment\/my-app --to-revision=\$PREVIOUS -n \$\{NAMESPACE\}/);
+  assert.match(step.command[2], /^PREVIOUS=\$\(kubectl get deployment my-app .*\)\n/);
+});
+
+test('the rollback stays off when verify turns it off, and the stage still fails', () => {
+  const stage = createGenerator().addDeployStage('dev', { verify: { rollback: false, http: ['/ready'] } }).stages[0];
+  const script = stage.steps[0].command[2];
+
+  assert.doesNotMatch(script, /rollout undo/);
+  assert.match(script, /rollback\(\) \{\n {2}echo "The deployment of my-app to \$\{ENVIRONMENT\} failed"\n {2}rm -f \.rollback-\$\{ENVIRONMENT\}\n {2}exit 1\n\}/);
+  assert.strictEqual(stage.rollback, undefined);
+});
+
+test('the Jenkins deploy stage rolls back from its post failure and aborted blocks', () => {
+  const jenkinsfile = createGenerator().addDeployStage('dev', { verify: { commands: ['./smoke.sh'] } }).generateJenkinsfile();
+  const post = jenkinsfile.slice(jenkinsfile.indexOf('post {', jenkinsfile.indexOf("stage('deploy-to-dev')")));
+
+  ['failure', 'aborted'].forEach(condition => {
+    const block = post.slice(post.indexOf(`${condition} {`));
+    assert.match(block, /^\w+ \{\n\s+container\('kubectl'\) \{\n\s+sh '''\n\s+if \[ -f \.rollback-\$\{ENVIRONMENT\} \]; then/, condition);
+    assert.match(block, /kubectl rollout undo deployment\/my-app --to-revision=\$PREVIOUS/, condition);
+  });
+});
+
+test('Helm releases roll back a release failing its checks with helm rollback', () => {
+  const [step] = createGenerator({ layout: 'helm' }).addDeployStage('dev', { verify: { commands: ['./smoke.sh'] } }).stages[0].steps;
+
+  assert.strictEqual(step.image, 'dtzar/helm-kubectl:3.14.0');
+  assert.match(step.command[2], /helm rollback my-app --namespace \$\{NAMESPACE\} --wait/);
+  assert.match(step.command[2], /--wait --timeout 300s --atomic \|\| exit 1\n\(\.\/smoke\.sh\) \|\| rollback$/);
+});
+
+test('verify checks are rejected with the canary strategy', () => {
+  assert.throws(() => createGenerator().addDeployStage('dev', { strategy: 'canary', verify: { commands: ['./smoke.sh'] } }),
+    /Verify checks are not supported with the canary strategy/);
+});
+
+test('the deploy buildspec runs the checks of each environment and rolls back only when DEPLOY_ROLLBACK is true', () => {
+  const generator = createGenerator()
+    .addDeployStage('dev', { verify: { commands: ['./smoke.sh'] } })
+    .addDeployStage('prod', { verify: { http: ['/healthz'] } });
+  const [, , , script] = commandsOf(generator, 'build');
+
+  assert.match(script, /kubectl rollout status deployment\/my-app --timeout=\$\{DEPLOY_TIMEOUT\} -n \$\{NAMESPACE\} \|\| rollback/);
+  assert.match(script, /case "\$ENVIRONMENT" in\n {2}dev\)\n {4}\(\.\/smoke\.sh\) \|\| rollback\n {4};;\n {2}prod\)\n {4}kubectl get --raw .*\/proxy\/healthz" .* \|\| rollback\n {4};;\nesac/);
+  assert.match(script, /if \[ "\$DEPLOY_ROLLBACK" = "true" \]; then\n\s+if \[ -n "\$PREVIOUS" \]; then\n\s+kubectl rollout undo/);
+  assert.strictEqual(yaml.load(generator.generateDeployBuildSpec()).env.variables.DEPLOY_ROLLBACK, 'true');
+});
+
+test('the deploy buildspec checks the kubectl download against its published checksum', () => {
+  assert.deepStrictEqual(commandsOf(createGenerator().addDeployStage('dev'), 'install'), [
+    'echo Installing kubectl...',
+    'curl -fsSLO https://dl.k8s.io/release/v1.29.2/bin/linux/amd64/kubectl',
+    'curl -fsSLO https://dl.k8s.io/release/v1.29.2/bin/linux/amd64/kubectl.sha256',
+    'echo "$(cat kubectl.sha256)  kubectl" | sha256sum -c',
+    'chmod +x ./kubectl',
+    'mv ./kubectl /usr/local/bin/kubectl'
+  ]);
+});
+
+test('the Helm and Kustomize downloads of the deploy buildspec are checked before they are unpacked', () => {
+  const helm = commandsOf(createGenerator({ layout: 'helm' }).addDeployStage('dev'), 'install');
+  const kustomize = commandsOf(createGenerator({ layout: 'kustomize' }).addDeployStage('dev'), 'install');
+
+  assert.ok(helm.indexOf('sha256sum -c helm-v3.14.0-linux-amd64.tar.gz.sha256sum') < helm.indexOf('tar -xzf helm-v3.14.0-linux-amd64.tar.gz'));
+  assert.ok(kustomize.indexOf('grep kustomize_v5.3.0_linux_amd64.tar.gz checksums.txt | sha256sum -c') <
+    kustomize.indexOf('tar -xzf kustomize_v5.3.0_linux_amd64.tar.gz'));
+  assert.ok(helm.every(command => !/\| *tar/.test(command)));
+  assert.ok(kustomize.every(command => !/\| *tar/.test(command)));
+});
+
+test('the deploy buildspec downloads pass the unpinned-download lint rule', () => {
+  ['manifests', 'helm', 'kustomize'].forEach(layout => {
+    const { findings } = createGenerator({ layout }).addDeployStage('dev').lint({ targets: ['aws'] });
+    assert.deepStrictEqual(findings.filter(finding => finding.rule === 'unpinned-download'), [], layout);
+  });
+});